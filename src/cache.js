@@ -1,9 +1,25 @@
 import { createHash } from 'crypto';
-import { stat, readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { open, stat, readFile, readdir, rm, utimes } from 'fs/promises';
 import { glob } from 'glob';
+import { createRequire } from 'module';
 import { homedir, platform } from 'os';
-import { join, relative } from 'path';
-import { parseFile, SUPPORTED_EXTENSIONS } from './parser.js';
+import { basename, dirname, join, relative, resolve } from 'path';
+import {
+  SUPPORTED_EXTENSIONS,
+  SHEBANG_MAP,
+  detectLanguage,
+  isSupportedLanguage,
+  mergeStubs,
+  parserFingerprint,
+} from './parser.js';
+import { parseSourceFiles } from './parse-pool.js';
+import { ParseResultCache, hashContent, mapConcurrent } from './parse-cache.js';
+import { IgnoreMatcher, IncludeFilter, IGNORE_FILES, isDirectory } from './ignore.js';
+import { GitTree } from './git-tree.js';
+import { TreeWatcher } from './watch.js';
+import { trackDirtyShards, removeShards } from './shards.js';
+import { savePortableIndex, loadPortableIndex } from './portable.js';
 import {
   buildGraph,
   updateGraphFiles,
@@ -11,6 +27,15 @@ import {
   saveGraph,
   loadGraph,
 } from './graph.js';
+import {
+  loadResolverConfig,
+  isResolverConfigFile,
+  RESOLVER_CONFIG_PATTERNS,
+  EMPTY_RESOLVER_CONFIG,
+} from './resolve.js';
+
+const require = createRequire(import.meta.url);
+const { version: VERSION } = require('../package.json');
 
 function getPlatformCacheDir() {
   if (process.env.CODE_INDEX_CACHE_DIR) return process.env.CODE_INDEX_CACHE_DIR;
@@ -112,6 +137,86 @@ const IGNORE_PATTERNS = [
 ];
 
 const CONFIG_PATH = '.code-index/config.json';
+const PORTABLE_INDEX_PATH = '.code-index/index.json.gz';
+
+// While watching, the cache file is rewritten at most this often; the live
+// graph is in memory, so the file only matters for the next cold start.
+const WATCH_SAVE_DELAY_MS = 5000;
+
+// Bytes read from an extensionless file to find its `#!` line
+const SHEBANG_SNIFF_BYTES = 256;
+
+// Files read at once to hash them for parse-result cache lookups
+const READ_CONCURRENCY = 16;
+
+// Bumped when what the graph records changes shape (e.g. file nodes gaining
+// `package`) so caches written before are rebuilt, release or not.
+const GRAPH_SCHEMA = 3;
+
+/**
+ * Why a cache stamped with `stored` can't be trusted under `current`, or
+ * null if it can. `full` says whether the graph must be rebuilt: a new
+ * BetterRank, grammar, query or language mapping changes what parsing
+ * produces, while new ignore patterns, include globs or extensions only
+ * change which files are scanned — the next scan adds and drops those
+ * files on its own.
+ */
+function fingerprintChange(stored, current) {
+  if (!stored) return { reason: 'cache predates fingerprinting', full: true };
+  if (stored.version !== current.version) {
+    return { reason: `BetterRank ${stored.version} → ${current.version}`, full: true };
+  }
+  if (stored.schema !== current.schema) return { reason: 'graph schema changed', full: true };
+  const grammars = [];
+  for (const mod of new Set([...Object.keys(stored.grammars), ...Object.keys(current.grammars)])) {
+    const was = stored.grammars[mod];
+    const now = current.grammars[mod];
+    if (was !== now) grammars.push(`${mod} ${was || 'not installed'} → ${now || 'not installed'}`);
+  }
+  if (grammars.length > 0) return { reason: grammars.join(', '), full: true };
+  if (stored.queries !== current.queries) return { reason: 'tree-sitter queries changed', full: true };
+  if ((stored.languages || null) !== (current.languages || null)) return { reason: 'language mappings changed', full: true };
+  if (stored.config !== current.config) return { reason: 'ignore patterns, include globs or extensions changed', full: false };
+  return null;
+}
+
+/**
+ * The language settings of a parsed config.json, as detectLanguage() takes
+ * them: `languages` extension mappings (with or without the leading dot)
+ * and `shebangs` — true for the built-in interpreters, or an object adding
+ * more. A mapping to a language with no installed grammar is skipped with
+ * a warning.
+ */
+function languageConfig(raw) {
+  const extensions = {};
+  if (raw.languages && typeof raw.languages === 'object') {
+    for (const [key, langName] of Object.entries(raw.languages)) {
+      if (!isSupportedLanguage(langName)) {
+        process.stderr.write(`Ignoring "${key}" in ${CONFIG_PATH}: no grammar installed for language "${langName}"\n`);
+        continue;
+      }
+      extensions[key.startsWith('.') ? key : `.${key}`] = langName;
+    }
+  }
+  let shebangs = null;
+  if (raw.shebangs === true) shebangs = SHEBANG_MAP;
+  else if (raw.shebangs && typeof raw.shebangs === 'object') shebangs = { ...SHEBANG_MAP, ...raw.shebangs };
+  return { extensions, shebangs };
+}
+
+/**
+ * Language settings from a project root's config.json (see
+ * languageConfig()), for reading files outside an index — e.g. `outline`.
+ * Read from `revision` (a GitTree) when given.
+ */
+async function loadLanguageConfig(projectRoot, revision = null) {
+  try {
+    const text = revision ? await revision.readText(CONFIG_PATH) : await readFile(join(projectRoot, CONFIG_PATH), 'utf-8');
+    return languageConfig(JSON.parse(text));
+  } catch {
+    return { extensions: {}, shebangs: null };
+  }
+}
 
 /**
  * Derive a deterministic cache filename from the project root path.
@@ -122,16 +227,62 @@ function cachePathForRoot(projectRoot) {
   return join(CACHE_DIR, `${hash}.json`);
 }
 
+/**
+ * Cache filename for a project root as of a git revision, keyed by the
+ * root's tree hash: refs naming the same tree share one cache.
+ */
+function cachePathForRevision(projectRoot, tree) {
+  const hash = createHash('sha256').update(`${projectRoot}\0${tree}`).digest('hex').slice(0, 12);
+  return join(CACHE_DIR, `${hash}.json`);
+}
+
 class CodeIndexCache {
+  /**
+   * @param {string} projectRoot - Absolute project root
+   * @param {object} [opts]
+   * @param {string} [opts.rev] - Index this git revision (tag, branch, commit)
+   *   instead of the working copy; see _getRevisionFiles()
+   */
   constructor(projectRoot, opts = {}) {
     this.projectRoot = projectRoot;
-    this.cachePath = opts.cachePath ? join(projectRoot, opts.cachePath) : cachePathForRoot(projectRoot);
+    // A revision is read from git's object store, never from the disk
+    this.revision = opts.rev ? new GitTree(projectRoot, opts.rev) : null;
+    this.blobs = new Map(); // files read for hashing, kept until parsed
+    const rootCachePath = opts.cachePath ? join(projectRoot, opts.cachePath) : cachePathForRoot(projectRoot);
+    this.cachePath = this.revision ? cachePathForRevision(projectRoot, this.revision.tree) : rootCachePath;
+    this.label = this.revision ? `${projectRoot} at ${this.revision.ref}` : projectRoot;
     this.configPath = join(projectRoot, CONFIG_PATH);
     this.graph = null;
+    this.dirtyShards = null; // cache shards to rewrite on save; null = all
+    this._trackedShards = null;
     this.mtimes = new Map();
+    this.hashes = new Map();
+    this.diagnostics = new Map();
+    this.fingerprint = null;
+    this.rebuild = null;      // { reason, at, full } — why the cache was last invalidated
+    this.metaChanged = false; // index needs saving even if no file changed
+    // Keyed by path and content hash, so revisions share the working copy's
+    this.parseCache = new ParseResultCache(rootCachePath.replace(/\.json$/, '') + '.parses');
     this.initialized = false;
-    this.extensions = opts.extensions || SUPPORTED_EXTENSIONS;
-    this.ignorePatterns = [...IGNORE_PATTERNS, ...(opts.ignore || [])];
+    this.baseExtensions = opts.extensions || SUPPORTED_EXTENSIONS;
+    this.extensions = this.baseExtensions;
+    this.languages = { extensions: {}, shebangs: null }; // see detectLanguage()
+    this.include = null;
+    this.baseIgnorePatterns = [
+      ...IGNORE_PATTERNS.map(pattern => ({ pattern, source: 'built-in default' })),
+      ...(opts.ignore || []).map(pattern => ({ pattern, source: 'ignore option' })),
+    ];
+    this.ignorePatterns = this.baseIgnorePatterns;
+    this.resolverConfig = EMPTY_RESOLVER_CONFIG;
+    this.workers = opts.workers;
+
+    // Watch mode (see watch()): paths reported by the file watcher since the
+    // last ensure(), and whether something forces a full tree scan instead.
+    this.watcher = null;
+    this.dirtyPaths = new Set();
+    this.needsFullScan = true;
+    this.configFiles = [];
+    this.saveTimer = null;
   }
 
   /**
@@ -140,46 +291,106 @@ class CodeIndexCache {
    */
   async ensure() {
     if (!this.initialized) {
+      if (this.revision) await this._preloadRevision();
       await this._loadConfig();
 
+      this.fingerprint = this._fingerprint();
       const cached = await loadGraph(this.cachePath);
-      if (cached) {
-        this.graph = cached.graph;
+      const change = cached ? fingerprintChange(cached.fingerprint, this.fingerprint) : null;
+      if (cached && !(change && change.full)) {
+        this._setGraph(cached.graph, { allDirty: !cached.sharded });
         this.mtimes = cached.mtimes;
+        this.hashes = cached.hashes;
+        this.diagnostics = cached.diagnostics;
+        this.rebuild = cached.rebuild;
+        // Caches written before roots were recorded can't be listed by root
+        if (cached.root !== this.projectRoot) this.metaChanged = true;
+        // The index's mtime is its "last used" time for `betterrank cache`
+        const now = new Date();
+        await utimes(this.cachePath, now, now).catch(() => {});
+      } else if (change) {
+        // Cached symbols and parses came from different parsing code
+        process.stderr.write(`Cache is stale (${change.reason}), rebuilding ${this.label}...\n`);
+        await this.parseCache.clear();
+      } else if (!this.rebuild) {
+        // No local cache, and not a reindex: start from a committed
+        // portable index if the checkout has one
+        const portablePath = join(this.projectRoot, PORTABLE_INDEX_PATH);
+        let seeded = false;
+        if (!this.revision && existsSync(portablePath)) {
+          try {
+            await this._adoptPortable(portablePath);
+            seeded = true;
+            process.stderr.write(`Seeding index from ${PORTABLE_INDEX_PATH}...\n`);
+          } catch (e) {
+            process.stderr.write(`Ignoring ${PORTABLE_INDEX_PATH}: ${e.message}\n`);
+          }
+        }
+        if (!seeded) this.rebuild = { reason: 'no cache', at: new Date().toISOString(), full: true };
+      }
+      if (change) {
+        this.rebuild = { ...change, at: new Date().toISOString() };
+        this.metaChanged = true;
       }
       this.initialized = true;
     }
 
-    const { changed, deleted, totalScanned } = await this._getChangedFiles();
+    let scan;
+    if (this.revision) scan = await this._getRevisionFiles();
+    else if (this.watcher && this.graph && !this.needsFullScan && !this.watcher.degraded) scan = await this._getChangedWatchedFiles();
+    else scan = await this._getChangedFiles();
+    let { changed, deleted, touched, totalScanned, sourceFiles, configChanged } = scan;
 
-    if (changed.length === 0 && deleted.length === 0) {
+    if (changed.length === 0 && deleted.length === 0 && !configChanged) {
       if (!this.graph) {
         // First run, no cache, no files — empty graph
         const graphology = await import('graphology');
         const MDG = graphology.default?.MultiDirectedGraph || graphology.MultiDirectedGraph;
-        this.graph = new MDG({ allowSelfLoops: false });
+        this._setGraph(new MDG({ allowSelfLoops: false }));
+      } else if (touched > 0 || this.dirtyShards === null || this.metaChanged) {
+        // Only mtimes moved (checkout, touch), the cache predates the
+        // sharded format or its fingerprint changed; persist so none of
+        // that is redone next time
+        await this._persist();
       }
       return { changed: 0, deleted: 0, totalScanned };
     }
 
+    // tsconfig paths / package.json exports decide where imports land.
+    // When one of them changes, every file's imports may resolve
+    // differently, so rebuild from scratch.
+    this.resolverConfig = await this._loadResolverConfig();
+    if (configChanged && this.graph) {
+      process.stderr.write(`Import config changed, rebuilding ${this.label}...\n`);
+      this.rebuild = { reason: 'import config changed', at: new Date().toISOString(), full: true };
+      this.graph = null;
+      changed = sourceFiles;
+      deleted = [];
+      this.diagnostics = new Map();
+    }
+
+    changed = this._withStubPartners(changed, deleted);
+
     const isColdStart = !this.graph;
     if (isColdStart) {
-      process.stderr.write(`Indexing ${this.projectRoot}... ${changed.length} files found, parsing...\n`);
+      process.stderr.write(`Indexing ${this.label}... ${changed.length} files found, parsing...\n`);
     }
 
     const t0 = Date.now();
+    for (const f of deleted) this.diagnostics.delete(f);
     const newSymbols = await this._parseFiles(changed);
 
     if (!this.graph) {
       // Full build from scratch
-      this.graph = buildGraph(newSymbols);
+      this._setGraph(buildGraph(newSymbols, { resolverConfig: this.resolverConfig }));
     } else {
       // Incremental update
       const allRemoved = [...deleted, ...changed];
-      updateGraphFiles(this.graph, allRemoved, newSymbols);
+      updateGraphFiles(this.graph, allRemoved, newSymbols, { resolverConfig: this.resolverConfig });
     }
 
-    await saveGraph(this.graph, this.mtimes, this.cachePath);
+    await this._persist();
+    await this.parseCache.prune(totalScanned);
 
     if (isColdStart) {
       const elapsed = ((Date.now() - t0) / 1000).toFixed(1);
@@ -191,24 +402,202 @@ class CodeIndexCache {
     return { changed: changed.length, deleted: deleted.length, totalScanned };
   }
 
+  /**
+   * Adopt a graph and start tracking which cache shards its mutations touch.
+   * A freshly built or migrated graph has nothing on disk yet: all dirty.
+   */
+  _setGraph(graph, { allDirty = true } = {}) {
+    this.graph = graph;
+    const dirty = new Set();
+    trackDirtyShards(graph, dirty);
+    this.dirtyShards = allDirty ? null : dirty;
+    this._trackedShards = dirty;
+  }
+
+  async _save() {
+    await saveGraph(this.graph, this.mtimes, this.cachePath, {
+      root: this.projectRoot,
+      revision: this.revision && { ref: this.revision.ref, commit: this.revision.commit, tree: this.revision.tree },
+      hashes: this.hashes,
+      diagnostics: this.diagnostics,
+      fingerprint: this.fingerprint,
+      rebuild: this.rebuild,
+      dirtyShards: this.dirtyShards,
+    });
+    this.metaChanged = false;
+    this._trackedShards.clear();
+    this.dirtyShards = this._trackedShards;
+  }
+
+  /**
+   * Save now, or — while watching, where updates arrive in bursts — soon.
+   */
+  async _persist() {
+    if (!this.watcher) return this._save();
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this._save().catch(() => {});
+    }, WATCH_SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Watch the project tree and keep the index current from file events:
+   * ensure() then re-checks only the reported paths instead of globbing
+   * and stat-ing the whole tree. `onChange` fires after each event so
+   * callers can schedule an ensure(). Call after a first ensure().
+   */
+  async watch({ onChange } = {}) {
+    if (this.watcher) return;
+    if (this.revision) throw new Error(`${this.label} is a git revision; it never changes`);
+    this.watcher = new TreeWatcher(this.projectRoot, {
+      ignoreMatcher: () => this._ignoreMatcher(),
+      onPath: (relPath) => {
+        this.dirtyPaths.add(relPath);
+        if (onChange) onChange();
+      },
+      onOverflow: () => {
+        // Events may have been lost; fall back to one full scan
+        this.needsFullScan = true;
+        if (onChange) onChange();
+      },
+    });
+    await this.watcher.start();
+  }
+
+  /**
+   * Stop watching and write any pending save.
+   */
+  async unwatch() {
+    if (!this.watcher) return;
+    this.watcher.close();
+    this.watcher = null;
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      if (this.graph) await this._save();
+    }
+  }
+
   /**
    * Load project-level config from .code-index/config.json.
-   * Merges extra ignore patterns with built-in defaults.
+   * Merges extra ignore patterns with built-in defaults; a pattern starting
+   * with "!" re-includes paths the defaults or ignore files exclude.
+   * `languages` maps more extensions to a language (or remaps built-in
+   * ones), `shebangs` indexes extensionless scripts by their `#!` line (see
+   * languageConfig()) and `include` limits indexing to the given trees.
    *
    * Config format:
    * {
-   *   "ignore": ["extra/pattern/**", "another/**"]
+   *   "ignore": ["extra/pattern/**", "another/**"],
+   *   "languages": { ".es6": "javascript", ".inl": "cpp" },
+   *   "shebangs": { "pypy": "python" },
+   *   "include": ["src", "packages/api/**"]
    * }
    */
   async _loadConfig() {
+    this.ignorePatterns = this.baseIgnorePatterns;
+    this.extensions = this.baseExtensions;
+    this.languages = { extensions: {}, shebangs: null };
+    this.include = null;
+    let raw;
     try {
-      const raw = JSON.parse(await readFile(this.configPath, 'utf-8'));
-      if (Array.isArray(raw.ignore)) {
-        this.ignorePatterns = [...this.ignorePatterns, ...raw.ignore];
-      }
+      raw = JSON.parse(this.revision ? this.revision.readTextSync(this.configPath) : await readFile(this.configPath, 'utf-8'));
     } catch {
       // No config file or invalid JSON — use defaults only
+      return;
+    }
+    if (!raw || typeof raw !== 'object') return;
+    if (Array.isArray(raw.ignore)) {
+      this.ignorePatterns = [...this.baseIgnorePatterns, ...raw.ignore.map(pattern => ({ pattern, source: CONFIG_PATH }))];
+    }
+    this.languages = languageConfig(raw);
+    this.extensions = [...new Set([...this.baseExtensions, ...Object.keys(this.languages.extensions)])];
+    if (Array.isArray(raw.include)) {
+      const globs = raw.include.filter(g => typeof g === 'string' && g);
+      if (globs.length > 0) this.include = new IncludeFilter(globs);
+    }
+  }
+
+  /**
+   * What the cache is stamped with: the BetterRank version and graph
+   * schema, installed grammar versions, a hash of the tree-sitter queries,
+   * a hash of the effective ignore patterns, include globs and extensions,
+   * and — when config.json sets any — a hash of the language mappings.
+   * Call after _loadConfig().
+   */
+  _fingerprint() {
+    const hash = (value) => createHash('sha1').update(JSON.stringify(value)).digest('hex').slice(0, 16);
+    const config = hash({
+      ignore: this.ignorePatterns.map(p => p.pattern),
+      extensions: this.extensions,
+      ...(this.include ? { include: this.include.globs } : {}),
+    });
+    const mapped = Object.keys(this.languages.extensions).length > 0 || this.languages.shebangs;
+    return {
+      version: VERSION,
+      schema: GRAPH_SCHEMA,
+      ...parserFingerprint(),
+      config,
+      ...(mapped ? { languages: hash(this.languages) } : {}),
+    };
+  }
+
+  /**
+   * Write a portable copy of the index — relative paths and content
+   * hashes, no mtimes — for committing next to the code. Defaults to
+   * .code-index/index.json.gz under the project root.
+   * Returns { path, files, nodes, edges }.
+   */
+  async exportPortable(path = PORTABLE_INDEX_PATH) {
+    if (this.revision) throw new Error('Portable indexes are exported from a checkout, not a --rev');
+    await this.ensure();
+    const outPath = resolve(this.projectRoot, path);
+    const counts = await savePortableIndex(outPath, {
+      graph: this.graph,
+      hashes: this.hashes,
+      diagnostics: this.diagnostics,
+      fingerprint: this.fingerprint,
+    });
+    return { path: outPath, ...counts };
+  }
+
+  /**
+   * Replace the local cache with a portable index, then bring it up to
+   * date: only files whose content hash differs from the exported one are
+   * reparsed. A fresh checkout with no local cache does this on its own
+   * for .code-index/index.json.gz.
+   */
+  async importPortable(path = PORTABLE_INDEX_PATH) {
+    if (this.revision) throw new Error('Portable indexes are imported into a checkout, not a --rev');
+    await this._loadConfig();
+    this.fingerprint = this._fingerprint();
+    await this._adoptPortable(resolve(this.projectRoot, path));
+    this.initialized = true;
+    this.needsFullScan = true;
+    return this.ensure();
+  }
+
+  /**
+   * Take graph, hashes and diagnostics from a portable index. Every file
+   * gets mtime 0, so the next scan hashes it and treats it as changed only
+   * if its content differs. Throws if the file is missing or was built by
+   * different parsing code.
+   */
+  async _adoptPortable(absPath) {
+    const portable = await loadPortableIndex(absPath);
+    if (!portable) throw new Error(`No portable index at ${absPath}`);
+    const change = fingerprintChange(portable.fingerprint, this.fingerprint);
+    if (change && change.full) {
+      throw new Error(`${absPath} was exported with different parsing (${change.reason}); export it again`);
     }
+    this._setGraph(portable.graph);
+    this.hashes = portable.hashes;
+    this.mtimes = new Map([...portable.hashes.keys()].map(f => [f, 0]));
+    this.diagnostics = portable.diagnostics;
+    this.rebuild = { reason: `imported ${relative(this.projectRoot, absPath)}`, at: new Date().toISOString(), full: false };
+    this.metaChanged = true;
   }
 
   /**
@@ -216,46 +605,97 @@ class CodeIndexCache {
    */
   async reindex() {
     this.graph = null;
+    this.rebuild = { reason: 'reindex requested', at: new Date().toISOString(), full: true };
     this.mtimes = new Map();
+    this.hashes = new Map();
+    this.diagnostics = new Map();
     this.initialized = false;
 
-    // Delete the cache file
+    // Delete the cache index, its shards and cached parses
     try {
       const { unlink } = await import('fs/promises');
       await unlink(this.cachePath);
     } catch {
       // doesn't exist, fine
     }
+    await removeShards(this.cachePath);
+    await this.parseCache.clear();
 
     return this.ensure();
   }
 
+  /**
+   * Explain whether a path is scanned: which ignore pattern or ignore-file
+   * rule decides it. See IgnoreMatcher.explain() for the result shape; a
+   * path outside config.json's include globs is reported with
+   * `outsideInclude`. Call after ensure() so config.json is loaded.
+   */
+  explainIgnore(relPath, isDir = false) {
+    const verdict = this._ignoreMatcher().explain(relPath, isDir);
+    if ((verdict && verdict.ignored) || !this.include) return verdict;
+    if (this.include.includes(relPath) || (isDir && this.include.leadsTo(relPath))) return verdict;
+    return { ignored: true, source: CONFIG_PATH, pattern: this.include.globs.join(', '), outsideInclude: true };
+  }
+
+  /**
+   * A fresh matcher over the current patterns. For a revision, ignore files
+   * are the revision's own (see _preloadRevision()).
+   */
+  _ignoreMatcher() {
+    if (!this.revision) return new IgnoreMatcher(this.projectRoot, this.ignorePatterns);
+    return new IgnoreMatcher(this.projectRoot, this.ignorePatterns, { readFile: (absPath) => this.revision.readTextSync(absPath) });
+  }
+
+  async _loadResolverConfig() {
+    if (!this.revision) return loadResolverConfig(this.projectRoot, this.configFiles);
+    return loadResolverConfig(this.projectRoot, this.configFiles, (absPath) => this.revision.readTextSync(absPath));
+  }
+
   /**
    * Walk the project tree and find files that have changed since last parse.
+   * Paths excluded by ignore patterns or ignore files (.gitignore, .ignore,
+   * .betterrankignore, .git/info/exclude) are never visited.
+   * A newer mtime only counts as a change when the content hash differs too;
+   * `touched` counts files whose mtime moved but whose bytes did not.
+   * Import-resolution config files (tsconfig, jsconfig, package.json) are
+   * tracked alongside sources; `configChanged` reports edits to any of them.
    */
   async _getChangedFiles() {
-    const pattern = `**/*{${this.extensions.join(',')}}`;
-    const files = await glob(pattern, {
+    // A full scan covers every path the watcher reported so far; directories
+    // it couldn't watch get another try first, so the scan covers the
+    // time before a retry succeeds
+    this.needsFullScan = false;
+    this.dirtyPaths.clear();
+    if (this.watcher) this.watcher.retryUnwatched();
+
+    const files = await glob(this._scanPatterns(), {
       cwd: this.projectRoot,
-      ignore: this.ignorePatterns,
+      ignore: this._ignoreMatcher().globIgnore(),
       absolute: true,
       nodir: true,
     });
 
     const changed = [];
     const currentFiles = new Set();
+    const sourceFiles = [];
+    const configFiles = [];
+    let configChanged = false;
+    let touched = 0;
 
     for (const absPath of files) {
       const relPath = relative(this.projectRoot, absPath);
+      const kind = this._fileKind(relPath);
+      if (!kind || (kind === 'script' && !(await this._isScript(absPath)))) continue;
+      const isConfig = kind === 'config';
       currentFiles.add(relPath);
+      (isConfig ? configFiles : sourceFiles).push(relPath);
 
       try {
         const { mtimeMs } = await stat(absPath);
-        const storedMtime = this.mtimes.get(relPath);
-        if (storedMtime === undefined || storedMtime < mtimeMs) {
-          changed.push(relPath);
-          this.mtimes.set(relPath, mtimeMs);
-        }
+        const state = await this._checkFile(relPath, absPath, mtimeMs);
+        if (state === 'touched') touched++;
+        else if (state === 'changed' && isConfig) configChanged = true;
+        else if (state === 'changed') changed.push(relPath);
       } catch {
         // file disappeared between glob and stat
       }
@@ -264,41 +704,500 @@ class CodeIndexCache {
     const deleted = [];
     for (const [f] of this.mtimes) {
       if (!currentFiles.has(f)) {
-        deleted.push(f);
+        if (isResolverConfigFile(f)) configChanged = true;
+        else deleted.push(f);
         this.mtimes.delete(f);
+        this.hashes.delete(f);
       }
     }
 
-    return { changed, deleted, totalScanned: files.length };
+    this.configFiles = configFiles;
+    return { changed, deleted, touched, totalScanned: sourceFiles.length, sourceFiles, configChanged };
   }
 
   /**
-   * Parse a batch of files and return their symbol data.
+   * Glob patterns a full scan walks: source files — every file, when
+   * extensionless scripts are detected — and import-resolution config.
+   * Include globs narrow both (see IncludeFilter).
    */
-  async _parseFiles(relPaths) {
-    const results = [];
+  _scanPatterns() {
+    if (this.include) return this.include.scanPatterns(RESOLVER_CONFIG_PATTERNS.map(p => p.replace(/^\*\*\//, '')));
+    const sources = this.languages.shebangs ? '**/*' : `**/*{${this.extensions.join(',')}}`;
+    return [sources, ...RESOLVER_CONFIG_PATTERNS];
+  }
 
-    for (const relPath of relPaths) {
+  /**
+   * What a path is to the index: 'source' (an indexed extension), 'config'
+   * (import-resolution config), 'script' (no extension, with shebang
+   * detection on — a source if _isScript() agrees) or null. Outside the
+   * include globs only config in the directories leading to them counts.
+   */
+  _fileKind(relPath) {
+    let kind = null;
+    if (this.extensions.some(ext => relPath.endsWith(ext))) kind = 'source';
+    else if (isResolverConfigFile(relPath)) kind = 'config';
+    else if (this.languages.shebangs && !basename(relPath).includes('.')) kind = 'script';
+    if (!kind || !this.include || this.include.includes(relPath)) return kind;
+    return kind === 'config' && this.include.leadsTo(dirname(relPath)) ? kind : null;
+  }
+
+  /**
+   * Whether an extensionless file's `#!` line names an interpreter whose
+   * language we parse.
+   */
+  async _isScript(absPath) {
+    let handle;
+    try {
+      handle = await open(absPath, 'r');
+      const { bytesRead, buffer } = await handle.read(Buffer.alloc(SHEBANG_SNIFF_BYTES), 0, SHEBANG_SNIFF_BYTES, 0);
+      return detectLanguage(absPath, buffer.toString('utf-8', 0, bytesRead), this.languages) !== null;
+    } catch {
+      return false;
+    } finally {
+      await handle?.close();
+    }
+  }
+
+  /**
+   * Compare a file's mtime and content hash with what was last indexed,
+   * recording the new values. Returns 'changed', 'touched' (mtime moved,
+   * bytes didn't) or 'unchanged'. A source file with no hash to compare
+   * against — every file on a cold start — isn't read here: its parse
+   * reports the hash. The bytes of one that is read are kept for the parse.
+   */
+  async _checkFile(relPath, absPath, mtimeMs) {
+    const storedMtime = this.mtimes.get(relPath);
+    if (storedMtime !== undefined && storedMtime >= mtimeMs) return 'unchanged';
+    this.mtimes.set(relPath, mtimeMs);
+    const storedHash = this.hashes.get(relPath);
+    const isConfig = isResolverConfigFile(relPath);
+    if (storedHash === undefined && !isConfig) return 'changed';
+    const buf = await this._readBytes(absPath);
+    const hash = buf && hashContent(buf);
+    if (hash && hash === storedHash) return 'touched';
+    if (hash) this.hashes.set(relPath, hash);
+    else this.hashes.delete(relPath);
+    if (buf && !isConfig) this.blobs.set(relPath, buf);
+    return 'changed';
+  }
+
+  /**
+   * Watch-mode counterpart of _getChangedFiles(): re-check only the paths
+   * the watcher reported. Anything that could change the file set in bulk
+   * or how imports resolve — a directory event, an ignore file, config.json,
+   * tsconfig/package.json — falls back to a full scan.
+   */
+  async _getChangedWatchedFiles() {
+    const paths = [...this.dirtyPaths];
+    this.dirtyPaths.clear();
+
+    const candidates = [];
+    for (const relPath of paths) {
+      const name = basename(relPath);
+      if (IGNORE_FILES.includes(name) || relPath === CONFIG_PATH || relPath === '.git/info/exclude' || isResolverConfigFile(relPath)) {
+        return this._getChangedFiles();
+      }
       const absPath = join(this.projectRoot, relPath);
+      let st = null;
       try {
-        const source = await readFile(absPath, 'utf-8');
-        const result = await parseFile(relPath, source);
-        if (result) results.push(result);
+        st = await stat(absPath);
       } catch {
-        // skip unparseable files
+        // deleted or renamed away
+      }
+      if (st && st.isDirectory()) return this._getChangedFiles();
+      if (!st && !this.mtimes.has(relPath)) {
+        // A removed directory takes its tracked files with it
+        if ([...this.mtimes.keys()].some(f => f.startsWith(relPath + '/'))) return this._getChangedFiles();
+        continue;
+      }
+      candidates.push({ relPath, absPath, st });
+    }
+
+    const matcher = this._ignoreMatcher();
+    const changed = [];
+    const deleted = [];
+    let touched = 0;
+    for (const { relPath, absPath, st } of candidates) {
+      const tracked = this.mtimes.has(relPath);
+      const kind = st ? this._fileKind(relPath) : null;
+      const wanted = (kind === 'source' || (kind === 'script' && await this._isScript(absPath)))
+        && !relPath.split('/').some(part => part.startsWith('.'))
+        && !matcher.ignores(relPath, false);
+      if (!wanted) {
+        if (tracked) {
+          deleted.push(relPath);
+          this.mtimes.delete(relPath);
+          this.hashes.delete(relPath);
+        }
+        continue;
+      }
+      const state = await this._checkFile(relPath, absPath, st.mtimeMs);
+      if (state === 'touched') touched++;
+      else if (state === 'changed') changed.push(relPath);
+    }
+
+    const totalScanned = this.mtimes.size - this.configFiles.length;
+    return { changed, deleted, touched, totalScanned, sourceFiles: null, configChanged: false };
+  }
+
+  /**
+   * _getChangedFiles() for a revision: the same selection (extensions and
+   * scripts, include globs, no dot paths, ignore patterns and the
+   * revision's ignore files) over the revision's tree instead of the disk.
+   * A tree never changes, so an indexed file is always current; only files
+   * the selection gains — all of them on the first build — are read, and
+   * their contents kept for _parseFiles().
+   */
+  async _getRevisionFiles() {
+    const matcher = this._ignoreMatcher();
+    const changed = [];
+    const currentFiles = new Set();
+    const sourceFiles = [];
+    const configFiles = [];
+    let configChanged = false;
+    const scripts = [];
+
+    for (const relPath of this.revision.list().keys()) {
+      if (relPath.split('/').some(part => part.startsWith('.'))) continue;
+      const kind = this._fileKind(relPath);
+      if (!kind || matcher.ignores(relPath, false)) continue;
+      // A new extensionless file is in once its `#!` line is read, below
+      if (kind === 'script' && !this.mtimes.has(relPath)) {
+        scripts.push(relPath);
+        continue;
       }
+      const isSource = kind !== 'config';
+      currentFiles.add(relPath);
+      (isSource ? sourceFiles : configFiles).push(relPath);
+      if (this.mtimes.has(relPath)) continue;
+      this.mtimes.set(relPath, 0);
+      if (isSource) changed.push(relPath);
+      else configChanged = true;
+    }
+
+    for (const [relPath, buf] of await this.revision.readFiles(changed)) {
+      this.hashes.set(relPath, hashContent(buf));
+      this.blobs.set(relPath, buf);
+    }
+    for (const [relPath, buf] of await this.revision.readFiles(scripts)) {
+      if (!detectLanguage(relPath, buf.toString('utf-8', 0, SHEBANG_SNIFF_BYTES), this.languages)) continue;
+      currentFiles.add(relPath);
+      sourceFiles.push(relPath);
+      changed.push(relPath);
+      this.mtimes.set(relPath, 0);
+      this.hashes.set(relPath, hashContent(buf));
+      this.blobs.set(relPath, buf);
     }
 
-    return results;
+    const deleted = [];
+    for (const [f] of this.mtimes) {
+      if (!currentFiles.has(f)) {
+        if (isResolverConfigFile(f)) configChanged = true;
+        else deleted.push(f);
+        this.mtimes.delete(f);
+        this.hashes.delete(f);
+      }
+    }
+
+    this.configFiles = configFiles;
+    return { changed, deleted, touched: 0, totalScanned: sourceFiles.length, sourceFiles, configChanged };
+  }
+
+  /**
+   * Read the revision's ignore files, config.json and resolver config up
+   * front: ignore files are read synchronously (see IgnoreMatcher), and one
+   * `git cat-file` beats one per file.
+   */
+  async _preloadRevision() {
+    const paths = [CONFIG_PATH];
+    for (const relPath of this.revision.list().keys()) {
+      if (IGNORE_FILES.includes(basename(relPath)) || isResolverConfigFile(relPath)) paths.push(relPath);
+    }
+    // .gitignore files between the repository root and the project root
+    const depth = this.revision.prefix.split('/').filter(Boolean).length;
+    for (let up = 1; up <= depth; up++) paths.push(`${'../'.repeat(up)}.gitignore`);
+    await this.revision.preload(paths);
+  }
+
+  async _readBytes(absPath) {
+    try {
+      return await readFile(absPath);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Parse a batch of files and return their symbol data, in input order.
+   * Files whose (path, content hash) was parsed before — e.g. on another
+   * branch — come from the parse-result cache; the rest are parsed and
+   * added to it. Replaces each file's entry in this.diagnostics with what
+   * the parse found — skipped, unreadable and partially parsed files all
+   * land there. `.pyi` stubs come back merged into their modules.
+   * Each file is read once: by the scan that hashed it, here for a cache
+   * lookup, or else by the parse, which reports its hash.
+   */
+  async _parseFiles(relPaths) {
+    let parsed = new Array(relPaths.length).fill(null);
+    // With nothing cached yet (a first build) every lookup would miss
+    if (!(await this.parseCache.isEmpty())) {
+      if (!this.revision) await this._readUnhashed(relPaths);
+      parsed = await this.parseCache.getMany(relPaths.map(p => [p, this.hashes.get(p)]));
+    }
+    const misses = [];
+    parsed.forEach((entry, i) => { if (!entry) misses.push(i); });
+
+    const paths = misses.map(i => relPaths[i]);
+    const contents = this.revision ? await this._revisionContents(paths) : paths.map(p => this.blobs.get(p));
+    this.blobs.clear();
+    const fresh = await parseSourceFiles(this.projectRoot, paths, { workers: this.workers, contents, languages: this.languages });
+    const toCache = [];
+    for (let j = 0; j < misses.length; j++) {
+      const relPath = relPaths[misses[j]];
+      const { hash, ...entry } = fresh[j];
+      parsed[misses[j]] = entry;
+      if (!hash) continue;
+      this.hashes.set(relPath, hash);
+      toCache.push([relPath, hash, entry]);
+    }
+    await this.parseCache.setMany(toCache);
+
+    const results = [];
+
+    relPaths.forEach((relPath, i) => {
+      const { result, diagnostics } = parsed[i];
+      if (result) results.push(result);
+      if (diagnostics.length > 0) this.diagnostics.set(relPath, diagnostics);
+      else this.diagnostics.delete(relPath);
+    });
+
+    return mergeStubs(results);
+  }
+
+  /**
+   * A module and its `.pyi` stub are parsed together (see mergeStubs()):
+   * when either changes, appears or goes away, the other is reparsed too.
+   */
+  _withStubPartners(changed, deleted) {
+    const batch = new Set(changed);
+    for (const f of [...changed, ...deleted]) {
+      const partner = f.endsWith('.py') ? `${f}i` : f.endsWith('.pyi') ? f.slice(0, -1) : null;
+      if (partner && this.mtimes.has(partner)) batch.add(partner);
+    }
+    return batch.size === changed.length ? changed : [...batch];
+  }
+
+  /**
+   * Read and hash the files in a batch the scan didn't (see _checkFile()),
+   * keeping their bytes for the parse, so they can be looked up in the
+   * parse-result cache — a file new to this branch may have been parsed
+   * on another.
+   */
+  async _readUnhashed(relPaths) {
+    const unhashed = relPaths.filter(p => !this.hashes.has(p));
+    await mapConcurrent(unhashed, READ_CONCURRENCY, async (relPath) => {
+      const buf = await this._readBytes(join(this.projectRoot, relPath));
+      if (!buf) return;
+      this.hashes.set(relPath, hashContent(buf));
+      this.blobs.set(relPath, buf);
+    });
+  }
+
+  /**
+   * Bytes of revision files, aligned with relPaths: those read while
+   * scanning, the rest (e.g. everything, when import config changed) from
+   * git now.
+   */
+  async _revisionContents(relPaths) {
+    const unread = relPaths.filter(p => !this.blobs.has(p));
+    for (const [relPath, buf] of await this.revision.readFiles(unread)) this.blobs.set(relPath, buf);
+    const contents = relPaths.map(p => this.blobs.get(p) || Buffer.alloc(0));
+    this.blobs.clear();
+    return contents;
   }
 
   getGraph() {
     return this.graph;
   }
 
+  /**
+   * Text of an indexed file — from the revision when indexing one, else
+   * from disk.
+   */
+  async readSource(file) {
+    if (this.revision) return this.revision.readText(file);
+    return readFile(join(this.projectRoot, file), 'utf-8');
+  }
+
+  isDirectory(file) {
+    if (this.revision) return this.revision.isDirectory(file);
+    return isDirectory(join(this.projectRoot, file));
+  }
+
   getMtimes() {
     return this.mtimes;
   }
+
+  getDiagnostics() {
+    return this.diagnostics;
+  }
+
+  /**
+   * Workspace packages (see resolve.js findWorkspaces()). ensure() only
+   * reads resolver config when files changed, so load it here if needed.
+   */
+  async getWorkspaces() {
+    if (this.resolverConfig === EMPTY_RESOLVER_CONFIG && this.configFiles.length > 0) {
+      this.resolverConfig = await this._loadResolverConfig();
+    }
+    return this.resolverConfig.workspaces || [];
+  }
+
+  getRebuild() {
+    return this.rebuild;
+  }
+
+  /**
+   * The project roots behind the graph's keys, as { name, root, prefix, rev }
+   * where `rev` is the commit indexed, or null for the working copy. One
+   * unprefixed root here; see FederatedCache for several.
+   */
+  roots() {
+    return [{ name: null, root: this.projectRoot, prefix: '', rev: this.revision ? this.revision.commit : null }];
+  }
+
+  /**
+   * Where a graph path lives on disk: { root, path } with `path` relative
+   * to `root`.
+   */
+  locate(file) {
+    return { root: this.projectRoot, path: file };
+  }
+}
+
+// ── Cache management ─────────────────────────────────────
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Everything stored for one project: the index, its shards and its parse
+ * results share the index file's name.
+ */
+function cacheArtifacts(cachePath) {
+  const stem = cachePath.replace(/\.json$/, '');
+  return [cachePath, `${stem}.shards`, `${stem}.parses`];
+}
+
+async function diskUsage(path) {
+  let st;
+  try {
+    st = await stat(path);
+  } catch {
+    return 0;
+  }
+  if (!st.isDirectory()) return st.size;
+  let total = 0;
+  for (const name of await readdir(path).catch(() => [])) total += await diskUsage(join(path, name));
+  return total;
+}
+
+async function describeCache(cachePath) {
+  let lastUsed;
+  try {
+    lastUsed = (await stat(cachePath)).mtimeMs;
+  } catch {
+    return null;
+  }
+  let raw = {};
+  try {
+    raw = JSON.parse(await readFile(cachePath, 'utf-8'));
+  } catch {
+    // Unreadable index: still listed so it can be pruned
+  }
+  const root = typeof raw.root === 'string' ? raw.root : null;
+  let size = 0;
+  for (const path of cacheArtifacts(cachePath)) size += await diskUsage(path);
+  return {
+    root,
+    revision: raw.revision || null,
+    cachePath,
+    size,
+    files: Array.isArray(raw.files) ? raw.files.length : Object.keys(raw.mtimes || {}).length,
+    lastUsed: new Date(lastUsed).toISOString(),
+    rootExists: root !== null && isDirectory(root),
+  };
+}
+
+/**
+ * Every project cache in the cache directory, most recently used first:
+ * [{ root, revision, cachePath, size, files, lastUsed, rootExists }]. `root`
+ * is null for caches written before roots were recorded; `revision` is
+ * { ref, commit, tree } for a cache of a git revision, else null; `size`
+ * is in bytes and covers shards and cached parses.
+ */
+async function listCaches() {
+  let names;
+  try {
+    names = await readdir(CACHE_DIR);
+  } catch {
+    return [];
+  }
+  const caches = [];
+  for (const name of names) {
+    if (!/^[0-9a-f]{12}\.json$/.test(name)) continue;
+    const info = await describeCache(join(CACHE_DIR, name));
+    if (info) caches.push(info);
+  }
+  return caches.sort((a, b) => b.lastUsed.localeCompare(a.lastUsed));
+}
+
+async function removeCache(cachePath) {
+  for (const path of cacheArtifacts(cachePath)) {
+    await rm(path, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Delete caches whose project root no longer exists, and — with
+ * `olderThanDays` — caches not used for that many days. Returns the
+ * removed (or, with `dryRun`, removable) caches in listCaches() form,
+ * each with a `reason`.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.olderThanDays] - Also prune caches unused this long
+ * @param {boolean} [opts.dryRun] - Report what would be removed, remove nothing
+ */
+async function pruneCaches({ olderThanDays, dryRun = false } = {}) {
+  const cutoff = olderThanDays !== undefined ? Date.now() - olderThanDays * DAY_MS : null;
+  const pruned = [];
+  for (const info of await listCaches()) {
+    let reason = null;
+    if (info.root !== null && !info.rootExists) reason = 'root no longer exists';
+    else if (cutoff !== null && Date.parse(info.lastUsed) < cutoff) reason = `unused for ${olderThanDays}+ days`;
+    if (!reason) continue;
+    if (!dryRun) await removeCache(info.cachePath);
+    // A revision's parses live with its root's cache, gone with the root
+    if (!dryRun && info.revision && !info.rootExists) await removeCache(cachePathForRoot(info.root));
+    pruned.push({ ...info, reason });
+  }
+  return pruned;
+}
+
+/**
+ * Delete the caches for one project root: its working copy's and those of
+ * its revisions. Returns what was removed in listCaches() form, `size`
+ * summed over all of them, or null if the root had no cache.
+ */
+async function clearCache(projectRoot) {
+  const caches = [
+    await describeCache(cachePathForRoot(projectRoot)),
+    ...(await listCaches()).filter(c => c.revision && c.root === projectRoot),
+  ].filter(Boolean);
+  if (caches.length === 0) return null;
+  for (const info of caches) await removeCache(info.cachePath);
+  // Revisions keep their parses with the working copy's cache
+  await removeCache(cachePathForRoot(projectRoot));
+  return { ...caches[0], size: caches.reduce((sum, c) => sum + c.size, 0) };
 }
 
-export { CodeIndexCache, CACHE_DIR, cachePathForRoot };
+export { CodeIndexCache, CACHE_DIR, cachePathForRoot, loadLanguageConfig, listCaches, pruneCaches, clearCache };
@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 
-import { CodeIndex } from './index.js';
-import { resolve, relative, isAbsolute } from 'path';
+import { CodeIndex, loadWorkspaceFile } from './index.js';
+import { resolve, relative, isAbsolute, sep } from 'path';
 import { readFile } from 'fs/promises';
 
 const DEFAULT_LIMIT = 50;
@@ -12,35 +12,48 @@ betterrank <command> [options]
 
 Commands:
   ui          [--port N]                            Launch web UI (default port: 3333)
-  outline     <file> [symbol1,symbol2] [--annotate]  File skeleton (--annotate for caller counts)
-  map         [--focus file1,file2]                 Repo map (ranked by PageRank)
-  search      <query> [--kind type]                 Substring search on symbol names + signatures (ranked by PageRank)
+  outline     <file> [symbol1,symbol2] [--annotate] [--docs]  File skeleton (--annotate for caller counts)
+  map         [--focus file1,file2] [--docs] [--exported] [--package name]  Repo map (ranked by PageRank)
+  search      <query> [--kind type] [--param name] [--returns type] [--docs] [--package name]  Substring search on symbol names + signatures (ranked by PageRank)
   structure   [--depth N]                           File tree with symbol counts (default depth: ${DEFAULT_DEPTH})
-  symbols     [--file path] [--kind type]           List definitions (ranked by PageRank)
+  symbols     [--file path] [--kind type] [--exported]  List definitions (ranked by PageRank)
   callers     <symbol> [--file path] [--context]     All call sites (ranked, with context lines)
   context     <symbol> [--file path]                 Full context: source, deps, types, callers
   history     <symbol> [--file path]                Git history of a specific function
   trace       <symbol> [--depth N]                  Recursive caller chain (upward)
   callees     <symbol> [--depth N]                  Recursive callee chain (downward)
   diff        [--ref <commit>]                      Git-aware blast radius (changed symbols + callers)
-  deps        <file>                                What this file imports (ranked)
+  deps        <file> [--package name]               What this file imports (ranked)
   dependents  <file>                                What imports this file (ranked)
   neighborhood <file> [--hops N] [--max-files N]    Local subgraph (ranked by PageRank)
-  orphans     [--level file|symbol] [--kind type]   Find disconnected files/symbols
+  orphans     [--level file|symbol] [--kind type] [--exported] [--package name]  Find disconnected files/symbols
+  packages                                          Workspace packages and how they depend on each other
+  complexity  [--file path] [--min N]               Complex functions weighted by PageRank (risky hot spots)
+  diagnostics [--file path] [--type type]           Syntax errors, skipped files and other indexing problems
+  check-ignore <path>                               Why a path is indexed or ignored (.gitignore etc.)
   compare     <pathA> <pathB>                        Structural diff between two files/dirs
+  watch       [--stop]                              Keep the index hot; other commands use it automatically
+  cache       list | prune [--days N] | clear       Manage cached indexes of all projects
+  export      [--output path]                       Write a portable index to .code-index/ for other checkouts
+  import      [--input path]                        Load a portable index; reparse only files that differ
   reindex                                           Force full rebuild
   stats                                             Index statistics
 
 Global flags:
   --root <path>     Project root (default: cwd). Always pass this explicitly.
+                    Repeat to query several roots as one index (paths get a root-name prefix)
+  --workspace <file>  Query the roots listed in a VS Code .code-workspace file as one index
+  --rev <ref>       Query a git tag, branch or commit instead of the working copy
+                    (read from git; nothing is checked out)
   --count           Return counts only (no content)
   --offset N        Skip first N results
   --limit N         Max results to return (default: ${DEFAULT_LIMIT} for list commands)
+  --no-daemon       Don't use a running watch daemon; index in this process
   --help            Show help for a command (e.g. betterrank search --help)
 `.trim();
 
 const COMMAND_HELP = {
-  outline: `betterrank outline <file> [symbol1,symbol2,...] [--annotate --root <path>]
+  outline: `betterrank outline <file> [symbol1,symbol2,...] [--annotate --root <path>] [--rev <ref>]
 
 View a file's structure with function/class bodies collapsed, or expand
 specific symbols to see their full source.
@@ -54,20 +67,28 @@ specific functions/classes with line numbers.
 Options:
   --root <path>     Resolve file path relative to this directory
   --annotate        Show caller counts next to each function (requires --root)
+  --docs            Show doc summaries hidden inside collapsed bodies (Python docstrings)
+  --rev <ref>       The file as of a git tag, branch or commit (annotations too)
 
 Examples:
   betterrank outline src/auth.py
   betterrank outline src/auth.py authenticate_user
   betterrank outline src/auth.py validate,process
   betterrank outline src/handlers.ts --root ./backend
-  betterrank outline src/auth.py --annotate --root ./backend`,
+  betterrank outline src/auth.py --annotate --root ./backend
+  betterrank outline src/auth.py --docs
+  betterrank outline src/auth.py --rev HEAD~3 --root .`,
 
-  map: `betterrank map [--focus file1,file2] [--root <path>]
+  map: `betterrank map [--focus file1,file2] [--docs] [--exported] [--package name] [--root <path>]
 
 Aider-style repo map: the most structurally important definitions ranked by PageRank.
 
 Options:
   --focus <files>   Comma-separated files to bias ranking toward
+  --docs            Show each symbol's doc summary under its signature
+  --exported        Only exported/public symbols (the package's API surface)
+  --package <name>  Only symbols of this workspace package (name or directory);
+                    ranking stays repo-wide, so cross-package use still counts
   --count           Return total symbol count only
   --offset N        Skip first N symbols
   --limit N         Max symbols to return (default: ${DEFAULT_LIMIT})
@@ -75,15 +96,21 @@ Options:
 Examples:
   betterrank map --root ./backend
   betterrank map --root ./frontend --limit 100
-  betterrank map --root ./backend --focus src/auth/handlers.ts,src/api/login.ts`,
+  betterrank map --root ./backend --focus src/auth/handlers.ts,src/api/login.ts
+  betterrank map --root . --docs`,
 
-  search: `betterrank search <query> [--kind type] [--root <path>]
+  search: `betterrank search <query> [--kind type] [--param name] [--returns type] [--docs] [--exported] [--package name] [--root <path>]
 
 Substring search on symbol names + full signatures (param names, types, defaults).
 Results ranked by PageRank (most structurally important first).
 
 Options:
-  --kind <type>    Filter: function, class, type, variable, namespace, import
+  --kind <type>    Filter: function, class, type, variable, constant, namespace, import
+  --param <name>   Only functions taking a parameter with this name
+  --returns <type> Only functions whose return type contains this text
+  --docs           Also match doc summaries (docstrings, JSDoc, /// comments)
+  --exported       Only exported/public symbols
+  --package <name> Only symbols of this workspace package
   --count          Return match count only
   --offset N       Skip first N results
   --limit N        Max results (default: ${DEFAULT_LIMIT})
@@ -96,7 +123,9 @@ Tips:
 Examples:
   betterrank search resolve --root ./backend
   betterrank search auth --kind function --limit 10
-  betterrank search max_age --root . --count`,
+  betterrank search max_age --root . --count
+  betterrank search --returns "Promise<User>" --root .
+  betterrank search handle --param ctx --root .`,
 
   structure: `betterrank structure [--depth N] [--root <path>]
 
@@ -108,14 +137,15 @@ Options:
 Examples:
   betterrank structure --root ./backend --depth 2`,
 
-  symbols: `betterrank symbols [--file path] [--kind type] [--root <path>]
+  symbols: `betterrank symbols [--file path] [--kind type] [--exported] [--root <path>]
 
 List symbol definitions, optionally filtered by file or kind.
 Results ranked by PageRank (most structurally important first).
 
 Options:
   --file <path>    Filter to a specific file (relative to --root)
-  --kind <type>    Filter: function, class, type, variable, namespace, import
+  --kind <type>    Filter: function, class, type, variable, constant, namespace, import
+  --exported       Only exported/public symbols
   --count          Return count only
   --offset N       Skip first N results
   --limit N        Max results (default: ${DEFAULT_LIMIT})
@@ -127,6 +157,7 @@ Examples:
   callers: `betterrank callers <symbol> [--file path] [--context [N]] [--root <path>]
 
 Find all files that reference a symbol. Ranked by file-level PageRank.
+Methods can be qualified by their class (UserService.validate).
 
 Options:
   --file <path>    Disambiguate when multiple symbols share a name
@@ -138,7 +169,8 @@ Options:
 Examples:
   betterrank callers authenticateUser --root ./backend
   betterrank callers authenticateUser --root ./backend --context
-  betterrank callers resolve --file src/utils.ts --root . --context 3`,
+  betterrank callers resolve --file src/utils.ts --root . --context 3
+  betterrank callers UserService.validate --root .`,
 
   context: `betterrank context <symbol> [--file path] [--root <path>]
 
@@ -148,6 +180,7 @@ Shows: the function's source, signatures of all functions/types it references,
 expanded type definitions from the signature, and a callers summary.
 
 Eliminates the multi-command chase of: outline → expand → search types → callers.
+Methods can be qualified by their class (Router.route).
 
 Options:
   --file <path>    Disambiguate when multiple symbols share a name
@@ -155,7 +188,8 @@ Options:
 
 Examples:
   betterrank context calculate_bid --root .
-  betterrank context Router --file src/llm.py --root .`,
+  betterrank context Router --file src/llm.py --root .
+  betterrank context Router.route --root .`,
 
   history: `betterrank history <symbol> [--file path] [--patch] [--limit N] [--root <path>]
 
@@ -173,7 +207,8 @@ Options:
 Examples:
   betterrank history calculate_bid --root .
   betterrank history calculate_bid --root . --patch --limit 3
-  betterrank history Router --file src/llm.py --root .`,
+  betterrank history Router --file src/llm.py --root .
+  betterrank history Router.route --root .`,
 
   trace: `betterrank trace <symbol> [--depth N] [--file path] [--root <path>]
 
@@ -190,7 +225,8 @@ Options:
 Examples:
   betterrank trace calculate_bid --root .
   betterrank trace send_to_firehose --root . --depth 4
-  betterrank trace authenticate --file src/auth.ts --root .`,
+  betterrank trace authenticate --file src/auth.ts --root .
+  betterrank trace AuthService.authenticate --root .`,
 
   diff: `betterrank diff [--ref <commit>] [--root <path>]
 
@@ -198,7 +234,8 @@ Git-aware blast radius — shows which symbols changed in the working tree
 and how many external files call each changed symbol.
 
 Compares current files on disk against the indexed state. Shows added,
-removed, and modified symbols with their caller counts.
+removed, and modified symbols with their caller counts. With --rev, the
+indexed revision takes the place of the files on disk.
 
 Options:
   --ref <commit>   Git ref to diff against (default: HEAD)
@@ -206,13 +243,15 @@ Options:
 Examples:
   betterrank diff --root .
   betterrank diff --ref main --root .
-  betterrank diff --ref HEAD~3 --root .`,
+  betterrank diff --ref HEAD~3 --root .
+  betterrank diff --ref v1.0 --rev v2.0 --root .`,
 
-  deps: `betterrank deps <file> [--root <path>]
+  deps: `betterrank deps <file> [--package name] [--root <path>]
 
 What this file imports / depends on. Ranked by PageRank.
 
 Options:
+  --package <name> Only dependencies inside this workspace package
   --count          Return count only
   --offset N       Skip first N results
   --limit N        Max results (default: ${DEFAULT_LIMIT})
@@ -247,17 +286,21 @@ Examples:
   betterrank neighborhood src/auth/handlers.ts --root ./backend
   betterrank neighborhood src/api/bid.js --hops 3 --max-files 20 --root .`,
 
-  orphans: `betterrank orphans [--level file|symbol] [--kind type] [--root <path>]
+  orphans: `betterrank orphans [--level file|symbol] [--kind type] [--exported] [--package name] [--root <path>]
 
 Find disconnected files or symbols — the "satellites" in the graph UI.
 
 Levels:
   file     Files with zero cross-file imports (default)
-  symbol   Symbols never referenced from outside their own file (dead code candidates)
+  symbol   Symbols never referenced from outside their own file (dead code candidates).
+           Methods are listed when nothing calls them and their class is in use.
+           Unexported symbols nothing references at all are flagged "unused".
 
 Options:
   --level <type>   "file" or "symbol" (default: file)
-  --kind <type>    Filter symbols: function, class, type, variable (only with --level symbol)
+  --kind <type>    Filter symbols: function, class, type, variable, constant (only with --level symbol)
+  --exported       Only exported/public symbols (only with --level symbol)
+  --package <name> Only files/symbols of this workspace package
   --count          Return count only
   --offset N       Skip first N results
   --limit N        Max results (default: ${DEFAULT_LIMIT})
@@ -269,8 +312,70 @@ Examples:
   betterrank orphans --root ./backend
   betterrank orphans --level symbol --root .
   betterrank orphans --level symbol --kind function --root .
+  betterrank orphans --level symbol --exported --root .
   betterrank orphans --count --root .`,
 
+  complexity: `betterrank complexity [--file path] [--min N] [--root <path>]
+
+Functions ranked by cyclomatic complexity weighted by PageRank: code that is
+both convoluted and central comes first. Each line shows cyclomatic
+complexity (cc), maximum nesting depth, parameter count and length in lines.
+
+Options:
+  --file <path>    Only functions in this file (relative to --root)
+  --min N          Skip functions with cyclomatic complexity below N (default: 1)
+  --count          Return count only
+  --offset N       Skip first N results
+  --limit N        Max results (default: ${DEFAULT_LIMIT})
+
+Examples:
+  betterrank complexity --root ./backend
+  betterrank complexity --min 10 --root . --limit 20
+  betterrank complexity --file src/auth/handlers.ts --root ./backend`,
+
+  'check-ignore': `betterrank check-ignore <path> [--root <path>]
+
+Explain whether a file or directory is scanned, and which rule decides it.
+
+Paths are skipped by, in order of precedence:
+  1. "!pattern" entries in .code-index/config.json "ignore" (re-include)
+  2. Built-in defaults (node_modules, dist, .venv, ...) and config.json "ignore"
+  3. .gitignore, .ignore and .betterrankignore in every directory, plus
+     .git/info/exclude — gitignore semantics: the last matching rule wins,
+     deeper files override shallower ones, "!rule" negates, and nothing
+     inside an excluded directory can be re-included
+When config.json lists "include" globs, paths outside them are skipped too.
+Hidden (dot) files and directories are never scanned.
+
+Examples:
+  betterrank check-ignore gen/api_pb.ts --root .
+  betterrank check-ignore src/components/ui --root ./frontend`,
+
+  diagnostics: `betterrank diagnostics [--file path] [--type type] [--root <path>]
+
+Problems found while indexing. A file listed here may be missing symbols or
+edges, so check it before trusting "no callers" or "orphan" results for it.
+
+Types:
+  syntax_error   Code tree-sitter could not parse (with line:column)
+  query_error    A definition/reference/import query failed for the file
+  encoding       Invalid UTF-8; bad bytes were replaced before parsing
+  skipped        Not parsed: binary/UTF-16 content or larger than 1 MB
+  read_error     The file could not be read
+  parse_error    The parser threw on this file
+
+Options:
+  --file <path>    Only diagnostics for this file (relative to --root)
+  --type <type>    Only this diagnostic type
+  --count          Return count only
+  --offset N       Skip first N results
+  --limit N        Max results (default: ${DEFAULT_LIMIT})
+
+Examples:
+  betterrank diagnostics --root .
+  betterrank diagnostics --type syntax_error --root ./backend
+  betterrank diagnostics --file src/legacy/parser.js --root .`,
+
   compare: `betterrank compare <pathA> <pathB> [--kind type] [--include-tests]
 
 Structural diff between two files or directories. Shows which symbols
@@ -282,7 +387,7 @@ By default filters out test files and generic names (get, set, __init__, etc.)
 to focus on meaningful structural overlap.
 
 Options:
-  --kind <type>         Filter to: function, class, type, variable
+  --kind <type>         Filter to: function, class, type, variable, constant
   --include-tests       Include test files and test_ functions
   --limit N             Max items per section (default: 30)
 
@@ -292,6 +397,90 @@ Examples:
   betterrank compare ./repo-a ./repo-b --kind function
   betterrank compare flask/app.py bottle/bottle.py --kind class`,
 
+  watch: `betterrank watch [--stop] [--root <path>]
+
+Run a daemon that keeps the index for --root in memory. It watches the tree
+and applies changes as files are saved, keeps PageRank cached, and answers
+queries over a local socket. While it runs, every other command for the
+same --root is served by it automatically — no rescan of the tree per
+query. Runs in the foreground; stop it with Ctrl-C or --stop.
+
+Options:
+  --stop           Stop the daemon running for --root
+
+Examples:
+  betterrank watch --root .
+  betterrank watch --stop --root .
+  betterrank map --root . --no-daemon    # bypass a running daemon`,
+
+  cache: `betterrank cache <list|prune|clear> [options]
+
+Manage the indexes kept in the cache directory (one per project root, plus
+one per git tree queried with --rev).
+
+Actions:
+  list             Every cached project: root (@ rev), size on disk, file count, last use
+  prune            Delete caches whose root no longer exists
+  clear            Delete the caches for --root, revisions included (stops its watch daemon first)
+
+Options:
+  --days N         With prune: also delete caches unused for N days
+  --dry-run        With prune: show what would be deleted, delete nothing
+  --root <path>    With clear: the project whose cache to delete
+
+Examples:
+  betterrank cache list
+  betterrank cache prune --days 30 --dry-run
+  betterrank cache clear --root .`,
+
+  packages: `betterrank packages [--root <path>]
+
+Workspace packages and the package-level dependency graph, most central
+(by PageRank) first. For each package: its directory, language, size, the
+packages it imports (→) and the packages importing it (←), with the number
+of file-level imports crossing over.
+
+Packages are directories matched by package.json "workspaces" or
+pnpm-workspace.yaml that have a named package.json, and directories below
+--root with a pyproject.toml. Imports between them resolve by package name
+(npm name, or the Python import name of the pyproject name).
+
+Options:
+  --count          Return package count only
+
+Examples:
+  betterrank packages --root .
+  betterrank map --package @acme/web --root .`,
+
+  export: `betterrank export [--output path] [--root <path>]
+
+Write a portable copy of the index: paths relative to --root and content
+hashes instead of mtimes, gzipped. Commit it, and a fresh checkout (a CI
+job, a teammate's clone) starts from it and reparses only the files whose
+content differs. A checkout without a local cache picks up
+.code-index/index.json.gz automatically.
+
+Options:
+  --output <path>  Where to write it (default: .code-index/index.json.gz)
+
+Examples:
+  betterrank export --root .
+  betterrank export --output ci/index.json.gz --root .`,
+
+  import: `betterrank import [--input path] [--root <path>]
+
+Replace the local cache with a portable index written by \`betterrank export\`,
+then reparse only the files whose content hash differs from it. Refused if
+the index was exported by a BetterRank or grammar version that parses
+differently.
+
+Options:
+  --input <path>   Portable index to load (default: .code-index/index.json.gz)
+
+Examples:
+  betterrank import --root .
+  betterrank import --input ci/index.json.gz --root .`,
+
   reindex: `betterrank reindex [--root <path>]
 
 Force a full rebuild of the index. Use after branch switches, large merges,
@@ -351,6 +540,17 @@ async function main() {
     return; // Keep process alive (server is listening)
   }
 
+  // A revision is read from git into its own cache, never the working copy
+  const rev = typeof flags.rev === 'string' ? flags.rev : undefined;
+  if (flags.rev !== undefined && !rev) {
+    console.error('--rev needs a git ref (tag, branch or commit)');
+    process.exit(1);
+  }
+  if (rev && ['watch', 'export', 'import', 'compare'].includes(command)) {
+    console.error(`${command} works on the working copy; drop --rev`);
+    process.exit(1);
+  }
+
   // Compare command — standalone, doesn't need CodeIndex
   if (command === 'compare') {
     const pathA = flags._positional[0];
@@ -480,6 +680,7 @@ async function main() {
     }
     const expandSymbols = flags._positional[1] ? flags._positional[1].split(',') : [];
     const annotate = flags.annotate === true;
+    const docs = flags.docs === true;
 
     if (annotate && !flags.root) {
       console.error('outline --annotate requires --root for graph data');
@@ -488,50 +689,163 @@ async function main() {
 
     const root = flags.root ? resolve(flags.root) : process.cwd();
     const absPath = isAbsolute(filePath) ? filePath : resolve(root, filePath);
+    const relPath = relative(root, absPath);
 
+    let revision = null;
     let source;
     try {
-      source = await readFile(absPath, 'utf-8');
+      if (rev) {
+        const { GitTree } = await import('./git-tree.js');
+        revision = new GitTree(root, rev);
+        source = await revision.readText(relPath.split(sep).join('/'));
+      } else {
+        source = await readFile(absPath, 'utf-8');
+      }
     } catch (err) {
-      console.error(`Cannot read file: ${absPath}`);
+      console.error(`Cannot read file: ${absPath}${rev ? ` at ${rev}` : ''}`);
       console.error(err.message);
       process.exit(1);
     }
 
-    const relPath = relative(root, absPath);
     const { buildOutline } = await import('./outline.js');
+    const { loadLanguageConfig } = await import('./cache.js');
+    const languages = await loadLanguageConfig(root, revision);
 
     let callerCounts;
     if (annotate) {
-      const idx = new CodeIndex(resolve(flags.root));
+      const idx = new CodeIndex(resolve(flags.root), { rev });
       callerCounts = await idx.getCallerCounts(relPath);
     }
 
-    const result = buildOutline(source, relPath, expandSymbols, { callerCounts });
+    const result = buildOutline(source, relPath, expandSymbols, { callerCounts, docs, languages });
     console.log(result);
     return;
   }
 
+  // Cache management — list/prune span every project; clear needs --root
+  if (command === 'cache') {
+    const { listCaches, pruneCaches, clearCache } = await import('./cache.js');
+    const action = flags._positional[0] || 'list';
+    const describe = (c) => {
+      const missing = c.root !== null && !c.rootExists ? '  (root missing)' : '';
+      const at = c.revision ? ` @ ${c.revision.ref} (${c.revision.commit.slice(0, 12)})` : '';
+      return `${c.root || `(unknown root: ${c.cachePath})`}${at}  ${formatBytes(c.size)}  ${c.files} file${c.files === 1 ? '' : 's'}  last used ${formatAge(c.lastUsed)}${missing}`;
+    };
+
+    if (action === 'list') {
+      const caches = await listCaches();
+      for (const c of caches) console.log(describe(c));
+      if (caches.length === 0) console.log('(no caches)');
+    } else if (action === 'prune') {
+      const days = flags.days !== undefined ? parseInt(flags.days, 10) : undefined;
+      if (days !== undefined && !(days >= 0)) {
+        console.error('--days must be a non-negative number');
+        process.exit(1);
+      }
+      const dryRun = flags['dry-run'] === true;
+      const pruned = await pruneCaches({ olderThanDays: days, dryRun });
+      for (const c of pruned) console.log(`${dryRun ? 'Would remove' : 'Removed'} ${describe(c)} — ${c.reason}`);
+      const total = pruned.reduce((sum, c) => sum + c.size, 0);
+      console.log(pruned.length === 0 ? 'Nothing to prune' : `${dryRun ? 'Would free' : 'Freed'} ${formatBytes(total)} in ${pruned.length} cache(s)`);
+    } else if (action === 'clear') {
+      if (!flags.root) {
+        console.error('Usage: betterrank cache clear --root <path>');
+        process.exit(1);
+      }
+      const root = resolve(flags.root);
+      // A running daemon would write its cache straight back
+      const { stopDaemon } = await import('./daemon.js');
+      await stopDaemon(root);
+      const cleared = await clearCache(root);
+      console.log(cleared ? `Removed cache for ${root} (${formatBytes(cleared.size)})` : `No cache for ${root}`);
+    } else {
+      console.error(`Unknown cache action: ${action}`);
+      console.log(COMMAND_HELP.cache);
+      process.exit(1);
+    }
+    return;
+  }
+
+  // Several --root flags or a workspace file: one federated index over all
+  // of them, with every path prefixed by its root's name
+  let roots = flags.roots || [];
+  if (typeof flags.workspace === 'string') {
+    try {
+      roots = [...roots, ...await loadWorkspaceFile(flags.workspace)];
+    } catch (err) {
+      console.error(err.message);
+      process.exit(1);
+    }
+  }
+  const federated = roots.length > 1 || typeof flags.workspace === 'string';
+  if (federated && ['watch', 'export', 'import'].includes(command)) {
+    console.error(`${command} works on one project; pass a single --root`);
+    process.exit(1);
+  }
   const projectRoot = resolve(flags.root || process.cwd());
-  if (!flags.root) {
+  if (!flags.root && !federated) {
     process.stderr.write(`⚠ No --root specified, using cwd: ${projectRoot}\n`);
   }
-  const idx = new CodeIndex(projectRoot);
+
+  if (command === 'watch') {
+    const { startDaemon, stopDaemon } = await import('./daemon.js');
+    if (flags.stop) {
+      const stopped = await stopDaemon(projectRoot);
+      console.log(stopped ? `Stopped watch daemon for ${projectRoot}` : `No watch daemon running for ${projectRoot}`);
+      return;
+    }
+    try {
+      await startDaemon(projectRoot);
+    } catch (err) {
+      console.error(err.message);
+      process.exit(1);
+    }
+    return; // Keep process alive (daemon is listening)
+  }
+
+  // A running `betterrank watch` for this root answers from memory
+  const { connectDaemon } = await import('./daemon.js');
+  let idx;
+  try {
+    if (federated || rev) idx = new CodeIndex(federated ? roots : projectRoot, { rev });
+    else idx = (flags['no-daemon'] ? null : await connectDaemon(projectRoot)) || new CodeIndex(projectRoot);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  // Deepest first, so a root nested in another claims its own files
+  const indexRoots = (federated ? idx.cache.roots() : [{ root: projectRoot, prefix: '' }])
+    .sort((a, b) => b.root.length - a.root.length);
 
   const countMode = flags.count === true;
   const offset = flags.offset !== undefined ? parseInt(flags.offset, 10) : undefined;
   const userLimit = flags.limit !== undefined ? parseInt(flags.limit, 10) : undefined;
+  // Scope map/search/orphans/deps to one workspace package (name or directory)
+  const pkgName = typeof flags.package === 'string' ? flags.package : undefined;
+  if (pkgName && ['map', 'search', 'orphans', 'deps'].includes(command)) {
+    const { packages } = await idx.packages();
+    const dir = pkgName.replace(/^\.\/|\/+$/g, '');
+    if (!packages.some(p => p.name === pkgName || p.dir === dir)) {
+      console.error(`Unknown package "${pkgName}".`);
+      if (packages.length > 0) console.error(`Packages: ${packages.map(p => p.name).join(', ')}`);
+      else console.error('No workspace packages found (package.json "workspaces", pnpm-workspace.yaml or nested pyproject.toml).');
+      process.exit(1);
+    }
+  }
 
   // Normalize a file path argument relative to projectRoot.
   // Handles cases like `neighborhood gravity-engine/src/foo.py --root gravity-engine`
   // where the graph stores `src/foo.py` but the user passes the full path.
+  // Federated, a path under one of the roots gets that root's prefix.
   function normalizeFilePath(filePath) {
     if (!filePath) return filePath;
     const abs = resolve(filePath);
-    const rel = relative(projectRoot, abs);
-    // If the result starts with '..' the file is outside projectRoot — return as-is
-    if (rel.startsWith('..')) return filePath;
-    return rel;
+    for (const { root, prefix } of indexRoots) {
+      const rel = relative(root, abs);
+      if (!rel.startsWith('..')) return prefix + rel;
+    }
+    // Outside every root — return as-is
+    return filePath;
   }
 
   /** Print file-not-found diagnostics and exit. Returns true if handled. */
@@ -567,7 +881,10 @@ async function main() {
     case 'map': {
       const focusFiles = flags.focus ? flags.focus.split(',') : [];
       const effectiveLimit = countMode ? undefined : (userLimit !== undefined ? userLimit : DEFAULT_LIMIT);
-      const result = await idx.map({ focusFiles, count: countMode, offset, limit: effectiveLimit });
+      const result = await idx.map({
+        focusFiles, count: countMode, offset, limit: effectiveLimit,
+        docs: flags.docs === true, exported: flags.exported === true, package: pkgName,
+      });
       if (countMode) {
         console.log(`total: ${result.total}`);
       } else {
@@ -584,18 +901,29 @@ async function main() {
         console.log(`  Root:        ${d.root}`);
         console.log(`  Files found: ${d.filesScanned}`);
         console.log(`  Extensions:  ${d.extensions}`);
+        if (d.include) console.log(`  Include:     ${d.include}`);
         if (d.filesScanned === 0) {
-          console.log(`  Tip:         No supported files found. Try a broader --root.`);
+          console.log(d.include
+            ? `  Tip:         No supported files found. Check "include" in .code-index/config.json.`
+            : `  Tip:         No supported files found. Try a broader --root.`);
         }
       }
       break;
     }
 
     case 'search': {
-      const query = flags._positional[0];
-      if (!query) { console.error('Usage: betterrank search <query> [--kind type]'); process.exit(1); }
+      const query = flags._positional[0] || '';
+      const param = typeof flags.param === 'string' ? flags.param : undefined;
+      const returns = typeof flags.returns === 'string' ? flags.returns : undefined;
+      if (!query && !param && !returns) {
+        console.error('Usage: betterrank search <query> [--kind type] [--param name] [--returns type]');
+        process.exit(1);
+      }
       const effectiveLimit = countMode ? undefined : (userLimit !== undefined ? userLimit : DEFAULT_LIMIT);
-      const result = await idx.search({ query, kind: flags.kind, count: countMode, offset, limit: effectiveLimit });
+      const result = await idx.search({
+        query, kind: flags.kind, param, returns, docs: flags.docs === true, exported: flags.exported === true,
+        package: pkgName, count: countMode, offset, limit: effectiveLimit,
+      });
       if (countMode) {
         console.log(`total: ${result.total}`);
       } else {
@@ -633,7 +961,10 @@ async function main() {
 
     case 'symbols': {
       const effectiveLimit = countMode ? undefined : (userLimit !== undefined ? userLimit : DEFAULT_LIMIT);
-      const result = await idx.symbols({ file: normalizeFilePath(flags.file), kind: flags.kind, count: countMode, offset, limit: effectiveLimit });
+      const result = await idx.symbols({
+        file: normalizeFilePath(flags.file), kind: flags.kind, exported: flags.exported === true,
+        count: countMode, offset, limit: effectiveLimit,
+      });
       if (countMode) {
         console.log(`total: ${result.total}`);
       } else {
@@ -661,7 +992,7 @@ async function main() {
         // Rich output with call-site context
         const pad = 6;
         for (const c of result) {
-          console.log(`${c.file}:`);
+          console.log(c.refKinds ? `${c.file}:  (${c.refKinds.join(', ')})` : `${c.file}:`);
           if (c.sites && c.sites.length > 0) {
             for (const site of c.sites) {
               for (const t of site.text) {
@@ -678,7 +1009,7 @@ async function main() {
         }
       } else {
         for (const c of result) {
-          console.log(c.file);
+          console.log(c.refKinds ? `${c.file}  (${c.refKinds.join(', ')})` : c.file);
         }
         if (result.length === 0) {
           console.log('(no callers found)');
@@ -703,8 +1034,12 @@ async function main() {
       const pad = Math.max(String(def.lineEnd).length, 4);
 
       // Header
-      console.log(`── ${def.name} (${def.file}:${def.lineStart}-${def.lineEnd}) ──`);
+      console.log(`── ${def.qualifiedName || def.name} (${def.file}:${def.lineStart}-${def.lineEnd}) ──`);
       console.log('');
+      if (def.doc) {
+        console.log(`  ${def.doc}`);
+        console.log('');
+      }
 
       // Source (or just the signature in --no-source mode)
       if (!noSource) {
@@ -717,6 +1052,15 @@ async function main() {
         console.log('');
       }
 
+      // Structured signature (functions only)
+      if (def.params && (def.params.length > 0 || def.returnType)) {
+        const flagsText = [def.async && 'async', def.generator && 'generator'].filter(Boolean).join(', ');
+        console.log(`Signature:${flagsText ? ` (${flagsText})` : ''}`);
+        for (const p of def.params) console.log(`  ${formatParam(p)}`);
+        if (def.returnType) console.log(`  → ${def.returnType}`);
+        console.log('');
+      }
+
       // Type references from signature
       if (result.typeRefs.length > 0) {
         console.log('Types:');
@@ -767,11 +1111,11 @@ async function main() {
       } else if (result.raw) {
         // --patch mode: print git's full output
         const def = result.definition;
-        console.log(`${def.name} (${def.file}:${def.lineStart}-${def.lineEnd})\n`);
+        console.log(`${def.qualifiedName || def.name} (${def.file}:${def.lineStart}-${def.lineEnd})\n`);
         console.log(result.raw);
       } else {
         const def = result.definition;
-        console.log(`${def.name} (${def.file}:${def.lineStart}-${def.lineEnd})\n`);
+        console.log(`${def.qualifiedName || def.name} (${def.file}:${def.lineStart}-${def.lineEnd})\n`);
         if (result.commits.length === 0) {
           console.log('(no commits found)');
         } else {
@@ -854,7 +1198,7 @@ async function main() {
       const file = normalizeFilePath(flags._positional[0]);
       if (!file) { console.error('Usage: betterrank deps <file>'); process.exit(1); }
       const effectiveLimit = countMode ? undefined : (userLimit !== undefined ? userLimit : DEFAULT_LIMIT);
-      const result = await idx.dependencies({ file, count: countMode, offset, limit: effectiveLimit });
+      const result = await idx.dependencies({ file, package: pkgName, count: countMode, offset, limit: effectiveLimit });
       if (handleFileNotFound(result, file)) break;
       if (countMode) {
         console.log(`total: ${result.total}`);
@@ -960,7 +1304,8 @@ async function main() {
         process.exit(1);
       }
       const effectiveLimit = countMode ? undefined : (userLimit !== undefined ? userLimit : DEFAULT_LIMIT);
-      const result = await idx.orphans({ level, kind: flags.kind, count: countMode, offset, limit: effectiveLimit });
+      const exported = flags.exported === true;
+      const result = await idx.orphans({ level, kind: flags.kind, exported, package: pkgName, count: countMode, offset, limit: effectiveLimit });
 
       if (countMode) {
         console.log(`total: ${result.total}`);
@@ -971,7 +1316,7 @@ async function main() {
         if (result.length === 0) {
           console.log('(no orphan files found)');
         } else {
-          const total = await idx.orphans({ level, count: true });
+          const total = await idx.orphans({ level, package: pkgName, count: true });
           if (result.length < total.total) {
             console.log(`\nShowing ${result.length} of ${total.total} orphan files (use --limit N for more)`);
           }
@@ -986,14 +1331,15 @@ async function main() {
         for (const [file, syms] of byFile) {
           console.log(`${file}:`);
           for (const s of syms) {
-            console.log(`  ${String(s.lineStart).padStart(4)}│ [${s.kind}] ${s.signature}`);
+            const unused = s.confidence === 'high' ? `  (unused ${s.visibility})` : '';
+            console.log(`  ${String(s.lineStart).padStart(4)}│ [${s.kind}] ${s.signature}${unused}`);
           }
           console.log('');
         }
         if (result.length === 0) {
           console.log('(no orphan symbols found)');
         } else {
-          const total = await idx.orphans({ level, kind: flags.kind, count: true });
+          const total = await idx.orphans({ level, kind: flags.kind, exported, count: true });
           if (result.length < total.total) {
             console.log(`Showing ${result.length} of ${total.total} orphan symbols across ${byFile.size} files (use --limit N for more)`);
           }
@@ -1002,12 +1348,109 @@ async function main() {
       break;
     }
 
+    case 'complexity': {
+      const effectiveLimit = countMode ? undefined : (userLimit !== undefined ? userLimit : DEFAULT_LIMIT);
+      const minCyclomatic = flags.min ? parseInt(flags.min, 10) : 1;
+      const result = await idx.complexity({
+        file: normalizeFilePath(flags.file), minCyclomatic, count: countMode, offset, limit: effectiveLimit,
+      });
+      if (countMode) {
+        console.log(`total: ${result.total}`);
+      } else {
+        for (const f of result) {
+          const metrics = `cc ${f.cyclomatic}  depth ${f.maxNesting}  params ${f.params}  lines ${f.lines}`;
+          console.log(`${f.file}:${f.lineStart}  ${metrics}  ${f.signature}`);
+        }
+        if (result.length === 0) {
+          console.log('(no functions found)');
+        } else if (result.length === effectiveLimit && userLimit === undefined) {
+          console.log(`\n(showing top ${effectiveLimit} by complexity × PageRank — use --limit N or --count for total)`);
+        }
+      }
+      break;
+    }
+
+    case 'diagnostics': {
+      const effectiveLimit = countMode ? undefined : (userLimit !== undefined ? userLimit : DEFAULT_LIMIT);
+      const result = await idx.diagnostics({
+        file: normalizeFilePath(flags.file), type: flags.type, count: countMode, offset, limit: effectiveLimit,
+      });
+      if (countMode) {
+        console.log(`total: ${result.total}`);
+      } else {
+        for (const d of result) {
+          const loc = d.line ? `${d.file}:${d.line}${d.column ? `:${d.column}` : ''}` : d.file;
+          console.log(`${loc}  ${d.type}  ${d.message}`);
+        }
+        if (result.length === 0) {
+          console.log('(no diagnostics)');
+        } else if (result.length === effectiveLimit && userLimit === undefined) {
+          console.log(`\n(showing first ${effectiveLimit} — use --limit N or --count for total)`);
+        }
+      }
+      break;
+    }
+
+    case 'check-ignore': {
+      const target = normalizeFilePath(flags._positional[0]);
+      if (!target) { console.error('Usage: betterrank check-ignore <path>'); process.exit(1); }
+      const r = await idx.checkIgnore({ path: target });
+      const rule = r.source ? ` — ${r.source}${r.line ? `:${r.line}` : ''} ${JSON.stringify(r.pattern)}` : '';
+      if (r.ignored) {
+        console.log(`${r.path}: ignored${rule}${r.reason ? ` (${r.reason})` : ''}`);
+      } else {
+        const state = r.isDir ? 'scanned' : (r.indexed ? 'indexed' : 'not indexed');
+        console.log(`${r.path}: ${state}${rule}${r.reason ? ` (${r.reason})` : ''}`);
+      }
+      break;
+    }
+
     case 'similar': {
       console.error('The "similar" command has been replaced by "compare".');
       console.error('Usage: betterrank compare <pathA> <pathB>');
       process.exit(1);
     }
 
+    case 'packages': {
+      const { packages, unpackagedFiles } = await idx.packages();
+      if (countMode) {
+        console.log(`total: ${packages.length}`);
+        break;
+      }
+      if (packages.length === 0) {
+        console.log('(no workspace packages — declare them in package.json "workspaces" or pnpm-workspace.yaml, or give Python projects their own pyproject.toml)');
+        break;
+      }
+      const deps = (list) => list.map(d => `${d.name} (${d.imports})`).join(', ');
+      for (const p of packages) {
+        console.log(`${p.name}  ${p.dir}  [${p.language}]  ${p.files} file${p.files === 1 ? '' : 's'}, ${p.symbols} symbol${p.symbols === 1 ? '' : 's'}`);
+        if (p.dependencies.length > 0) console.log(`  → ${deps(p.dependencies)}`);
+        if (p.dependents.length > 0) console.log(`  ← ${deps(p.dependents)}`);
+      }
+      if (unpackagedFiles > 0) console.log(`\n${unpackagedFiles} file${unpackagedFiles === 1 ? '' : 's'} outside any package`);
+      break;
+    }
+
+    case 'export': {
+      const r = await idx.exportIndex({ path: typeof flags.output === 'string' ? resolve(flags.output) : undefined });
+      console.log(`Exported ${r.files} files (${r.nodes} nodes, ${r.edges} edges) to ${r.path}`);
+      break;
+    }
+
+    case 'import': {
+      const t0 = Date.now();
+      let result;
+      try {
+        result = await idx.importIndex({ path: typeof flags.input === 'string' ? resolve(flags.input) : undefined });
+      } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+      }
+      const st = await idx.stats();
+      console.log(`Imported in ${Date.now() - t0}ms: ${st.files} files, ${result.changed} reparsed, ${result.deleted} removed`);
+      break;
+    }
+
     case 'reindex': {
       const t0 = Date.now();
       const result = await idx.reindex();
@@ -1023,6 +1466,20 @@ async function main() {
       console.log(`Files:   ${st.files}`);
       console.log(`Symbols: ${st.symbols}`);
       console.log(`Edges:   ${st.edges}`);
+      if (st.rev) console.log(`Rev:     ${rev} (${st.rev.slice(0, 12)})`);
+      if (st.diagnostics.files > 0) {
+        const byType = Object.entries(st.diagnostics.byType).map(([t, n]) => `${n} ${t}`).join(', ');
+        console.log(`Diagnostics: ${st.diagnostics.files} files (${byType}) — see \`betterrank diagnostics\``);
+      }
+      if (st.rebuild) {
+        console.log(`Cache:   ${st.rebuild.full ? 'rebuilt' : 'refreshed'} ${st.rebuild.at} (${st.rebuild.reason})`);
+      }
+      if (st.roots) {
+        console.log('Roots:');
+        for (const r of st.roots) {
+          console.log(`  ${r.name}  ${r.root}  ${r.files} files, ${r.symbols} symbols, ${r.crossRootEdges} edges into other roots`);
+        }
+      }
       break;
     }
 
@@ -1033,6 +1490,27 @@ async function main() {
   }
 }
 
+/** One parameter of a structured signature: `...rest: string[]`, `limit: int = 10`. */
+function formatParam(p) {
+  let text = (p.variadic && !/^[*.]/.test(p.name) ? '...' : '') + p.name;
+  if (p.type) text += `: ${p.type}`;
+  if (p.default !== null) text += ` = ${p.default}`;
+  return text;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/** `today`, `1 day ago`, `12 days ago` for an ISO timestamp. */
+function formatAge(iso) {
+  const days = Math.floor((Date.now() - Date.parse(iso)) / (24 * 60 * 60 * 1000));
+  if (days <= 0) return 'today';
+  return days === 1 ? '1 day ago' : `${days} days ago`;
+}
+
 function parseFlags(args) {
   const flags = { _positional: [] };
   let i = 0;
@@ -1043,7 +1521,13 @@ function parseFlags(args) {
     } else if (args[i].startsWith('--')) {
       const key = args[i].substring(2);
       if (i + 1 < args.length && !args[i + 1].startsWith('--')) {
-        flags[key] = args[i + 1];
+        // --root may repeat; the first one stays flags.root
+        if (key === 'root') {
+          (flags.roots ||= []).push(args[i + 1]);
+          if (flags.root === undefined) flags[key] = args[i + 1];
+        } else {
+          flags[key] = args[i + 1];
+        }
         i += 2;
       } else {
         flags[key] = true;
@@ -0,0 +1,203 @@
+import { createServer, connect } from 'net';
+import { existsSync, unlinkSync } from 'fs';
+import { createRequire } from 'module';
+import { platform } from 'os';
+import { CodeIndex } from './index.js';
+import { cachePathForRoot } from './cache.js';
+
+const require = createRequire(import.meta.url);
+const { version: VERSION } = require('../package.json');
+
+// File events arrive in bursts (save, format, checkout); apply them once
+// things settle rather than per event.
+const UPDATE_DEBOUNCE_MS = 100;
+const PING_TIMEOUT_MS = 1000;
+
+// CodeIndex methods a client may call. Everything else is refused.
+const METHODS = new Set([
+  '_ensureReady', 'map', 'structure', 'search', 'symbols', 'callers',
+  'dependencies', 'dependents', 'neighborhood', 'orphans', 'graph',
+  'getCallerCounts', 'context', 'history', 'trace', 'callees', 'diff',
+  'complexity', 'checkIgnore', 'diagnostics', 'reindex', 'stats',
+  'exportIndex', 'importIndex', 'packages',
+]);
+
+/**
+ * Where the daemon for a project root listens: a Unix socket next to the
+ * root's cache file, or a named pipe on Windows.
+ */
+function socketPathForRoot(projectRoot) {
+  const cachePath = cachePathForRoot(projectRoot);
+  if (platform() === 'win32') {
+    return `\\\\.\\pipe\\betterrank-${cachePath.replace(/^.*[\\/]/, '').replace(/\.json$/, '')}`;
+  }
+  return cachePath.replace(/\.json$/, '.sock');
+}
+
+// Results cross the socket as JSON; getCallerCounts() returns a Map.
+function replacer(_key, value) {
+  if (value instanceof Map) return { __map: [...value] };
+  if (value instanceof Set) return { __set: [...value] };
+  return value;
+}
+
+function reviver(_key, value) {
+  if (value && typeof value === 'object' && Array.isArray(value.__map)) return new Map(value.__map);
+  if (value && typeof value === 'object' && Array.isArray(value.__set)) return new Set(value.__set);
+  return value;
+}
+
+/**
+ * One request per connection: a JSON line in, a JSON line out.
+ */
+function request(socketPath, message, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const socket = connect(socketPath);
+    const chunks = [];
+    if (timeoutMs) {
+      socket.setTimeout(timeoutMs, () => {
+        socket.destroy();
+        reject(new Error('daemon did not respond'));
+      });
+    }
+    socket.on('connect', () => socket.end(JSON.stringify(message) + '\n'));
+    socket.on('data', (chunk) => chunks.push(chunk));
+    socket.on('error', reject);
+    socket.on('end', () => {
+      try {
+        const reply = JSON.parse(Buffer.concat(chunks).toString(), reviver);
+        if (reply.error) reject(new Error(reply.error));
+        else resolve(reply.result);
+      } catch (e) {
+        reject(e);
+      }
+    });
+  });
+}
+
+/**
+ * Connect to the daemon serving `projectRoot`, if one is running. Returns a
+ * stand-in for CodeIndex whose methods run in the daemon, or null — callers
+ * then use a local CodeIndex as usual.
+ */
+async function connectDaemon(projectRoot) {
+  const socketPath = socketPathForRoot(projectRoot);
+  if (platform() !== 'win32' && !existsSync(socketPath)) return null;
+  try {
+    const info = await request(socketPath, { method: 'ping' }, PING_TIMEOUT_MS);
+    // A daemon from another BetterRank version may answer differently
+    if (info.root !== projectRoot || info.version !== VERSION) return null;
+  } catch {
+    return null;
+  }
+  return new Proxy({}, {
+    get(_target, method) {
+      // Not a thenable; `await connectDaemon()` must not call .then
+      if (method === 'then') return undefined;
+      return (...args) => request(socketPath, { method, args });
+    },
+  });
+}
+
+/**
+ * Ask the daemon for `projectRoot` to exit. Returns false if none is running.
+ */
+async function stopDaemon(projectRoot) {
+  try {
+    await request(socketPathForRoot(projectRoot), { method: 'shutdown' }, PING_TIMEOUT_MS);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Run the watch daemon for `projectRoot` until SIGINT/SIGTERM or a
+ * shutdown request: index once, then keep the graph and PageRank in memory,
+ * apply file-system changes as they happen and answer CodeIndex calls on
+ * the root's socket.
+ */
+async function startDaemon(projectRoot) {
+  const socketPath = socketPathForRoot(projectRoot);
+  if (await connectDaemon(projectRoot)) {
+    throw new Error(`A watch daemon is already running for ${projectRoot}`);
+  }
+
+  const idx = new CodeIndex(projectRoot);
+  await idx._ensureReady();
+
+  // Requests and updates run one at a time: ensure() mutates the graph
+  let queue = Promise.resolve();
+  const serialize = (fn) => {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  let updateTimer = null;
+  const scheduleUpdate = () => {
+    if (updateTimer) clearTimeout(updateTimer);
+    updateTimer = setTimeout(() => {
+      updateTimer = null;
+      serialize(async () => {
+        const { changed, deleted } = await idx._ensureReady();
+        if (changed > 0 || deleted > 0) {
+          process.stderr.write(`Updated: ${changed} changed, ${deleted} deleted\n`);
+        }
+      }).catch(e => process.stderr.write(`Update failed: ${e.message}\n`));
+    }, UPDATE_DEBOUNCE_MS);
+  };
+  await idx.cache.watch({ onChange: scheduleUpdate });
+
+  // Half-open: the client ends its side after the request, and the reply
+  // may only be ready after an async index call
+  const server = createServer({ allowHalfOpen: true }, (socket) => {
+    const chunks = [];
+    socket.on('data', (chunk) => chunks.push(chunk));
+    socket.on('error', () => {});
+    socket.on('end', async () => {
+      let reply;
+      try {
+        const { method, args = [] } = JSON.parse(Buffer.concat(chunks).toString());
+        if (method === 'ping') {
+          reply = { result: { root: projectRoot, version: VERSION, pid: process.pid } };
+        } else if (method === 'shutdown') {
+          reply = { result: true };
+          setImmediate(shutdown);
+        } else if (METHODS.has(method)) {
+          reply = { result: await serialize(() => idx[method](...args)) };
+        } else {
+          reply = { error: `Unknown method: ${method}` };
+        }
+      } catch (e) {
+        reply = { error: e.message };
+      }
+      socket.end(JSON.stringify(reply, replacer) + '\n');
+    });
+  });
+
+  // A socket file left behind by a daemon that crashed
+  if (platform() !== 'win32' && existsSync(socketPath)) unlinkSync(socketPath);
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(socketPath, resolve);
+  });
+
+  let stopping = false;
+  async function shutdown() {
+    if (stopping) return;
+    stopping = true;
+    if (updateTimer) clearTimeout(updateTimer);
+    server.close();
+    await serialize(() => idx.cache.unwatch());
+    process.exit(0);
+  }
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  const st = await idx.stats();
+  process.stderr.write(`Watching ${projectRoot} (${st.files} files, ${st.symbols} symbols). Serving queries on ${socketPath}\n`);
+  return { socketPath };
+}
+
+export { startDaemon, stopDaemon, connectDaemon, socketPathForRoot };
@@ -0,0 +1,350 @@
+import { readFile } from 'fs/promises';
+import { basename, dirname, resolve } from 'path';
+import graphology from 'graphology';
+const { MultiDirectedGraph } = graphology;
+import { CodeIndexCache } from './cache.js';
+import { wireResolvedImports } from './graph.js';
+import { createResolverContext, resolveImport, parseJsonc } from './resolve.js';
+import { parseSourceFiles } from './parse-pool.js';
+
+// A federated index spans several project roots. Each root keeps its own
+// cache and is indexed exactly as it would be alone; the merged graph
+// prefixes every key with the root's name (`auth/src/tokens.py`,
+// `auth/src/tokens.py::verify_token`) and adds the edges no single root can
+// see: imports of a package another root provides, whether installed
+// (node_modules, site-packages) or vendored (vendor/) — directories the
+// index skips, so inside their own root those imports stay unresolved.
+
+const JS_LANGUAGES = new Set(['javascript', 'typescript', 'tsx']);
+
+// Where copies of other projects live inside a checkout
+const VENDOR_DIRS = /(?:^|\/)(?:node_modules|vendor|_vendor|third_party|site-packages)\/(.+)$/;
+
+/**
+ * Name each root: its `name`, else its directory name, made unique with a
+ * numeric suffix. Returns [{ name, root }] with absolute roots.
+ *
+ * @param {Array<string|{root: string, name?: string}>} roots
+ */
+function federationMembers(roots) {
+  const members = [];
+  const taken = new Set();
+  for (const entry of roots) {
+    const root = resolve(typeof entry === 'string' ? entry : entry.root);
+    let name = typeof entry === 'object' && entry.name ? entry.name : basename(root);
+    if (typeof entry === 'object' && entry.name && taken.has(name)) {
+      throw new Error(`Two roots are named "${name}"`);
+    }
+    if (!name || name.includes('/') || name.includes('::')) {
+      throw new Error(`Invalid root name "${name}" for ${root}`);
+    }
+    for (let n = 2; taken.has(name); n++) name = `${basename(root)}-${n}`;
+    taken.add(name);
+    members.push({ name, root });
+  }
+  return members;
+}
+
+/**
+ * Roots listed in a workspace file — the `folders` of a VS Code
+ * `.code-workspace` file: [{ "path": "../auth", "name": "auth" }].
+ * Paths are relative to the file. Returns [{ root, name? }].
+ */
+async function loadWorkspaceFile(path) {
+  const absPath = resolve(path);
+  let raw;
+  try {
+    raw = parseJsonc(await readFile(absPath, 'utf-8'));
+  } catch (e) {
+    throw new Error(`Cannot read workspace file ${absPath}: ${e.message}`);
+  }
+  const folders = Array.isArray(raw.folders) ? raw.folders : [];
+  const roots = folders
+    .map(f => (typeof f === 'string' ? { path: f } : f))
+    .filter(f => f && typeof f.path === 'string')
+    .map(f => ({ root: resolve(dirname(absPath), f.path), ...(f.name ? { name: f.name } : {}) }));
+  if (roots.length === 0) throw new Error(`${absPath} lists no folders`);
+  return roots;
+}
+
+/**
+ * A member graph's node attributes under a prefixed key. Detail
+ * attributes not loaded yet (see shards.js) are read through, so they
+ * still load only when asked for.
+ */
+function prefixAttrs(attrs, prefix) {
+  const out = {};
+  for (const name of Object.keys(attrs)) {
+    if (!Object.getOwnPropertyDescriptor(attrs, name).get) {
+      out[name] = attrs[name];
+      continue;
+    }
+    Object.defineProperty(out, name, {
+      get() { return attrs[name]; },
+      set(value) { Object.defineProperty(out, name, { value, writable: true, enumerable: true, configurable: true }); },
+      enumerable: true,
+      configurable: true,
+    });
+  }
+  if (out.file) out.file = prefix + out.file;
+  if (out.stub) out.stub = prefix + out.stub;
+  if (out.imports) out.imports = out.imports.map(imp => ({ ...imp, resolved: imp.resolved.map(f => prefix + f) }));
+  return out;
+}
+
+/**
+ * What each root offers other roots under a package name: its named
+ * package.json packages (JS), and its Python import packages — top-level
+ * or src/ packages with an __init__.py, and its workspace packages.
+ */
+function packageProviders(members) {
+  const js = new Map();     // package name -> member
+  const python = new Map(); // import name -> member
+  const packages = [];      // resolver config entries, dirs prefixed
+  const workspaces = [];
+
+  for (const m of members) {
+    const config = m.cache.resolverConfig;
+    const at = (dir) => (dir === '.' ? m.name : m.prefix + dir);
+    for (const pkg of config.packages) {
+      if (!pkg.name || js.has(pkg.name)) continue;
+      js.set(pkg.name, m);
+      packages.push({ ...pkg, dir: at(pkg.dir) });
+    }
+    const pyPackages = [];
+    m.cache.getGraph().forEachNode((file, attrs) => {
+      if (attrs.type !== 'file') return;
+      const top = file.match(/^(?:src\/)?([A-Za-z_]\w*)\/__init__\.pyi?$/);
+      if (top) pyPackages.push({ importName: top[1], dir: '.' });
+    });
+    for (const ws of config.workspaces) {
+      if (ws.language === 'python') pyPackages.push({ importName: ws.importName, dir: ws.dir });
+    }
+    for (const { importName, dir } of pyPackages) {
+      if (python.has(importName)) continue;
+      python.set(importName, m);
+      workspaces.push({ name: importName, dir: at(dir), language: 'python', importName });
+    }
+  }
+  return { js, python, config: { tsconfigs: [], packages, workspaces } };
+}
+
+/**
+ * The import as another root would see it, and which root that is — or
+ * null if no other root provides it. JS: a bare specifier naming a
+ * package, or a path into a vendored copy of one. Python: a dotted path
+ * whose first segment naming a package may follow a vendoring prefix
+ * (`myapp._vendor.authlib.jwt`).
+ */
+function crossRootImport(imp, language, member, providers) {
+  if (JS_LANGUAGES.has(language)) {
+    let spec = imp.source;
+    if (spec.startsWith('.') || spec.startsWith('/')) {
+      const vendored = spec.match(VENDOR_DIRS);
+      if (!vendored) return null;
+      spec = vendored[1];
+    }
+    const parts = spec.split('/');
+    const provider = providers.js.get(parts.slice(0, spec.startsWith('@') ? 2 : 1).join('/'));
+    if (!provider || provider === member) return null;
+    return { imp: { ...imp, source: spec }, provider };
+  }
+  if (language === 'python' && !imp.source.startsWith('.')) {
+    const parts = imp.source.split('.');
+    const at = parts.findIndex(p => providers.python.has(p) && providers.python.get(p) !== member);
+    if (at === -1) return null;
+    return { imp: { ...imp, source: parts.slice(at).join('.') }, provider: providers.python.get(parts[at]) };
+  }
+  return null;
+}
+
+/**
+ * Cache-shaped view over several roots' caches (see CodeIndexCache): each
+ * root is kept current by its own cache, and the merged graph is rebuilt
+ * whenever one of them changes.
+ */
+class FederatedCache {
+  /**
+   * @param {Array<string|{root: string, name?: string}>} roots
+   * @param {object} [opts] - CodeIndexCache options, applied to every root
+   */
+  constructor(roots, opts = {}) {
+    this.members = federationMembers(roots).map(({ name, root }) => ({
+      name,
+      root,
+      prefix: `${name}/`,
+      cache: new CodeIndexCache(root, opts),
+    }));
+    this.graph = null;
+    this.diagnostics = new Map();
+  }
+
+  /** Extensions any root indexes; each root's config.json may add its own. */
+  get extensions() {
+    return [...new Set(this.members.flatMap(m => m.cache.extensions))];
+  }
+
+  async ensure() {
+    let changed = 0;
+    let deleted = 0;
+    let totalScanned = 0;
+    for (const m of this.members) {
+      const result = await m.cache.ensure();
+      changed += result.changed;
+      deleted += result.deleted;
+      totalScanned += result.totalScanned || 0;
+    }
+    if (!this.graph || changed > 0 || deleted > 0) await this._merge();
+    return { changed, deleted, totalScanned };
+  }
+
+  async _merge() {
+    const graph = new MultiDirectedGraph({ allowSelfLoops: false });
+    const diagnostics = new Map();
+    for (const m of this.members) {
+      const g = m.cache.getGraph();
+      g.forEachNode((key, attrs) => graph.addNode(m.prefix + key, prefixAttrs(attrs, m.prefix)));
+      g.forEachEdge((_edge, attrs, source, target) => graph.addEdge(m.prefix + source, m.prefix + target, { ...attrs }));
+      for (const [file, list] of m.cache.getDiagnostics()) diagnostics.set(m.prefix + file, list);
+      // Package names and import config are read on demand after a warm start
+      await m.cache.getWorkspaces();
+    }
+    this.graph = graph;
+    this.diagnostics = diagnostics;
+    await this._linkRoots();
+  }
+
+  /**
+   * Resolve the imports each root left unresolved against the packages
+   * other roots provide, and wire the references they bind.
+   */
+  async _linkRoots() {
+    const providers = packageProviders(this.members);
+    if (providers.js.size === 0 && providers.python.size === 0) return;
+    const ctx = createResolverContext(this.graph.filterNodes((_n, attrs) => attrs.type === 'file'), providers.config);
+
+    const entries = [];
+    for (const m of this.members) {
+      const pending = [];
+      this.graph.forEachNode((file, attrs) => {
+        if (attrs.type !== 'file' || !attrs.imports || !file.startsWith(m.prefix)) return;
+        const imports = [];
+        for (const imp of attrs.imports) {
+          if (imp.resolved.length > 0) continue;
+          const cross = crossRootImport(imp, attrs.language, m, providers);
+          if (!cross) continue;
+          const resolved = resolveImport(cross.imp, file, attrs.language, ctx)
+            .filter(f => f.startsWith(cross.provider.prefix));
+          // Keep the source as written: namespace references match it
+          if (resolved.length > 0) imports.push({ ...imp, resolved });
+        }
+        if (imports.length > 0) pending.push({ file, language: attrs.language, imports });
+      });
+
+      for (const entry of pending) {
+        const parsed = await this._parsed(m, entry.file.substring(m.prefix.length));
+        const bound = new Set(entry.imports.flatMap(imp => [imp.source, ...imp.bindings.flatMap(b => [b.local, b.imported])]));
+        const references = (parsed?.references || [])
+          .filter(ref => bound.has(ref.receiver ? ref.receiver.name : ref.name));
+        entries.push({ ...entry, references });
+      }
+    }
+    wireResolvedImports(this.graph, entries);
+  }
+
+  /**
+   * A member file's parse result: from its root's parse cache, else parsed
+   * again (e.g. after a portable import).
+   */
+  async _parsed(member, relPath) {
+    const { cache } = member;
+    const hash = cache.hashes.get(relPath);
+    const entry = (hash && await cache.parseCache.get(relPath, hash))
+      || (await parseSourceFiles(member.root, [relPath], {
+        workers: 0,
+        contents: cache.revision ? await cache._revisionContents([relPath]) : undefined,
+        languages: cache.languages,
+      }))[0];
+    return entry ? entry.result : null;
+  }
+
+  async reindex() {
+    for (const m of this.members) await m.cache.reindex();
+    this.graph = null;
+    return this.ensure();
+  }
+
+  async exportPortable() {
+    throw new Error('Portable indexes are per root; export each --root separately');
+  }
+
+  async importPortable() {
+    throw new Error('Portable indexes are per root; import each --root separately');
+  }
+
+  explainIgnore(relPath, isDir = false) {
+    const loc = this.locate(relPath);
+    const member = loc && this._member(loc);
+    if (!member || !loc.path) return null;
+    const verdict = member.cache.explainIgnore(loc.path, isDir);
+    if (verdict && verdict.via) verdict.via = member.prefix + verdict.via;
+    return verdict;
+  }
+
+  getGraph() {
+    return this.graph;
+  }
+
+  getDiagnostics() {
+    return this.diagnostics;
+  }
+
+  /** Workspace packages of every root, directories prefixed. */
+  async getWorkspaces() {
+    const workspaces = [];
+    for (const m of this.members) {
+      for (const ws of await m.cache.getWorkspaces()) workspaces.push({ ...ws, dir: m.prefix + ws.dir });
+    }
+    return workspaces;
+  }
+
+  /** The most recent rebuild of any root, naming the root. */
+  getRebuild() {
+    let latest = null;
+    for (const m of this.members) {
+      const r = m.cache.getRebuild();
+      if (r && (!latest || r.at > latest.at)) latest = { ...r, reason: `${m.name}: ${r.reason}` };
+    }
+    return latest;
+  }
+
+  roots() {
+    return this.members.map(({ name, root, prefix, cache }) => ({ name, root, prefix, rev: cache.roots()[0].rev }));
+  }
+
+  async readSource(file) {
+    const loc = this.locate(file);
+    if (!loc) throw new Error(`${file} is under no root`);
+    return this._member(loc).cache.readSource(loc.path);
+  }
+
+  isDirectory(file) {
+    const loc = this.locate(file);
+    return !!loc && this._member(loc).cache.isDirectory(loc.path);
+  }
+
+  _member(loc) {
+    return this.members.find(m => m.root === loc.root);
+  }
+
+  /**
+   * Root and root-relative path of a prefixed path, or null if it names no
+   * root. A bare root name locates the root itself (path '').
+   */
+  locate(file) {
+    const m = this.members.find(m => file === m.name || file.startsWith(m.prefix));
+    return m ? { root: m.root, path: file.substring(m.prefix.length) } : null;
+  }
+}
+
+export { FederatedCache, federationMembers, loadWorkspaceFile };
@@ -0,0 +1,186 @@
+import { execFileSync, spawn } from 'child_process';
+import { posix, relative, sep } from 'path';
+
+// A project as of a git revision, read straight from the object store:
+// files are listed with `git ls-tree` and read with `git cat-file`, so
+// indexing a tag or commit never checks anything out and never touches the
+// working copy or the git index.
+
+const toPosix = (p) => (sep === '/' ? p : p.split(sep).join('/'));
+
+// Regular and executable files; symlinks (120000) and submodules (160000)
+// have no source of their own
+const BLOB_MODES = new Set(['100644', '100755']);
+
+function git(cwd, args) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf-8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+    maxBuffer: 256 * 1024 * 1024,
+  });
+}
+
+/**
+ * Read objects with one `git cat-file --batch`. `names` are anything git
+ * resolves to an object (an id, `<commit>:<path>`). Returns Map name ->
+ * Buffer, leaving out the names git reports missing.
+ */
+function catFileBatch(cwd, names) {
+  return new Promise((resolve, reject) => {
+    const objects = new Map();
+    if (names.length === 0) return resolve(objects);
+    const child = spawn('git', ['cat-file', '--batch'], { cwd, stdio: ['pipe', 'pipe', 'ignore'] });
+    const chunks = [];
+    child.stdout.on('data', (chunk) => chunks.push(chunk));
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (code !== 0) return reject(new Error(`git cat-file exited with code ${code}`));
+      // Per name: "<id> <type> <size>\n<content>\n", or "<name> missing\n"
+      const out = Buffer.concat(chunks);
+      let pos = 0;
+      for (const name of names) {
+        const eol = out.indexOf(10, pos);
+        if (eol === -1) break;
+        const header = out.toString('utf-8', pos, eol).split(' ');
+        pos = eol + 1;
+        if (header.length !== 3) continue;
+        const size = parseInt(header[2], 10);
+        if (header[1] === 'blob') objects.set(name, out.subarray(pos, pos + size));
+        pos += size + 1;
+      }
+      resolve(objects);
+    });
+    child.stdin.on('error', () => {}); // git exited early; reported on close
+    child.stdin.end(names.join('\n') + '\n');
+  });
+}
+
+/**
+ * The tree a project root has at a revision. Resolving happens up front, so
+ * an unknown ref or a root the revision doesn't contain throws here.
+ */
+class GitTree {
+  /**
+   * @param {string} projectRoot - Absolute project root, inside a git repository
+   * @param {string} ref - Anything `git rev-parse` resolves to a commit
+   */
+  constructor(projectRoot, ref) {
+    if (!ref || ref.startsWith('-')) throw new Error(`Invalid revision "${ref}"`);
+    this.projectRoot = projectRoot;
+    this.ref = ref;
+    try {
+      // The root's path inside the repository: '' or 'sub/dir/'
+      this.prefix = git(projectRoot, ['rev-parse', '--show-prefix']).trim();
+    } catch {
+      throw new Error(`Cannot read revision "${ref}": ${projectRoot} is not in a git repository`);
+    }
+    try {
+      this.commit = git(projectRoot, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]).trim();
+    } catch {
+      throw new Error(`Unknown revision "${ref}"`);
+    }
+    const path = this.prefix.replace(/\/$/, '');
+    try {
+      this.tree = git(projectRoot, ['rev-parse', '--verify', '--quiet', path ? `${this.commit}:${path}` : `${this.commit}^{tree}`]).trim();
+    } catch {
+      throw new Error(`${path} does not exist at ${ref}`);
+    }
+    this.files = null;        // root-relative path -> blob id
+    this.dirs = null;
+    this.texts = new Map();   // repository path -> preloaded text
+  }
+
+  /**
+   * List the tree (once — a tree never changes). Returns Map root-relative
+   * path -> blob id of every regular file.
+   */
+  list() {
+    if (this.files) return this.files;
+    this.files = new Map();
+    this.dirs = new Set();
+    const out = git(this.projectRoot, ['ls-tree', '-r', '-t', '-z', '--full-tree', this.tree]);
+    for (const record of out.split('\0')) {
+      if (!record) continue;
+      // "<mode> <type> <id>\t<path>"
+      const tab = record.indexOf('\t');
+      const [mode, type, id] = record.substring(0, tab).split(' ');
+      const path = record.substring(tab + 1);
+      if (type === 'tree') this.dirs.add(path);
+      else if (type === 'blob' && BLOB_MODES.has(mode)) this.files.set(path, id);
+    }
+    return this.files;
+  }
+
+  isDirectory(relPath) {
+    this.list();
+    return relPath === '' || this.dirs.has(relPath);
+  }
+
+  /**
+   * Read files (root-relative paths) into memory in one batch, so
+   * readTextSync() can serve them. Paths may reach above the root
+   * (`../.gitignore`) as long as they stay inside the repository.
+   */
+  async preload(relPaths) {
+    const names = new Map();
+    for (const relPath of relPaths) {
+      const repoPath = this._repoPath(relPath);
+      if (repoPath && !this.texts.has(repoPath)) names.set(`${this.commit}:${repoPath}`, repoPath);
+    }
+    const objects = await catFileBatch(this.projectRoot, [...names.keys()]);
+    for (const [name, repoPath] of names) {
+      const buf = objects.get(name);
+      this.texts.set(repoPath, buf ? buf.toString('utf-8') : null);
+    }
+  }
+
+  /**
+   * Text of a preloaded file, by absolute path as if the revision were
+   * checked out at the project root. Throws like readFileSync() for a file
+   * that doesn't exist at the revision (or wasn't preloaded).
+   */
+  readTextSync(absPath) {
+    const text = this.texts.get(this._repoPath(toPosix(relative(this.projectRoot, absPath))));
+    if (typeof text !== 'string') {
+      const err = new Error(`ENOENT: no such file at ${this.ref}: ${absPath}`);
+      err.code = 'ENOENT';
+      throw err;
+    }
+    return text;
+  }
+
+  /**
+   * Contents of files (root-relative paths). Returns Map path -> Buffer,
+   * without the paths the revision doesn't have.
+   */
+  async readFiles(relPaths) {
+    const files = this.list();
+    const ids = relPaths.filter(p => files.has(p)).map(p => files.get(p));
+    const objects = await catFileBatch(this.projectRoot, [...new Set(ids)]);
+    const contents = new Map();
+    for (const relPath of relPaths) {
+      const buf = objects.get(files.get(relPath));
+      if (buf) contents.set(relPath, buf);
+    }
+    return contents;
+  }
+
+  async readText(relPath) {
+    const buf = (await this.readFiles([relPath])).get(relPath);
+    if (!buf) {
+      const err = new Error(`ENOENT: no such file at ${this.ref}: ${relPath}`);
+      err.code = 'ENOENT';
+      throw err;
+    }
+    return buf.toString('utf-8');
+  }
+
+  /** A root-relative path as a repository path, or null if it leaves the repository. */
+  _repoPath(relPath) {
+    const repoPath = posix.normalize(this.prefix + relPath);
+    return repoPath.startsWith('../') || repoPath === '..' ? null : repoPath;
+  }
+}
+
+export { GitTree };
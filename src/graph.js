@@ -2,8 +2,11 @@ import graphology from 'graphology';
 const { MultiDirectedGraph } = graphology;
 import pagerankModule from 'graphology-metrics/centrality/pagerank.js';
 const pagerank = pagerankModule.default || pagerankModule;
-import { writeFile, readFile, mkdir } from 'fs/promises';
+import { readFile, mkdir } from 'fs/promises';
 import { dirname } from 'path';
+import { IMPORT_SCOPED_LANGUAGES } from './parser.js';
+import { createResolverContext, resolveImport, isLocalSpecifier, packageOf } from './resolve.js';
+import { saveShardedGraph, loadShardedGraph } from './shards.js';
 
 /**
  * Build a multi-directed graph from parsed symbol data.
@@ -14,6 +17,8 @@ import { dirname } from 'path';
  * to the same symbol within a single file.
  *
  * @param {Array<{file: string, definitions: Array, references: Array}>} allSymbols
+ * @param {object} [opts]
+ * @param {object} [opts.resolverConfig] - tsconfig/package.json aliases (see resolve.js)
  * @returns {MultiDirectedGraph}
  */
 // Max definitions for a name before cross-file wiring is skipped entirely.
@@ -45,80 +50,429 @@ function disambiguateTargets(targets, sourceFile, graph) {
   return targets;
 }
 
-function buildGraph(allSymbols) {
-  const graph = new MultiDirectedGraph({ allowSelfLoops: false });
+/**
+ * Definitions a module makes importable as `name`: its own, else wherever
+ * its re-exports (`export { name } from`, `export * from`) or an import
+ * binding the name lead — so an import of a barrel (index) file finds the
+ * definition behind it. Reads each file's resolved `imports` attribute;
+ * `seen` guards against re-export cycles.
+ */
+function exportedDefinitions(graph, defIndex, files, name, seen = new Set()) {
+  const found = [];
+  for (const file of files) {
+    const visit = `${file}\0${name}`;
+    if (seen.has(visit) || !graph.hasNode(file)) continue;
+    seen.add(visit);
+    const own = (defIndex.get(name) || []).filter(t => graph.getNodeAttribute(t, 'file') === file);
+    if (own.length > 0) {
+      found.push(...own);
+      continue;
+    }
+    for (const imp of graph.getNodeAttribute(file, 'imports') || []) {
+      if (imp.resolved.length === 0) continue;
+      for (const r of imp.reexports || []) {
+        if (r.exported === '*') {
+          found.push(...exportedDefinitions(graph, defIndex, imp.resolved, name, seen));
+        } else if (r.exported === name && r.imported !== '*') {
+          const inner = r.imported === 'default' ? name : r.imported;
+          found.push(...exportedDefinitions(graph, defIndex, imp.resolved, inner, seen));
+        }
+      }
+      for (const b of imp.bindings) {
+        if (b.local !== name || b.imported === '*') continue;
+        const inner = b.imported === 'default' ? name : b.imported;
+        found.push(...exportedDefinitions(graph, defIndex, imp.resolved, inner, seen));
+      }
+    }
+  }
+  return [...new Set(found)];
+}
 
-  for (const { file, definitions } of allSymbols) {
-    graph.mergeNode(file, { type: 'file', symbolCount: definitions.length });
-
-    for (const def of definitions) {
-      const symbolKey = `${file}::${def.name}`;
-      graph.mergeNode(symbolKey, {
-        type: 'symbol',
-        kind: def.kind,
-        name: def.name,
-        file,
-        lineStart: def.lineStart,
-        lineEnd: def.lineEnd,
-        signature: def.signature,
-        astProfile: def.astProfile || null,
-        paramNames: def.paramNames || null,
-        localRefs: def.localRefs || null,
-      });
-      graph.addEdge(file, symbolKey, { type: 'DEFINES' });
+/**
+ * `files` plus every file their re-exports lead to, transitively.
+ */
+function reexportClosure(graph, files) {
+  const reached = new Set();
+  const queue = [...files];
+  while (queue.length > 0) {
+    const file = queue.pop();
+    if (reached.has(file) || !graph.hasNode(file)) continue;
+    reached.add(file);
+    for (const imp of graph.getNodeAttribute(file, 'imports') || []) {
+      if (imp.reexports) queue.push(...imp.resolved);
     }
   }
+  return reached;
+}
+
+/**
+ * Add a parsed file's node, its symbol nodes and DEFINES edges, plus a
+ * CONTAINS edge from each class/impl/namespace to its members. Symbols
+ * are keyed by class-qualified name (`file::UserService.validate`) so
+ * same-named methods of different classes stay distinct. A file inside a
+ * workspace package records the package's name, a Python module the `.pyi`
+ * stub merged into it.
+ */
+function addFileDefinitions(graph, { file, language, definitions, stub }, defIndex, workspaces) {
+  const pkg = packageOf(file, workspaces);
+  graph.mergeNode(file, {
+    type: 'file',
+    language,
+    symbolCount: definitions.length,
+    ...(pkg ? { package: pkg } : {}),
+    ...(stub ? { stub } : {}),
+  });
+
+  for (const def of definitions) {
+    const qualifiedName = def.qualifiedName || def.name;
+    const symbolKey = `${file}::${qualifiedName}`;
+    const isNew = !graph.hasNode(symbolKey);
+    graph.mergeNode(symbolKey, {
+      type: 'symbol',
+      kind: def.kind,
+      name: def.name,
+      qualifiedName,
+      container: def.container || null,
+      file,
+      lineStart: def.lineStart,
+      lineEnd: def.lineEnd,
+      signature: def.signature,
+      astProfile: def.astProfile || null,
+      paramNames: def.paramNames || null,
+      localRefs: def.localRefs || null,
+      visibility: def.visibility || null,
+      ...(def.moduleExport ? { moduleExport: true } : {}),
+      ...(def.doc ? { doc: def.doc } : {}),
+      ...(def.complexity ? { complexity: def.complexity } : {}),
+      ...(def.params
+        ? { params: def.params, returnType: def.returnType, async: def.async, generator: def.generator }
+        : {}),
+    });
+    if (!isNew) continue;
+    graph.addEdge(file, symbolKey, { type: 'DEFINES' });
+
+    if (!defIndex.has(def.name)) defIndex.set(def.name, []);
+    defIndex.get(def.name).push(symbolKey);
+  }
+
+  const contained = new Set();
+  for (const def of definitions) {
+    if (!def.container) continue;
+    const containerKey = `${file}::${def.container}`;
+    const memberKey = `${file}::${def.qualifiedName}`;
+    const pair = `${containerKey}->${memberKey}`;
+    if (contained.has(pair) || !graph.hasNode(containerKey)) continue;
+    contained.add(pair);
+    graph.addEdge(containerKey, memberKey, { type: 'CONTAINS' });
+  }
+}
+
+function buildGraph(allSymbols, { resolverConfig } = {}) {
+  const graph = new MultiDirectedGraph({ allowSelfLoops: false });
 
   // Build a name→symbolKey index for wiring references
   const defIndex = new Map();
-  for (const { file, definitions } of allSymbols) {
-    for (const def of definitions) {
-      const key = `${file}::${def.name}`;
-      if (!defIndex.has(def.name)) defIndex.set(def.name, []);
-      defIndex.get(def.name).push(key);
-    }
+  for (const entry of allSymbols) {
+    addFileDefinitions(graph, entry, defIndex, resolverConfig?.workspaces);
   }
 
+  const resolverCtx = createResolverContext(allSymbols.map(s => s.file), resolverConfig);
+  // Every file's imports are resolved before any is wired, so re-exports
+  // can be followed through files wired later
+  const entries = allSymbols.map(entry => withResolvedImports(graph, entry, resolverCtx));
+
   // Dedup: one REFERENCES edge and one IMPORTS edge per unique (source, target) pair
   const addedRefs = new Set();
   const addedImports = new Set();
 
-  for (const { file, references } of allSymbols) {
-    for (const ref of references) {
-      const targets = defIndex.get(ref.name);
-      if (!targets) continue;
+  for (const entry of entries) {
+    wireFile(graph, entry, defIndex, resolverCtx, addedRefs, addedImports);
+  }
+
+  return graph;
+}
 
-      // Disambiguate: resolve which targets to actually wire
-      const resolvedTargets = disambiguateTargets(targets, file, graph);
+/**
+ * A parsed file with `resolved` set on each import, also recorded as the
+ * file node's `imports` attribute.
+ */
+function withResolvedImports(graph, entry, resolverCtx) {
+  const imports = (entry.imports || []).map(imp => ({
+    ...imp,
+    resolved: imp.resolved ?? resolveImport(imp, entry.file, entry.language, resolverCtx),
+  }));
+  if (imports.length > 0) graph.setNodeAttribute(entry.file, 'imports', imports);
+  return { ...entry, imports };
+}
 
-      for (const target of resolvedTargets) {
-        const targetFile = graph.getNodeAttribute(target, 'file');
+/**
+ * Resolve a file's import statements and wire its references.
+ *
+ * IMPORTS edges come from import statements resolved to indexed files.
+ * A reference whose name was bound by a resolved import is wired to the
+ * definition the imported file exports, following re-exports (see
+ * exportedDefinitions()); failing that, to a definition of the name in the
+ * imported file or what it re-exports, never elsewhere. Everything else
+ * falls back to name-based wiring via disambiguateTargets(), except names
+ * bound by imports of external packages, which never wire to project
+ * symbols.
+ *
+ * In languages where cross-file names are only reachable through imports
+ * (IMPORT_SCOPED_LANGUAGES), name-based matches add REFERENCES edges but
+ * never IMPORTS edges — unless the name came from a relative import the
+ * resolver couldn't follow.
+ *
+ * Imports that already carry `resolved` files are taken as resolved.
+ */
+function wireFile(graph, { file, references, imports = [], language }, defIndex, resolverCtx, addedRefs, addedImports) {
+  const addImport = (targetFile) => {
+    const impKey = `${file}\0${targetFile}`;
+    if (addedImports.has(impKey)) return;
+    addedImports.add(impKey);
+    graph.addEdge(file, targetFile, { type: 'IMPORTS' });
+  };
+  // Tagged references (Python annotations, superclasses, decorators) get
+  // their own edge per kind so they stay distinguishable from calls.
+  const addRef = (target, refKind) => {
+    const refKey = `${file}\0${target}\0${refKind || ''}`;
+    if (addedRefs.has(refKey)) return;
+    addedRefs.add(refKey);
+    graph.addEdge(file, target, refKind ? { type: 'REFERENCES', refKind } : { type: 'REFERENCES' });
+  };
 
-        const refKey = `${file}\0${target}`;
-        if (!addedRefs.has(refKey)) {
-          addedRefs.add(refKey);
-          graph.addEdge(file, target, { type: 'REFERENCES' });
-        }
+  const resolvedImports = imports.map(imp => ({
+    ...imp,
+    resolved: imp.resolved ?? resolveImport(imp, file, language, resolverCtx),
+  }));
+  if (resolvedImports.length > 0) graph.setNodeAttribute(file, 'imports', resolvedImports);
+
+  // Local name -> where the import statement says it comes from
+  const bound = new Map();
+  for (const imp of resolvedImports) {
+    for (const t of imp.resolved) addImport(t);
+    const external = imp.resolved.length === 0 && !isLocalSpecifier(imp.source, language);
+    for (const b of imp.bindings) {
+      const entry = { files: imp.resolved, imported: b.imported, external };
+      bound.set(b.local, entry);
+      if (b.imported !== '*' && b.imported !== 'default' && !bound.has(b.imported)) {
+        bound.set(b.imported, entry);
+      }
+    }
+  }
 
-        if (targetFile !== file) {
-          const impKey = `${file}\0${targetFile}`;
-          if (!addedImports.has(impKey)) {
-            addedImports.add(impKey);
-            graph.addEdge(file, targetFile, { type: 'IMPORTS' });
-          }
+  const importScoped = IMPORT_SCOPED_LANGUAGES.has(language);
+
+  for (const ref of references) {
+    if (ref.receiver) {
+      for (const target of resolveMemberRef(graph, ref, file, bound, resolvedImports, defIndex)) addRef(target, ref.refKind);
+      continue;
+    }
+
+    const binding = bound.get(ref.name);
+
+    if (binding && binding.files.length > 0) {
+      const name = binding.imported === '*' || binding.imported === 'default' ? ref.name : binding.imported;
+      const scoped = exportedDefinitions(graph, defIndex, binding.files, name);
+      // A whole-module binding called directly (`const h = require('./h'); h()`)
+      // refers to whatever `module.exports` assigns
+      if (scoped.length === 0 && (binding.imported === '*' || binding.imported === 'default')) {
+        for (const f of binding.files) {
+          if (!graph.hasNode(f)) continue;
+          scoped.push(...graph.outNeighbors(f).filter(t => graph.getNodeAttribute(t, 'moduleExport')));
         }
       }
+      if (scoped.length === 0) {
+        const reachable = reexportClosure(graph, binding.files);
+        scoped.push(...(defIndex.get(ref.name) || []).filter(t => reachable.has(graph.getNodeAttribute(t, 'file'))));
+      }
+      for (const target of scoped) addRef(target, ref.refKind);
+      continue;
+    }
+    if (binding && binding.external) continue;
+
+    const targets = defIndex.get(ref.name);
+    if (!targets) continue;
+
+    // Disambiguate: resolve which targets to actually wire
+    const resolvedTargets = disambiguateTargets(targets, file, graph);
+    const nameImports = !importScoped || (binding && binding.files.length === 0);
+
+    for (const target of resolvedTargets) {
+      addRef(target, ref.refKind);
+      const targetFile = graph.getNodeAttribute(target, 'file');
+      if (targetFile !== file && nameImports) addImport(targetFile);
     }
   }
+}
 
-  return graph;
+/**
+ * Members named `member` of the class whose qualified name is `classQualified`.
+ * Looks in the class's own file, then its directory — Go methods and Rust
+ * impls may sit in a different file of the same package/module.
+ */
+function findMembers(graph, defIndex, member, classQualified, classFile) {
+  const wanted = `${classQualified}.${member}`;
+  const candidates = (defIndex.get(member) || []).filter(t =>
+    graph.getNodeAttribute(t, 'qualifiedName') === wanted
+  );
+  const sameFile = candidates.filter(t => graph.getNodeAttribute(t, 'file') === classFile);
+  if (sameFile.length > 0) return sameFile;
+  const dir = dirname(classFile);
+  return candidates.filter(t => dirname(graph.getNodeAttribute(t, 'file')) === dir);
+}
+
+/**
+ * Class definitions a name refers to from `file`: the imported class when
+ * an import binds the name, otherwise a same-file class, otherwise an
+ * unambiguous project-wide match.
+ */
+function findClasses(graph, defIndex, name, file, bound) {
+  const isClass = t => {
+    const kind = graph.getNodeAttribute(t, 'kind');
+    return kind === 'class' || kind === 'type';
+  };
+  const binding = bound.get(name);
+  if (binding) {
+    if (binding.external || binding.imported === '*') return [];
+    const imported = binding.imported === 'default' ? name : binding.imported;
+    return exportedDefinitions(graph, defIndex, binding.files, imported).filter(isClass);
+  }
+  const classes = (defIndex.get(name) || []).filter(isClass);
+  return disambiguateTargets(classes, file, graph);
+}
+
+/**
+ * Wire a member call (`recv.method()`) classified by the parser:
+ *   self      — method of the enclosing class
+ *   instance  — method of the class a local variable was constructed from
+ *   namespace — top-level definition in an imported module (`utils.parse()`),
+ *               or a static member when the name is a class (`Config.load()`)
+ * Receivers that match none of these are dropped rather than guessed.
+ */
+function resolveMemberRef(graph, ref, file, bound, resolvedImports, defIndex) {
+  const { kind, name } = ref.receiver;
+
+  if (kind === 'self') return findMembers(graph, defIndex, ref.name, name, file);
+
+  if (kind === 'namespace') {
+    const binding = bound.get(name);
+    const moduleFiles = binding && binding.imported === '*'
+      ? binding.files
+      : resolvedImports.filter(imp => imp.source === name).flatMap(imp => imp.resolved);
+    if (moduleFiles.length > 0) {
+      return exportedDefinitions(graph, defIndex, moduleFiles, ref.name)
+        .filter(t => !graph.getNodeAttribute(t, 'container'));
+    }
+    // `from pkg import mod` binds a module by name; the bound file then has
+    // no definition of that name
+    if (binding && binding.files.length > 0 && !(defIndex.get(binding.imported) || []).some(t =>
+      binding.files.includes(graph.getNodeAttribute(t, 'file'))
+    )) {
+      return (defIndex.get(ref.name) || []).filter(t =>
+        binding.files.includes(graph.getNodeAttribute(t, 'file')) && !graph.getNodeAttribute(t, 'container')
+      );
+    }
+  }
+
+  // instance, or a namespace receiver that names a class (static call)
+  const targets = [];
+  for (const classKey of findClasses(graph, defIndex, name, file, bound)) {
+    const attrs = graph.getNodeAttributes(classKey);
+    targets.push(...findMembers(graph, defIndex, ref.name, attrs.qualifiedName || attrs.name, attrs.file));
+  }
+  return targets;
+}
+
+/**
+ * Re-resolve import statements of files that were not re-parsed, after the
+ * file set changed. Picks up imports of newly added files and refreshes
+ * the stored resolution for imports of deleted ones. An import that now
+ * lands elsewhere (`./x` → x.js once it exists beside x/index.js) loses its
+ * IMPORTS edge to the old target unless another import still needs it.
+ */
+function reresolveImports(graph, resolverCtx, skipFiles) {
+  graph.forEachNode((file, attrs) => {
+    if (attrs.type !== 'file' || !attrs.imports || skipFiles.has(file)) return;
+    let changed = false;
+    const dropped = new Set();
+    const imports = attrs.imports.map(imp => {
+      const resolved = resolveImport(imp, file, attrs.language, resolverCtx);
+      if (resolved.join('\0') === imp.resolved.join('\0')) return imp;
+      changed = true;
+      for (const target of imp.resolved) {
+        if (!resolved.includes(target)) dropped.add(target);
+      }
+      for (const target of resolved) {
+        const exists = graph.outEdges(file, target).some(e => graph.getEdgeAttribute(e, 'type') === 'IMPORTS');
+        if (!exists) graph.addEdge(file, target, { type: 'IMPORTS' });
+      }
+      return { ...imp, resolved };
+    });
+    if (!changed) return;
+    graph.setNodeAttribute(file, 'imports', imports);
+    for (const imp of imports) {
+      for (const target of imp.resolved) dropped.delete(target);
+    }
+    for (const target of dropped) {
+      if (!graph.hasNode(target)) continue;
+      for (const edge of graph.outEdges(file, target)) {
+        if (graph.getEdgeAttribute(edge, 'type') === 'IMPORTS') graph.dropEdge(edge);
+      }
+    }
+  });
+}
+
+/**
+ * Wire imports of files already in the graph that only resolve now — in a
+ * federated graph, imports of a package another root provides (see
+ * federation.js). Each entry is { file, language, imports, references }
+ * with `resolved` set on every import; the file's existing edges are kept
+ * and not duplicated, and its stored `imports` are left as they were.
+ */
+function wireResolvedImports(graph, entries) {
+  const defIndex = new Map();
+  graph.forEachNode((node, attrs) => {
+    if (attrs.type !== 'symbol') return;
+    if (!defIndex.has(attrs.name)) defIndex.set(attrs.name, []);
+    defIndex.get(attrs.name).push(node);
+  });
+
+  for (const entry of entries) {
+    const addedRefs = new Set();
+    const addedImports = new Set();
+    graph.forEachOutEdge(entry.file, (_edge, attrs, source, target) => {
+      if (attrs.type === 'IMPORTS') addedImports.add(`${source}\0${target}`);
+      else if (attrs.type === 'REFERENCES') addedRefs.add(`${source}\0${target}\0${attrs.refKind || ''}`);
+    });
+    const stored = graph.getNodeAttribute(entry.file, 'imports');
+    wireFile(graph, entry, defIndex, null, addedRefs, addedImports);
+    graph.setNodeAttribute(entry.file, 'imports', stored);
+  }
 }
 
 /**
  * Incrementally update the graph: remove all nodes for the given files,
  * then re-add from fresh parse results.
  */
-function updateGraphFiles(graph, removedFiles, newSymbols) {
+function updateGraphFiles(graph, removedFiles, newSymbols, { resolverConfig } = {}) {
+  const filesBefore = new Set();
+  graph.forEachNode((node, attrs) => { if (attrs.type === 'file') filesBefore.add(node); });
+
+  // Edges into the replaced files from files that stay (their callers and
+  // importers) vanish with the dropped nodes, and those files aren't
+  // re-wired below — remember them and restore the ones whose target
+  // still exists afterwards.
+  const removedSet = new Set(removedFiles);
+  const incoming = [];
+  graph.forEachNode((node, attrs) => {
+    const owner = attrs.type === 'file' ? node : attrs.file;
+    if (!removedSet.has(owner)) return;
+    graph.forEachInEdge(node, (_edge, edgeAttrs, source, _target, sourceAttrs) => {
+      const sourceOwner = sourceAttrs.type === 'file' ? source : sourceAttrs.file;
+      if (!removedSet.has(sourceOwner)) incoming.push([source, node, edgeAttrs]);
+    });
+  });
+
   for (const filePath of removedFiles) {
     removeFileNodes(graph, filePath);
   }
@@ -135,56 +489,31 @@ function updateGraphFiles(graph, removedFiles, newSymbols) {
     }
   });
 
-  const addedRefs = new Set();
-  const addedImports = new Set();
-
-  for (const { file, definitions, references } of newSymbols) {
-    graph.mergeNode(file, { type: 'file', symbolCount: definitions.length });
-
-    for (const def of definitions) {
-      const symbolKey = `${file}::${def.name}`;
-      graph.mergeNode(symbolKey, {
-        type: 'symbol',
-        kind: def.kind,
-        name: def.name,
-        file,
-        lineStart: def.lineStart,
-        lineEnd: def.lineEnd,
-        signature: def.signature,
-        astProfile: def.astProfile || null,
-        paramNames: def.paramNames || null,
-        localRefs: def.localRefs || null,
-      });
-      graph.addEdge(file, symbolKey, { type: 'DEFINES' });
-
-      if (!defIndex.has(def.name)) defIndex.set(def.name, []);
-      defIndex.get(def.name).push(symbolKey);
-    }
+  for (const entry of newSymbols) {
+    addFileDefinitions(graph, entry, defIndex, resolverConfig?.workspaces);
+  }
 
-    for (const ref of references) {
-      const targets = defIndex.get(ref.name);
-      if (!targets) continue;
+  const filesAfter = [];
+  graph.forEachNode((node, attrs) => { if (attrs.type === 'file') filesAfter.push(node); });
+  const resolverCtx = createResolverContext(filesAfter, resolverConfig);
 
-      const resolvedTargets = disambiguateTargets(targets, file, graph);
+  const entries = newSymbols.map(entry => withResolvedImports(graph, entry, resolverCtx));
+  const addedRefs = new Set();
+  const addedImports = new Set();
 
-      for (const target of resolvedTargets) {
-        const targetFile = graph.getNodeAttribute(target, 'file');
+  for (const entry of entries) {
+    wireFile(graph, entry, defIndex, resolverCtx, addedRefs, addedImports);
+  }
 
-        const refKey = `${file}\0${target}`;
-        if (!addedRefs.has(refKey)) {
-          addedRefs.add(refKey);
-          graph.addEdge(file, target, { type: 'REFERENCES' });
-        }
+  for (const [source, target, attrs] of incoming) {
+    if (!graph.hasNode(source) || !graph.hasNode(target)) continue;
+    const exists = graph.edges(source, target).some(e => graph.getEdgeAttribute(e, 'type') === attrs.type);
+    if (!exists) graph.addEdge(source, target, attrs);
+  }
 
-        if (targetFile !== file) {
-          const impKey = `${file}\0${targetFile}`;
-          if (!addedImports.has(impKey)) {
-            addedImports.add(impKey);
-            graph.addEdge(file, targetFile, { type: 'IMPORTS' });
-          }
-        }
-      }
-    }
+  const fileSetChanged = filesAfter.length !== filesBefore.size || filesAfter.some(f => !filesBefore.has(f));
+  if (fileSetChanged) {
+    reresolveImports(graph, resolverCtx, new Set(newSymbols.map(s => s.file)));
   }
 }
 
@@ -234,7 +563,13 @@ function getPathWeight(filePath, pathTiers = DEFAULT_PATH_TIERS) {
 function rankedSymbols(graph, focusFiles = [], pathTiers = DEFAULT_PATH_TIERS) {
   if (graph.order === 0) return [];
 
-  const g = graph.copy();
+  // Bare structure, not graph.copy(): copying attributes would read every
+  // symbol's lazily loaded details (see shards.js) for nothing
+  const g = graph.nullCopy();
+  graph.forEachNode((key) => g.addNode(key));
+  graph.forEachEdge((_edge, attrs, source, target) => {
+    g.addEdge(source, target, attrs.weight === undefined ? {} : { weight: attrs.weight });
+  });
 
   if (focusFiles.length > 0) {
     g.mergeNode('__focus__', { type: 'virtual' });
@@ -275,29 +610,57 @@ function rankedSymbols(graph, focusFiles = [], pathTiers = DEFAULT_PATH_TIERS) {
 }
 
 /**
- * Serialize graph + mtime map to disk.
+ * Serialize graph + mtime map to disk, plus per-file content hashes and
+ * parse diagnostics (file -> [{ type, message, line? }]) when there are any,
+ * and the project root, git revision (when indexing one), cache fingerprint
+ * and last rebuild record (see cache.js).
+ * Writes the sharded version 3 layout (see shards.js); pass `dirtyShards`
+ * to rewrite only the shards changed since the last save.
  */
-async function saveGraph(graph, mtimeMap, cachePath) {
+async function saveGraph(graph, mtimeMap, cachePath, { root, revision, hashes, diagnostics, fingerprint, rebuild, dirtyShards = null } = {}) {
   await mkdir(dirname(cachePath), { recursive: true });
-  const data = {
-    version: 2,
-    graph: graph.export(),
-    mtimes: Object.fromEntries(mtimeMap),
-  };
-  await writeFile(cachePath, JSON.stringify(data));
+  const meta = { mtimes: Object.fromEntries(mtimeMap) };
+  if (root) meta.root = root;
+  if (revision) meta.revision = revision;
+  if (fingerprint) meta.fingerprint = fingerprint;
+  if (rebuild) meta.rebuild = rebuild;
+  if (hashes && hashes.size > 0) meta.hashes = Object.fromEntries(hashes);
+  if (diagnostics && diagnostics.size > 0) meta.diagnostics = Object.fromEntries(diagnostics);
+  await saveShardedGraph(graph, cachePath, meta, dirtyShards);
 }
 
 /**
  * Load graph + mtime map from disk. Returns null if cache doesn't exist.
+ * Reads the sharded version 3 layout and migrates single-file version 1/2
+ * caches (`sharded: false` — the caller should rewrite every shard).
+ * Caches written before content hashing load with an empty hash map, and
+ * those written before fingerprinting with `fingerprint: null`.
  */
 async function loadGraph(cachePath) {
   try {
     const raw = JSON.parse(await readFile(cachePath, 'utf-8'));
-    if (raw.version !== 1 && raw.version !== 2) return null;
-    const graph = new MultiDirectedGraph({ allowSelfLoops: false });
-    graph.import(raw.graph);
+    if (raw.version !== 1 && raw.version !== 2 && raw.version !== 3) return null;
+    const createGraph = () => new MultiDirectedGraph({ allowSelfLoops: false });
+    let graph;
+    if (raw.version === 3) {
+      graph = await loadShardedGraph(raw, cachePath, createGraph);
+    } else {
+      graph = createGraph();
+      graph.import(raw.graph);
+    }
     const mtimes = new Map(Object.entries(raw.mtimes));
-    return { graph, mtimes };
+    const hashes = new Map(Object.entries(raw.hashes || {}));
+    const diagnostics = new Map(Object.entries(raw.diagnostics || {}));
+    return {
+      graph,
+      mtimes,
+      hashes,
+      diagnostics,
+      root: raw.root || null,
+      fingerprint: raw.fingerprint || null,
+      rebuild: raw.rebuild || null,
+      sharded: raw.version === 3,
+    };
   } catch {
     return null;
   }
@@ -310,6 +673,7 @@ export {
   getPathWeight,
   buildGraph,
   updateGraphFiles,
+  wireResolvedImports,
   removeFileNodes,
   rankedSymbols,
   saveGraph,
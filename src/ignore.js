@@ -0,0 +1,345 @@
+import { existsSync, readFileSync, statSync } from 'fs';
+import { dirname, join, relative, sep } from 'path';
+import { Ignore } from 'glob';
+
+// Ignore files read in every directory, lowest precedence first: within a
+// directory a later file overrides an earlier one, and a deeper directory
+// overrides its parents — the same layering git and ripgrep use.
+const IGNORE_FILES = ['.gitignore', '.ignore', '.betterrankignore'];
+
+const toPosix = (p) => (sep === '/' ? p : p.split(sep).join('/'));
+
+// --- gitignore pattern syntax ---
+
+function escapeRegex(ch) {
+  return /[.*+?^${}()|[\]\\/]/.test(ch) ? `\\${ch}` : ch;
+}
+
+/**
+ * Translate a gitignore glob (leading "/" and trailing "/" already removed)
+ * to a regex over a path relative to the ignore file's directory.
+ */
+function globToRegex(glob, anchored) {
+  let re = anchored ? '' : '(?:.*/)?';
+  let i = 0;
+  while (i < glob.length) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*' && (i === 0 || glob[i - 1] === '/') && (i + 2 === glob.length || glob[i + 2] === '/')) {
+      // "**/" matches zero or more directories; a trailing "/**" everything inside
+      if (i + 2 === glob.length) {
+        re += '.*';
+        i += 2;
+      } else {
+        re += '(?:.*/)?';
+        i += 3;
+      }
+    } else if (ch === '*') {
+      re += '[^/]*';
+      i++;
+    } else if (ch === '?') {
+      re += '[^/]';
+      i++;
+    } else if (ch === '[') {
+      const close = glob.indexOf(']', i + 2);
+      if (close === -1) {
+        re += '\\[';
+        i++;
+        continue;
+      }
+      let body = glob.substring(i + 1, close);
+      if (body[0] === '!') body = '^' + body.substring(1);
+      re += `[${body.replace(/\\/g, '\\\\')}]`;
+      i = close + 1;
+    } else if (ch === '\\' && i + 1 < glob.length) {
+      re += escapeRegex(glob[i + 1]);
+      i += 2;
+    } else {
+      re += escapeRegex(ch);
+      i++;
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+/**
+ * Parse the text of one ignore file into rules. Returns
+ * [{ pattern, negated, dirOnly, regex, base, source, line }] where `base`
+ * is the absolute directory the patterns are relative to.
+ */
+function parseIgnoreFile(text, base, source) {
+  const rules = [];
+  text.split(/\r?\n/).forEach((raw, idx) => {
+    // Trailing spaces are ignored unless escaped with a backslash
+    let line = raw.replace(/(?<!\\)\s+$/, '');
+    if (!line || line.startsWith('#')) return;
+
+    let negated = false;
+    if (line.startsWith('!')) {
+      negated = true;
+      line = line.substring(1);
+    } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+      line = line.substring(1);
+    }
+
+    let glob = line;
+    const dirOnly = glob.endsWith('/');
+    if (dirOnly) glob = glob.replace(/\/+$/, '');
+    // A slash anywhere but the end anchors the pattern to this directory
+    const anchored = glob.includes('/');
+    glob = glob.replace(/^\//, '');
+    if (!glob) return;
+
+    rules.push({
+      pattern: raw.trim(),
+      negated,
+      dirOnly,
+      regex: globToRegex(glob, anchored),
+      base,
+      source,
+      line: idx + 1,
+    });
+  });
+  return rules;
+}
+
+function readIgnoreFile(read, absPath, base, source) {
+  try {
+    return parseIgnoreFile(read(absPath), base, source);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * The nearest directory at or above `dir` containing `.git`, or null.
+ */
+function findGitRoot(dir) {
+  let current = dir;
+  while (true) {
+    if (existsSync(join(current, '.git'))) return current;
+    const parent = dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+/**
+ * Decides which paths under a project root get scanned. Two layers:
+ *
+ * 1. Glob patterns — built-in defaults, `ignore` from .code-index/config.json
+ *    and the `ignore` option. A pattern starting with "!" re-includes what
+ *    the others (and the ignore files) exclude.
+ * 2. Ignore files — .gitignore, .ignore and .betterrankignore in every
+ *    directory (plus .gitignore files between the git root and the project
+ *    root) and .git/info/exclude, with gitignore semantics: last matching
+ *    rule wins, "!" negates, and nothing is re-included inside an
+ *    excluded directory.
+ *
+ * Ignore files are read lazily and synchronously (glob's ignore hooks are
+ * sync); build a new matcher per scan so edits to them are picked up.
+ */
+class IgnoreMatcher {
+  /**
+   * @param {string} projectRoot - Absolute project root
+   * @param {Array<{pattern: string, source: string}>} patterns - Glob layer, in order
+   * @param {object} [opts]
+   * @param {Function} [opts.readFile] - Sync (absPath) -> text, throwing for a
+   *   missing file; reads from disk by default (see GitTree for a revision)
+   */
+  constructor(projectRoot, patterns = [], { readFile = (absPath) => readFileSync(absPath, 'utf-8') } = {}) {
+    this.projectRoot = projectRoot;
+    this.readFile = readFile;
+    this.patterns = patterns.map(({ pattern, source }) => {
+      const negated = pattern.startsWith('!');
+      const glob = negated ? pattern.substring(1) : pattern;
+      return { pattern, source, negated, matcher: new Ignore([glob], {}) };
+    });
+    this.dirRules = new Map();   // absolute dir -> rules from its ignore files
+    this.dirIgnored = new Map(); // relative dir -> explanation or null
+
+    this.rootRules = [];
+    const gitRoot = findGitRoot(projectRoot);
+    if (gitRoot) {
+      this.rootRules.push(...readIgnoreFile(this.readFile, join(gitRoot, '.git', 'info', 'exclude'), gitRoot, '.git/info/exclude'));
+      // .gitignore files above the project root still apply inside it
+      const above = [];
+      for (let dir = projectRoot; dir !== gitRoot; ) {
+        dir = dirname(dir);
+        above.unshift(dir);
+      }
+      for (const dir of above) {
+        this.rootRules.push(...readIgnoreFile(this.readFile, join(dir, '.gitignore'), dir, toPosix(relative(projectRoot, join(dir, '.gitignore')))));
+      }
+    }
+  }
+
+  _rulesIn(absDir) {
+    let rules = this.dirRules.get(absDir);
+    if (!rules) {
+      rules = [];
+      for (const name of IGNORE_FILES) {
+        const source = toPosix(relative(this.projectRoot, join(absDir, name)));
+        rules.push(...readIgnoreFile(this.readFile, join(absDir, name), absDir, source));
+      }
+      this.dirRules.set(absDir, rules);
+    }
+    return rules;
+  }
+
+  /**
+   * Last matching ignore-file rule for a path (ancestors not considered).
+   */
+  _lastRule(relPath, isDir) {
+    const absPath = join(this.projectRoot, relPath);
+    const chain = [...this.rootRules];
+    const parts = relPath.split('/');
+    let dir = this.projectRoot;
+    chain.push(...this._rulesIn(dir));
+    for (let i = 0; i < parts.length - 1; i++) {
+      dir = join(dir, parts[i]);
+      chain.push(...this._rulesIn(dir));
+    }
+
+    let last = null;
+    for (const rule of chain) {
+      if (rule.dirOnly && !isDir) continue;
+      if (rule.regex.test(toPosix(relative(rule.base, absPath)))) last = rule;
+    }
+    return last;
+  }
+
+  _globLayer(relPath) {
+    const absPath = join(this.projectRoot, relPath);
+    const path = { relative: () => relPath, fullpath: () => absPath };
+    let ignoredBy = null;
+    for (const p of this.patterns) {
+      if (!p.matcher.ignored(path)) continue;
+      if (p.negated) return { included: true, by: p };
+      if (!ignoredBy) ignoredBy = p;
+    }
+    return ignoredBy ? { included: false, by: ignoredBy } : null;
+  }
+
+  /**
+   * Why a path is (or isn't) ignored. Returns null when no rule applies,
+   * otherwise { ignored, source, line?, pattern, via? } where `via` names
+   * the excluded ancestor directory when the path is ignored through it.
+   *
+   * @param {string} relPath - Path relative to the project root (forward slashes)
+   * @param {boolean} isDir
+   */
+  explain(relPath, isDir) {
+    const glob = this._globLayer(relPath);
+    if (glob && glob.included) return { ignored: false, source: glob.by.source, pattern: glob.by.pattern };
+
+    const parts = relPath.split('/');
+    for (let i = 1; i < parts.length; i++) {
+      const dir = parts.slice(0, i).join('/');
+      const verdict = this._explainDir(dir);
+      if (verdict && verdict.ignored) return { ...verdict, via: verdict.via || dir };
+    }
+
+    if (glob) return { ignored: true, source: glob.by.source, pattern: glob.by.pattern };
+    const rule = this._lastRule(relPath, isDir);
+    if (!rule) return null;
+    return { ignored: !rule.negated, source: rule.source, line: rule.line, pattern: rule.pattern };
+  }
+
+  _explainDir(relDir) {
+    if (!this.dirIgnored.has(relDir)) {
+      const glob = this._globLayer(relDir);
+      let verdict;
+      if (glob) {
+        verdict = { ignored: !glob.included, source: glob.by.source, pattern: glob.by.pattern };
+      } else {
+        const rule = this._lastRule(relDir, true);
+        verdict = rule ? { ignored: !rule.negated, source: rule.source, line: rule.line, pattern: rule.pattern } : null;
+      }
+      this.dirIgnored.set(relDir, verdict);
+    }
+    return this.dirIgnored.get(relDir);
+  }
+
+  ignores(relPath, isDir) {
+    const verdict = this.explain(relPath, isDir);
+    return !!(verdict && verdict.ignored);
+  }
+
+  /**
+   * Adapter for glob's `ignore` option. Excluded directories are pruned
+   * rather than walked.
+   */
+  globIgnore() {
+    const rel = (p) => toPosix(p.relative());
+    return {
+      ignored: (p) => rel(p) !== '' && this.ignores(rel(p), p.isDirectory()),
+      childrenIgnored: (p) => rel(p) !== '' && this.ignores(rel(p), true),
+    };
+  }
+}
+
+// --- include globs ---
+
+/**
+ * config.json's `include`: only paths matching one of the globs, or inside
+ * a directory that does, are indexed. Import-resolution config (package.json,
+ * tsconfig) is still read from the directories leading to an include —
+ * `packages` and the root for `packages/api/**`.
+ */
+class IncludeFilter {
+  /**
+   * @param {string[]} globs - Relative to the project root
+   */
+  constructor(globs) {
+    this.globs = globs.map(g => g.replace(/^\.\//, '').replace(/\/+$/, '')).filter(Boolean);
+    this.matcher = new Ignore(this.globs.flatMap(g => [g, `${g}/**`]), {});
+    // Directories above each glob's first wildcard; a glob starting with
+    // one (`**/api`) may be reached through any directory
+    this.ancestors = new Set(['']);
+    this.anywhere = false;
+    for (const g of this.globs) {
+      const fixed = [];
+      for (const part of g.split('/')) {
+        if (/[*?[\]{}()!]/.test(part)) break;
+        fixed.push(part);
+      }
+      if (fixed.length === 0) this.anywhere = true;
+      for (let i = 1; i < fixed.length; i++) this.ancestors.add(fixed.slice(0, i).join('/'));
+    }
+  }
+
+  /** Whether a path (relative, forward slashes) is inside the include globs. */
+  includes(relPath) {
+    return this.matcher.ignored({ relative: () => relPath, fullpath: () => `/${relPath}` });
+  }
+
+  /** Whether a directory is on the way to an include glob. */
+  leadsTo(relDir) {
+    return this.anywhere || this.ancestors.has(relDir === '.' ? '' : relDir);
+  }
+
+  /**
+   * Glob patterns for a scan: everything inside the includes, and `files`
+   * (root-relative globs such as 'package.json') in the directories
+   * leading to them.
+   */
+  scanPatterns(files) {
+    const inside = this.globs.flatMap(g => [g, `${g}/**`]);
+    if (this.anywhere) return [...inside, ...files.map(f => `**/${f}`)];
+    const above = [...this.ancestors].flatMap(dir => files.map(f => (dir ? `${dir}/${f}` : f)));
+    return [...inside, ...above];
+  }
+}
+
+/**
+ * Whether a path under projectRoot is a directory (false if missing).
+ */
+function isDirectory(absPath) {
+  try {
+    return statSync(absPath).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+export { IgnoreMatcher, IncludeFilter, IGNORE_FILES, isDirectory };
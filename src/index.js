@@ -1,8 +1,17 @@
-import { readFile } from 'fs/promises';
 import { join, dirname, relative, sep, basename } from 'path';
-import { CodeIndexCache } from './cache.js';
+import { CodeIndexCache, listCaches, pruneCaches, clearCache } from './cache.js';
+import { FederatedCache, loadWorkspaceFile } from './federation.js';
 import { rankedSymbols } from './graph.js';
-import { parseFile } from './parser.js';
+import { parseFile, matchesSymbol, bareName } from './parser.js';
+
+/**
+ * Match a call site of `name`: a call (`name(`) or a JSX element (`<Name`,
+ * `<Form.Name`). Avoids string literals and definitions.
+ */
+function callSitePattern(name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![a-zA-Z0-9_])${escaped}\\s*\\(|<(?:[\\w.]+\\.)?${escaped}(?![\\w])`);
+}
 
 /**
  * Collapse unchanged context lines in git log -L diff output.
@@ -140,9 +149,9 @@ const FRAMEWORK_INVOKED_SYMBOLS = new Set([
 
 /**
  * Detect if a function signature is likely a class/instance method rather
- * than a standalone function. Method calls (obj.method()) are intentionally
- * not tracked as references (too noisy without type info), so all methods
- * appear orphaned. We exclude them to avoid flooding the results.
+ * than a standalone function. Only used for symbols cached before methods
+ * carried their enclosing class (see orphans()); calls on untyped receivers
+ * aren't tracked, so such methods would all appear orphaned.
  */
 function isLikelyMethod(signature, filePath) {
   if (!signature) return false;
@@ -167,7 +176,7 @@ function isLikelyMethod(signature, filePath) {
   return false;
 }
 
-function isOrphanFalsePositiveSymbol(name, kind, filePath, signature) {
+function isOrphanFalsePositiveSymbol(name, kind, filePath, signature, container) {
   if (FRAMEWORK_INVOKED_SYMBOLS.has(name)) return true;
 
   // Python dunders — called implicitly by the runtime
@@ -180,9 +189,9 @@ function isOrphanFalsePositiveSymbol(name, kind, filePath, signature) {
   // Very short names — too generic, ambiguity cap probably suppressed real refs
   if (name.length <= 2) return true;
 
-  // Class/instance methods — obj.method() calls aren't tracked as references,
-  // so every method appears orphaned. Filter them out.
-  if (kind === 'function' && isLikelyMethod(signature, filePath)) return true;
+  // Methods from caches without class info — can't tell them apart from
+  // methods only called through untyped receivers. Filter them out.
+  if (kind === 'function' && container === undefined && isLikelyMethod(signature, filePath)) return true;
 
   // Symbols in test files — all invoked by the test runner
   if (isTestFile(filePath)) return true;
@@ -225,6 +234,50 @@ function findSimilarFiles(graph, filePath, maxSuggestions = 5) {
  * Apply offset/limit pagination to an array.
  * Returns { items, total } where total is the unpaginated count.
  */
+/**
+ * Whether a symbol is part of its module's public surface. Symbols cached
+ * before visibility was recorded count as exported.
+ */
+function isExported(attrs) {
+  return !attrs.visibility || attrs.visibility === 'public';
+}
+
+/**
+ * Structured signature fields of a symbol node, for spreading into results.
+ * Empty for non-functions and for symbols cached before they were recorded.
+ */
+function signatureFields(attrs) {
+  if (!attrs.params) return {};
+  return {
+    params: attrs.params,
+    returnType: attrs.returnType,
+    async: attrs.async,
+    generator: attrs.generator,
+  };
+}
+
+/**
+ * Fill in a search result's detail fields — structured signature and doc.
+ * Done for the returned page only, so the detail shards of symbols it
+ * doesn't show are never loaded (see shards.js).
+ */
+function withDetails(graph, { _key, ...result }) {
+  const attrs = graph.getNodeAttributes(_key);
+  return { ...result, ...signatureFields(attrs), ...(attrs.doc ? { doc: attrs.doc } : {}) };
+}
+
+/**
+ * Whether a symbol satisfies the structured-signature filters of search():
+ * a parameter named `param`, a return type containing `returns`.
+ */
+function matchesSignatureFilters(attrs, { param, returns }) {
+  if (!param && !returns) return true;
+  if (!attrs.params) return false;
+  if (param && !attrs.params.some(p => p.name.replace(/^[$*&.]+/, '') === param.replace(/^[$*&.]+/, ''))) return false;
+  if (returns && !(attrs.returnType || '').toLowerCase().includes(returns.toLowerCase())) return false;
+  return true;
+}
+
 function paginate(arr, { offset = 0, limit } = {}) {
   const total = arr.length;
   const start = Math.max(0, offset);
@@ -233,13 +286,41 @@ function paginate(arr, { offset = 0, limit } = {}) {
 }
 
 class CodeIndex {
+  /**
+   * @param {string|Array<string|{root: string, name?: string}>} projectRoot -
+   *   One project root, or several to federate: their graphs are merged
+   *   under root-name-prefixed paths and ranked together (see federation.js)
+   * @param {object} [opts] - CodeIndexCache options (applied to every root),
+   *   e.g. `rev` to index a git tag, branch or commit instead of the working copy
+   */
   constructor(projectRoot, opts = {}) {
-    this.projectRoot = projectRoot;
-    this.cache = new CodeIndexCache(projectRoot, opts);
+    const federated = Array.isArray(projectRoot);
+    this.cache = federated ? new FederatedCache(projectRoot, opts) : new CodeIndexCache(projectRoot, opts);
+    this.projectRoot = federated ? null : projectRoot;
     this._rankedCache = null;
     this._fileScoresCache = null;
   }
 
+  /**
+   * Absolute path of a file as the graph names it, or null for a path
+   * under no root.
+   */
+  _absPath(file) {
+    const loc = this.cache.locate(file);
+    return loc ? join(loc.root, loc.path) : null;
+  }
+
+  /**
+   * Parse a file's source in the language its file node records — which
+   * config.json may have mapped from an extension or shebang — else by
+   * extension.
+   */
+  _parse(file, source) {
+    const graph = this.cache.getGraph();
+    const language = graph && graph.hasNode(file) ? graph.getNodeAttribute(file, 'language') : undefined;
+    return parseFile(file, source, language);
+  }
+
   async _ensureReady() {
     const result = await this.cache.ensure();
     if (result.changed > 0 || result.deleted > 0) {
@@ -285,6 +366,22 @@ class CodeIndex {
     return scores;
   }
 
+  /**
+   * Predicate for the `package` option: whether a file belongs to the
+   * workspace package with that name (or directory). Null when no package
+   * was asked for; throws for an unknown one.
+   */
+  async _packageScope(pkgName) {
+    if (!pkgName) return null;
+    const workspaces = await this.cache.getWorkspaces();
+    const names = new Set(workspaces
+      .filter(w => w.name === pkgName || w.dir === pkgName.replace(/^\.\/|\/+$/g, ''))
+      .map(w => w.name));
+    if (names.size === 0) throw new Error(`Unknown package "${pkgName}". See \`betterrank packages\`.`);
+    const graph = this.cache.getGraph();
+    return (file) => graph.hasNode(file) && names.has(graph.getNodeAttribute(file, 'package'));
+  }
+
   /**
    * Aider-style repo map: a compact summary of the most structurally
    * important definitions and their signatures, ranked by PageRank.
@@ -294,26 +391,33 @@ class CodeIndex {
    * @param {number} [opts.offset] - Skip first N symbols
    * @param {number} [opts.limit] - Max symbols to return (default: 50)
    * @param {boolean} [opts.count] - If true, return only { total }
+   * @param {boolean} [opts.docs=false] - Show doc summaries under signatures (text format)
+   * @param {boolean} [opts.exported=false] - Only symbols that are part of a module's public surface
+   * @param {string} [opts.package] - Only this workspace package (ranks stay repo-wide)
    * @returns {{content, shownFiles, shownSymbols, totalFiles, totalSymbols}|{total: number}}
    */
-  async map({ focusFiles = [], offset, limit, count = false, structured = false } = {}) {
+  async map({ focusFiles = [], offset, limit, count = false, structured = false, docs = false, exported = false, package: pkgName } = {}) {
     const ensureResult = await this._ensureReady();
     const graph = this.cache.getGraph();
     if (!graph || graph.order === 0) {
       const diagnostics = {
-        root: this.projectRoot,
+        root: this.cache.roots().map(r => r.root).join(', '),
         filesScanned: ensureResult.totalScanned || 0,
         extensions: this.cache.extensions.join(', '),
+        ...(this.cache.include ? { include: this.cache.include.globs.join(', ') } : {}),
       };
       if (count) return { total: 0, diagnostics };
       if (structured) return { files: [], shownFiles: 0, shownSymbols: 0, totalFiles: 0, totalSymbols: 0, diagnostics };
       return { content: '(empty index)', shownFiles: 0, shownSymbols: 0, totalFiles: 0, totalSymbols: 0, diagnostics };
     }
 
+    const inPackage = await this._packageScope(pkgName);
+
     // Count totals from the graph
     let totalFiles = 0;
     let totalSymbols = 0;
-    graph.forEachNode((_node, attrs) => {
+    graph.forEachNode((node, attrs) => {
+      if (inPackage && !inPackage(attrs.type === 'file' ? node : attrs.file)) return;
       if (attrs.type === 'file') totalFiles++;
       else if (attrs.type === 'symbol') totalSymbols++;
     });
@@ -330,20 +434,27 @@ class CodeIndex {
         continue;
       }
       if (attrs.type !== 'symbol') continue;
+      if (exported && !isExported(attrs)) continue;
+      if (inPackage && !inPackage(attrs.file)) continue;
 
       allEntries.push({
+        key: symbolKey,
         file: attrs.file,
         name: attrs.name,
+        qualifiedName: attrs.qualifiedName || attrs.name,
         kind: attrs.kind,
         lineStart: attrs.lineStart,
         lineEnd: attrs.lineEnd,
         signature: attrs.signature,
+        visibility: attrs.visibility || null,
       });
     }
 
     if (count) return { total: allEntries.length };
 
     const { items } = paginate(allEntries, { offset, limit });
+    // Docs live in lazily loaded detail shards; read only the page's
+    for (const entry of items) entry.doc = graph.getNodeAttribute(entry.key, 'doc') || null;
 
     // Structured format: return file objects with nested symbol arrays
     if (structured) {
@@ -352,10 +463,13 @@ class CodeIndex {
         if (!fileGroups.has(entry.file)) fileGroups.set(entry.file, []);
         fileGroups.get(entry.file).push({
           name: entry.name,
+          qualifiedName: entry.qualifiedName,
           kind: entry.kind,
           lineStart: entry.lineStart,
           lineEnd: entry.lineEnd,
           signature: entry.signature,
+          visibility: entry.visibility,
+          doc: entry.doc,
         });
       }
       return {
@@ -373,6 +487,7 @@ class CodeIndex {
       if (!fileGroups.has(entry.file)) fileGroups.set(entry.file, []);
       const line = `  ${String(entry.lineStart).padStart(4)}│ ${entry.signature}`;
       fileGroups.get(entry.file).push(line);
+      if (docs && entry.doc) fileGroups.get(entry.file).push(`      │   ${entry.doc}`);
     }
 
     const lines = [];
@@ -429,21 +544,31 @@ class CodeIndex {
   }
 
   /**
-   * Fuzzy-search symbols by substring matching against name and signature
-   * (which includes parameter names and types). Results ranked by PageRank.
+   * Fuzzy-search symbols by substring matching against qualified name
+   * (`UserService.validate`) and signature (which includes parameter names
+   * and types). Results ranked by PageRank.
+   *
+   * The `param` and `returns` filters use the structured signature
+   * (functions only); `query` may be omitted when either is given.
    *
    * @param {object} opts
-   * @param {string} opts.query - Substring to match (case-insensitive)
-   * @param {string} [opts.kind] - Filter to this kind (function, class, type, variable)
+   * @param {string} [opts.query] - Substring to match (case-insensitive)
+   * @param {string} [opts.kind] - Filter to this kind (function, class, type, variable, constant)
+   * @param {boolean} [opts.docs=false] - Also match the query against doc summaries
+   * @param {boolean} [opts.exported=false] - Only symbols that are part of a module's public surface
+   * @param {string} [opts.param] - Only functions with a parameter of this name (`ctx`)
+   * @param {string} [opts.returns] - Only functions whose return type contains this (`Promise<User>`)
+   * @param {string} [opts.package] - Only symbols in this workspace package
    * @param {number} [opts.offset] - Skip first N results
    * @param {number} [opts.limit] - Max results to return
    * @param {boolean} [opts.count] - If true, return only { total }
    * @returns {Array|{total: number}}
    */
-  async search({ query, kind, offset, limit, count = false }) {
+  async search({ query = '', kind, param, returns, docs = false, exported = false, package: pkgName, offset, limit, count = false }) {
     await this._ensureReady();
     const graph = this.cache.getGraph();
     if (!graph || graph.order === 0) return count ? { total: 0 } : [];
+    const inPackage = await this._packageScope(pkgName);
 
     const ranked = this._getRanked();
     const scoreMap = new Map(ranked);
@@ -453,18 +578,25 @@ class CodeIndex {
     graph.forEachNode((node, attrs) => {
       if (attrs.type !== 'symbol') return;
       if (kind && attrs.kind !== kind) return;
+      if (exported && !isExported(attrs)) return;
+      if (inPackage && !inPackage(attrs.file)) return;
+      if (!matchesSignatureFilters(attrs, { param, returns })) return;
 
-      const nameMatch = attrs.name.toLowerCase().includes(q);
+      const nameMatch = (attrs.qualifiedName || attrs.name).toLowerCase().includes(q);
       const sigMatch = attrs.signature && attrs.signature.toLowerCase().includes(q);
-      if (!nameMatch && !sigMatch) return;
+      const docMatch = docs && attrs.doc && attrs.doc.toLowerCase().includes(q);
+      if (!nameMatch && !sigMatch && !docMatch) return;
 
       results.push({
         name: attrs.name,
+        qualifiedName: attrs.qualifiedName || attrs.name,
         kind: attrs.kind,
         file: attrs.file,
         lineStart: attrs.lineStart,
         lineEnd: attrs.lineEnd,
         signature: attrs.signature,
+        visibility: attrs.visibility || null,
+        _key: node,
         _score: scoreMap.get(node) || 0,
       });
     });
@@ -473,7 +605,7 @@ class CodeIndex {
     for (const r of results) delete r._score;
 
     if (count) return { total: results.length };
-    return paginate(results, { offset, limit }).items;
+    return paginate(results, { offset, limit }).items.map(r => withDetails(graph, r));
   }
 
   /**
@@ -483,13 +615,14 @@ class CodeIndex {
    *
    * @param {object} [opts]
    * @param {string} [opts.file] - Filter to this file
-   * @param {string} [opts.kind] - Filter to this kind (function, class, type, variable)
+   * @param {string} [opts.kind] - Filter to this kind (function, class, type, variable, constant)
+   * @param {boolean} [opts.exported=false] - Only symbols that are part of a module's public surface
    * @param {number} [opts.offset] - Skip first N results
    * @param {number} [opts.limit] - Max results to return
    * @param {boolean} [opts.count] - If true, return only { total }
    * @returns {Array|{total: number}}
    */
-  async symbols({ file, kind, offset, limit, count = false } = {}) {
+  async symbols({ file, kind, exported = false, offset, limit, count = false } = {}) {
     await this._ensureReady();
     const graph = this.cache.getGraph();
     if (!graph || graph.order === 0) return count ? { total: 0 } : [];
@@ -502,13 +635,17 @@ class CodeIndex {
       if (attrs.type !== 'symbol') return;
       if (file && attrs.file !== file) return;
       if (kind && attrs.kind !== kind) return;
+      if (exported && !isExported(attrs)) return;
       results.push({
         name: attrs.name,
+        qualifiedName: attrs.qualifiedName || attrs.name,
         kind: attrs.kind,
         file: attrs.file,
         lineStart: attrs.lineStart,
         lineEnd: attrs.lineEnd,
         signature: attrs.signature,
+        visibility: attrs.visibility || null,
+        _key: node,
         _score: scoreMap.get(node) || 0,
       });
     });
@@ -517,7 +654,7 @@ class CodeIndex {
     for (const r of results) delete r._score;
 
     if (count) return { total: results.length };
-    return paginate(results, { offset, limit }).items;
+    return paginate(results, { offset, limit }).items.map(r => withDetails(graph, r));
   }
 
   /**
@@ -529,13 +666,13 @@ class CodeIndex {
    * the actual call-site lines with surrounding context.
    *
    * @param {object} opts
-   * @param {string} opts.symbol - Symbol name
+   * @param {string} opts.symbol - Symbol name, bare or class-qualified (`UserService.validate`)
    * @param {string} [opts.file] - Disambiguate by file
    * @param {number} [opts.context=0] - Lines of context around each call site (0 = off)
    * @param {number} [opts.offset] - Skip first N results
    * @param {number} [opts.limit] - Max results to return
    * @param {boolean} [opts.count] - If true, return only { total }
-   * @returns {Array<{file, sites?}>|{total: number}}
+   * @returns {Array<{file, refKinds?, sites?}>|{total: number}}
    */
   async callers({ symbol, file, offset, limit, count = false, context = 0 }) {
     await this._ensureReady();
@@ -547,12 +684,12 @@ class CodeIndex {
     const targetKeys = [];
     graph.forEachNode((node, attrs) => {
       if (attrs.type !== 'symbol') return;
-      if (attrs.name !== symbol) return;
+      if (!matchesSymbol(attrs, symbol)) return;
       if (file && attrs.file !== file) return;
       targetKeys.push(node);
     });
 
-    const callerSet = new Set();
+    const callerMap = new Map();
     const results = [];
 
     for (const targetKey of targetKeys) {
@@ -560,26 +697,36 @@ class CodeIndex {
         if (attrs.type !== 'REFERENCES') return;
         const sourceAttrs = graph.getNodeAttributes(source);
         const callerFile = sourceAttrs.file || source;
-        if (!callerSet.has(callerFile)) {
-          callerSet.add(callerFile);
-          results.push({ file: callerFile, _score: fileScores.get(callerFile) || 0 });
+        let entry = callerMap.get(callerFile);
+        if (!entry) {
+          entry = { file: callerFile, _score: fileScores.get(callerFile) || 0, _kinds: new Set() };
+          callerMap.set(callerFile, entry);
+          results.push(entry);
         }
+        if (attrs.refKind) entry._kinds.add(attrs.refKind);
       });
     }
 
     results.sort((a, b) => b._score - a._score);
-    for (const r of results) delete r._score;
+    for (const r of results) {
+      // Non-call usages (Python annotations, base classes, decorators)
+      if (r._kinds.size > 0) r.refKinds = [...r._kinds].sort();
+      delete r._score;
+      delete r._kinds;
+    }
 
     if (count) return { total: results.length };
 
     const paged = paginate(results, { offset, limit }).items;
 
     if (context > 0) {
-      // Match call sites: symbol followed by ( — avoids string literals and definitions
-      const escaped = symbol.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      const callPattern = new RegExp(`(?<![a-zA-Z0-9_])${escaped}\\s*\\(`);
+      // Call sites use the bare name (`svc.validate(`), never `UserService.validate(`.
+      const escaped = bareName(symbol).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const callPattern = callSitePattern(bareName(symbol));
       // Fallback: import/from lines that reference the symbol
       const importPattern = new RegExp(`(?:import|from)\\s.*\\b${escaped}\\b`);
+      // Annotations, base classes and decorators aren't calls — match the bare word
+      const usagePattern = new RegExp(`(?<![a-zA-Z0-9_])${escaped}(?![a-zA-Z0-9_])`);
 
       // Collect the target symbol's own definition ranges to exclude
       const defRanges = [];
@@ -593,8 +740,7 @@ class CodeIndex {
       for (const entry of paged) {
         entry.sites = [];
         try {
-          const absPath = join(this.projectRoot, entry.file);
-          const source = await readFile(absPath, 'utf-8');
+          const source = await this.cache.readSource(entry.file);
           const lines = source.split('\n');
 
           for (let i = 0; i < lines.length; i++) {
@@ -604,7 +750,9 @@ class CodeIndex {
             if (inDef) continue;
 
             const line = lines[i];
-            if (!callPattern.test(line) && !importPattern.test(line)) continue;
+            const matched = callPattern.test(line) || importPattern.test(line)
+              || (entry.refKinds && usagePattern.test(line));
+            if (!matched) continue;
 
             const start = Math.max(0, i - context);
             const end = Math.min(lines.length - 1, i + context);
@@ -630,12 +778,13 @@ class CodeIndex {
    *
    * @param {object} opts
    * @param {string} opts.file - File path (relative to project root)
+   * @param {string} [opts.package] - Only dependencies in this workspace package
    * @param {number} [opts.offset] - Skip first N results
    * @param {number} [opts.limit] - Max results to return
    * @param {boolean} [opts.count] - If true, return only { total }
    * @returns {string[]|{total: number}}
    */
-  async dependencies({ file, offset, limit, count = false }) {
+  async dependencies({ file, package: pkgName, offset, limit, count = false }) {
     await this._ensureReady();
     const graph = this.cache.getGraph();
     if (!graph || !graph.hasNode(file)) {
@@ -645,12 +794,13 @@ class CodeIndex {
     }
 
     const fileScores = this._getFileScores();
+    const inPackage = await this._packageScope(pkgName);
 
     const deps = new Set();
     graph.forEachOutEdge(file, (edge, attrs, _source, target) => {
       if (attrs.type === 'IMPORTS') {
         const targetAttrs = graph.getNodeAttributes(target);
-        if (targetAttrs.type === 'file') {
+        if (targetAttrs.type === 'file' && (!inPackage || inPackage(target))) {
           deps.add(target);
         }
       }
@@ -850,6 +1000,7 @@ class CodeIndex {
 
       symbols.push({
         name: attrs.name,
+        qualifiedName: attrs.qualifiedName || attrs.name,
         kind: attrs.kind,
         file: attrs.file,
         lineStart: attrs.lineStart,
@@ -889,7 +1040,12 @@ class CodeIndex {
    *   These are the "satellites" in the graph UI.
    *
    * level='symbol': symbols with no incoming REFERENCES from outside their own file.
-   *   Dead code candidates — defined but never used cross-file.
+   *   Dead code candidates — defined but never used cross-file. Methods are
+   *   judged by any reference (this./self. calls count) and only reported
+   *   when their class is used cross-file; an unused class is reported itself.
+   *
+   *   Each carries its visibility; unexported symbols nothing references at
+   *   all, not even their own file, are marked `confidence: 'high'`.
    *
    * False positives (entry points, config files, test files, framework hooks,
    * dunders, etc.) are excluded by default.
@@ -897,20 +1053,24 @@ class CodeIndex {
    * @param {object} [opts]
    * @param {'file'|'symbol'} [opts.level='file'] - Granularity
    * @param {string} [opts.kind] - Filter symbols by kind (only for level='symbol')
+   * @param {boolean} [opts.exported=false] - Only exported symbols (only for level='symbol')
+   * @param {string} [opts.package] - Only files/symbols in this workspace package
    * @param {number} [opts.offset] - Skip first N results
    * @param {number} [opts.limit] - Max results to return
    * @param {boolean} [opts.count=false] - If true, return only { total }
    * @returns {Array|{total: number}}
    */
-  async orphans({ level = 'file', kind, offset, limit, count = false } = {}) {
+  async orphans({ level = 'file', kind, exported = false, package: pkgName, offset, limit, count = false } = {}) {
     await this._ensureReady();
     const graph = this.cache.getGraph();
     if (!graph || graph.order === 0) return count ? { total: 0 } : [];
+    const inPackage = await this._packageScope(pkgName);
 
     if (level === 'file') {
       const results = [];
       graph.forEachNode((node, attrs) => {
         if (attrs.type !== 'file') return;
+        if (inPackage && !inPackage(node)) return;
 
         // Skip false positives: entry points, config, tests
         if (isOrphanFalsePositiveFile(node)) return;
@@ -937,30 +1097,52 @@ class CodeIndex {
       graph.forEachNode((node, attrs) => {
         if (attrs.type !== 'symbol') return;
         if (kind && attrs.kind !== kind) return;
+        if (exported && !isExported(attrs)) return;
+        if (inPackage && !inPackage(attrs.file)) return;
+
+        // Skip false positives: framework hooks, dunders, test funcs, etc.
+        if (isOrphanFalsePositiveSymbol(attrs.name, attrs.kind, attrs.file, attrs.signature, attrs.container)) return;
+
+        // Any incoming REFERENCES — or only those from a different file
+        const hasRef = (target, externalOnly) => {
+          let found = false;
+          graph.forEachInEdge(target, (_edge, edgeAttrs, source) => {
+            if (found) return;
+            if (edgeAttrs.type !== 'REFERENCES') return;
+            if (!externalOnly) { found = true; return; }
+            try {
+              const sourceFile = graph.getNodeAttribute(source, 'file') || source;
+              if (sourceFile !== attrs.file) found = true;
+            } catch {
+              if (source !== attrs.file) found = true;
+            }
+          });
+          return found;
+        };
+
+        let orphaned;
+        const classKey = attrs.container ? `${attrs.file}::${attrs.container}` : null;
+        if (attrs.kind === 'function' && classKey && graph.hasNode(classKey)
+            && graph.getNodeAttribute(classKey, 'kind') !== 'namespace') {
+          // Method: calls through untyped receivers are invisible, so only
+          // report methods nothing calls at all, and only when the class
+          // itself is in use (otherwise the class is the orphan).
+          orphaned = !hasRef(node, false) && hasRef(classKey, true);
+        } else {
+          orphaned = !hasRef(node, true);
+        }
 
-        // Skip false positives: framework hooks, dunders, test funcs, methods, etc.
-        if (isOrphanFalsePositiveSymbol(attrs.name, attrs.kind, attrs.file, attrs.signature)) return;
-
-        // Check for any incoming REFERENCES from a different file
-        let hasExternalRef = false;
-        graph.forEachInEdge(node, (_edge, edgeAttrs, source) => {
-          if (hasExternalRef) return;
-          if (edgeAttrs.type !== 'REFERENCES') return;
-          try {
-            const sourceFile = graph.getNodeAttribute(source, 'file') || source;
-            if (sourceFile !== attrs.file) hasExternalRef = true;
-          } catch {
-            if (source !== attrs.file) hasExternalRef = true;
-          }
-        });
-
-        if (!hasExternalRef) {
+        if (orphaned) {
           results.push({
             name: attrs.name,
+            qualifiedName: attrs.qualifiedName || attrs.name,
             kind: attrs.kind,
             file: attrs.file,
             lineStart: attrs.lineStart,
             signature: attrs.signature,
+            visibility: attrs.visibility || null,
+            confidence: !isExported(attrs) && !hasRef(node, false) ? 'high' : 'normal',
+            lineEnd: attrs.lineEnd,
           });
         }
       });
@@ -968,7 +1150,28 @@ class CodeIndex {
       // Group by file, then by line within file
       results.sort((a, b) => a.file.localeCompare(b.file) || a.lineStart - b.lineStart);
       if (count) return { total: results.length };
-      return paginate(results, { offset, limit }).items;
+      const page = paginate(results, { offset, limit }).items;
+
+      // Plain identifier uses (callbacks, constants read in place) aren't
+      // graph references: only keep 'high' when the name appears nowhere
+      // in its file outside its own definition
+      const sources = new Map();
+      for (const r of page) {
+        if (r.confidence === 'high') {
+          if (!sources.has(r.file)) {
+            sources.set(r.file, await this.cache.readSource(r.file).then(t => t.split('\n'), () => null));
+          }
+          const lines = sources.get(r.file);
+          const escaped = r.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+          const word = new RegExp(`(?<![\\w$])${escaped}(?![\\w$])`);
+          const usedElsewhere = !lines || lines.some((line, i) =>
+            (i + 1 < r.lineStart || i + 1 > r.lineEnd) && word.test(line)
+          );
+          if (usedElsewhere) r.confidence = 'normal';
+        }
+        delete r.lineEnd;
+      }
+      return page;
     }
 
     throw new Error(`Unknown level: "${level}". Use "file" or "symbol".`);
@@ -1031,7 +1234,7 @@ class CodeIndex {
 
   /**
    * Get caller counts for all symbols defined in a file.
-   * Returns a Map<symbolName, number> where the count is unique
+   * Returns a Map<qualifiedName, number> where the count is unique
    * files that reference each symbol (excluding self-references).
    *
    * @param {string} file - Relative file path
@@ -1056,7 +1259,7 @@ class CodeIndex {
       });
 
       if (callerFiles.size > 0) {
-        counts.set(attrs.name, callerFiles.size);
+        counts.set(attrs.qualifiedName || attrs.name, callerFiles.size);
       }
     });
 
@@ -1070,7 +1273,7 @@ class CodeIndex {
    * references, and a callers summary — all from a single command.
    *
    * @param {object} opts
-   * @param {string} opts.symbol - Symbol name
+   * @param {string} opts.symbol - Symbol name, bare or class-qualified
    * @param {string} [opts.file] - Disambiguate by file
    * @returns {object|null} { definition, usedSymbols, typeRefs, callers }
    */
@@ -1083,7 +1286,7 @@ class CodeIndex {
     const candidates = [];
     graph.forEachNode((node, attrs) => {
       if (attrs.type !== 'symbol') return;
-      if (attrs.name !== symbol) return;
+      if (!matchesSymbol(attrs, symbol)) return;
       if (file && attrs.file !== file) return;
       candidates.push({ key: node, ...attrs });
     });
@@ -1097,8 +1300,7 @@ class CodeIndex {
     // Read the source file
     let source, lines;
     try {
-      const absPath = join(this.projectRoot, target.file);
-      source = await readFile(absPath, 'utf-8');
+      source = await this.cache.readSource(target.file);
       lines = source.split('\n');
     } catch {
       return null;
@@ -1112,7 +1314,7 @@ class CodeIndex {
     const allSymbols = new Map(); // name -> [{ file, kind, signature, lineStart }]
     graph.forEachNode((node, attrs) => {
       if (attrs.type !== 'symbol') return;
-      if (attrs.file === target.file && attrs.name === target.name) return; // skip self
+      if (attrs.file === target.file && attrs.name === target.name) return; // skip self (and same-named siblings)
       if (!allSymbols.has(attrs.name)) allSymbols.set(attrs.name, []);
       allSymbols.get(attrs.name).push({
         file: attrs.file,
@@ -1161,7 +1363,12 @@ class CodeIndex {
     // Resolve type annotations in the signature
     // Extract type-like tokens from the signature (capitalized words, common patterns)
     const typeRefs = [];
-    const sigText = target.signature || '';
+    // The stored signature is truncated; structured types are complete
+    const sigText = [
+      target.signature || '',
+      ...(target.params || []).map(p => p.type || ''),
+      target.returnType || '',
+    ].join(' ');
     const typePattern = /(?<![a-zA-Z0-9_])([A-Z][a-zA-Z0-9_]+)(?![a-zA-Z0-9_])/g;
     const seenTypes = new Set();
     let match;
@@ -1176,8 +1383,7 @@ class CodeIndex {
       if (best.kind === 'class' || best.kind === 'type') {
         let fields = null;
         try {
-          const typeAbsPath = join(this.projectRoot, best.file);
-          const typeSource = await readFile(typeAbsPath, 'utf-8');
+          const typeSource = await this.cache.readSource(best.file);
           const typeLines = typeSource.split('\n');
           // Extract the body lines (up to 15 lines to keep it compact)
           const maxPreview = 15;
@@ -1211,11 +1417,15 @@ class CodeIndex {
     return {
       definition: {
         name: target.name,
+        qualifiedName: target.qualifiedName || target.name,
         kind: target.kind,
         file: target.file,
         lineStart: target.lineStart,
         lineEnd: target.lineEnd,
         signature: target.signature,
+        visibility: target.visibility || null,
+        ...signatureFields(target),
+        ...(target.doc ? { doc: target.doc } : {}),
         source: bodyLines,
       },
       usedSymbols: filteredSymbols,
@@ -1228,7 +1438,7 @@ class CodeIndex {
    * Git history of a specific function, using its tree-sitter line range.
    *
    * @param {object} opts
-   * @param {string} opts.symbol - Symbol name
+   * @param {string} opts.symbol - Symbol name, bare or class-qualified
    * @param {string} [opts.file] - Disambiguate by file
    * @param {number} [opts.offset=0] - Skip first N commits
    * @param {number} [opts.limit=20] - Max commits to show
@@ -1243,27 +1453,27 @@ class CodeIndex {
     const candidates = [];
     graph.forEachNode((node, attrs) => {
       if (attrs.type !== 'symbol') return;
-      if (attrs.name !== symbol) return;
+      if (!matchesSymbol(attrs, symbol)) return;
       if (file && attrs.file !== file) return;
-      candidates.push(attrs);
+      candidates.push({ key: node, attrs });
     });
     if (candidates.length === 0) return null;
 
     const ranked = this._getRanked();
     const scoreMap = new Map(ranked);
-    candidates.sort((a, b) => {
-      const aKey = `${a.file}::${a.name}`;
-      const bKey = `${b.file}::${b.name}`;
-      return (scoreMap.get(bKey) || 0) - (scoreMap.get(aKey) || 0);
-    });
-    const target = candidates[0];
+    candidates.sort((a, b) => (scoreMap.get(b.key) || 0) - (scoreMap.get(a.key) || 0));
+    const target = candidates[0].attrs;
+    const { root, path: gitPath } = this.cache.locate(target.file);
+    // Line numbers are the indexed revision's, so start its history there
+    const rev = this.cache.roots().find(r => r.root === root).rev;
+    const from = rev ? `${rev} ` : '';
 
     const { execSync } = await import('child_process');
     try {
       if (patch) {
         const raw = execSync(
-          `git log -L ${target.lineStart},${target.lineEnd}:${target.file} --skip=${offset} -n ${limit}`,
-          { cwd: this.projectRoot, encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'], timeout: 30000 }
+          `git log ${from}-L ${target.lineStart},${target.lineEnd}:${gitPath} --skip=${offset} -n ${limit}`,
+          { cwd: root, encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'], timeout: 30000 }
         ).trim();
         // Collapse unchanged context lines in diffs — keep 2 lines around changes
         const collapsed = _collapseDiffContext(raw, 2);
@@ -1271,8 +1481,8 @@ class CodeIndex {
       }
       // Summary only
       const output = execSync(
-        `git log -L ${target.lineStart},${target.lineEnd}:${target.file} --no-patch --format="%h  %ad  %s" --date=short --skip=${offset} -n ${limit}`,
-        { cwd: this.projectRoot, encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'], timeout: 30000 }
+        `git log ${from}-L ${target.lineStart},${target.lineEnd}:${gitPath} --no-patch --format="%h  %ad  %s" --date=short --skip=${offset} -n ${limit}`,
+        { cwd: root, encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'], timeout: 30000 }
       ).trim();
       const commits = output ? output.split('\n').filter(Boolean) : [];
       return { definition: target, commits };
@@ -1289,7 +1499,7 @@ class CodeIndex {
    * Returns a tree: { name, file, line, callers: [...] }
    *
    * @param {object} opts
-   * @param {string} opts.symbol - Starting symbol name
+   * @param {string} opts.symbol - Starting symbol name, bare or class-qualified
    * @param {string} [opts.file] - Disambiguate by file
    * @param {number} [opts.depth=3] - Max hops upward
    * @returns {object} Tree root node
@@ -1303,7 +1513,7 @@ class CodeIndex {
     const targetKeys = [];
     graph.forEachNode((node, attrs) => {
       if (attrs.type !== 'symbol') return;
-      if (attrs.name !== symbol) return;
+      if (!matchesSymbol(attrs, symbol)) return;
       if (file && attrs.file !== file) return;
       targetKeys.push(node);
     });
@@ -1323,9 +1533,8 @@ class CodeIndex {
     const getFileDefs = async (filePath) => {
       if (defCache.has(filePath)) return defCache.get(filePath);
       try {
-        const absPath = join(this.projectRoot, filePath);
-        const source = await readFile(absPath, 'utf-8');
-        const parsed = parseFile(filePath, source);
+        const source = await this.cache.readSource(filePath);
+        const parsed = this._parse(filePath, source);
         const defs = parsed ? parsed.definitions.sort((a, b) => a.lineStart - b.lineStart) : [];
         defCache.set(filePath, defs);
         return defs;
@@ -1358,7 +1567,7 @@ class CodeIndex {
       const symKeys = [];
       graph.forEachNode((gNode, attrs) => {
         if (attrs.type !== 'symbol') return;
-        if (attrs.name !== symbolName) return;
+        if ((attrs.qualifiedName || attrs.name) !== symbolName) return;
         if (attrs.file !== symbolFile) return;
         symKeys.push(gNode);
       });
@@ -1375,14 +1584,11 @@ class CodeIndex {
       }
 
       // For each caller file, find which function contains the call
-      const callPattern = new RegExp(
-        `(?<![a-zA-Z0-9_])${symbolName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*\\(`
-      );
+      const callPattern = callSitePattern(bareName(symbolName));
 
       for (const callerFile of callerFiles) {
         try {
-          const absPath = join(this.projectRoot, callerFile);
-          const source = await readFile(absPath, 'utf-8');
+          const source = await this.cache.readSource(callerFile);
           const lines = source.split('\n');
           const defs = await getFileDefs(callerFile);
 
@@ -1396,7 +1602,7 @@ class CodeIndex {
           const containingDef = callLine ? findContainingDef(defs, callLine) : null;
 
           if (containingDef) {
-            const callerNode = await buildNode(containingDef.name, callerFile, containingDef.lineStart, currentDepth + 1);
+            const callerNode = await buildNode(containingDef.qualifiedName, callerFile, containingDef.lineStart, currentDepth + 1);
             node.callers.push(callerNode);
           } else {
             // Top-level call (not inside any function) — show as file-level
@@ -1412,7 +1618,7 @@ class CodeIndex {
       return node;
     };
 
-    return buildNode(rootAttrs.name, rootAttrs.file, rootAttrs.lineStart, 0);
+    return buildNode(rootAttrs.qualifiedName || rootAttrs.name, rootAttrs.file, rootAttrs.lineStart, 0);
   }
 
   /**
@@ -1433,7 +1639,7 @@ class CodeIndex {
     const targetKeys = [];
     graph.forEachNode((node, attrs) => {
       if (attrs.type !== 'symbol') return;
-      if (attrs.name !== symbol) return;
+      if (!matchesSymbol(attrs, symbol)) return;
       if (file && attrs.file !== file) return;
       targetKeys.push(node);
     });
@@ -1459,9 +1665,8 @@ class CodeIndex {
     const getFileDefs = async (filePath) => {
       if (defCache.has(filePath)) return defCache.get(filePath);
       try {
-        const absPath = join(this.projectRoot, filePath);
-        const source = await readFile(absPath, 'utf-8');
-        const parsed = parseFile(filePath, source);
+        const source = await this.cache.readSource(filePath);
+        const parsed = this._parse(filePath, source);
         const defs = parsed ? parsed.definitions.sort((a, b) => a.lineStart - b.lineStart) : [];
         defCache.set(filePath, defs);
         return defs;
@@ -1483,15 +1688,14 @@ class CodeIndex {
 
       // Find the definition's line range so we know which references belong to it
       const defs = await getFileDefs(symbolFile);
-      const thisDef = defs.find(d => d.name === symbolName && d.lineStart === symbolLine)
-        || defs.find(d => d.name === symbolName);
+      const thisDef = defs.find(d => d.qualifiedName === symbolName && d.lineStart === symbolLine)
+        || defs.find(d => d.qualifiedName === symbolName);
       if (!thisDef) return node;
 
       // Get the source to find call sites within this function's body
       let sourceLines;
       try {
-        const absPath = join(this.projectRoot, symbolFile);
-        const source = await readFile(absPath, 'utf-8');
+        const source = await this.cache.readSource(symbolFile);
         sourceLines = source.split('\n');
       } catch {
         return node;
@@ -1501,16 +1705,17 @@ class CodeIndex {
       const fileNodeKey = symbolFile;
 
       // Collect all symbols that this file references (outgoing REFERENCES from file node)
-      const referencedSymbols = new Map(); // name -> {file, line, name}
+      const referencedSymbols = new Map(); // symbolKey -> {name, bareName, file, line}
       if (graph.hasNode(fileNodeKey)) {
         graph.forEachOutEdge(fileNodeKey, (_edge, attrs, _source, target) => {
           if (attrs.type !== 'REFERENCES') return;
           const targetAttrs = graph.getNodeAttributes(target);
           if (targetAttrs.type !== 'symbol') return;
           // Skip self-references
-          if (targetAttrs.name === symbolName && targetAttrs.file === symbolFile) return;
-          referencedSymbols.set(`${targetAttrs.file}::${targetAttrs.name}`, {
-            name: targetAttrs.name,
+          if (target === nodeKey) return;
+          referencedSymbols.set(target, {
+            name: targetAttrs.qualifiedName || targetAttrs.name,
+            bareName: targetAttrs.name,
             file: targetAttrs.file,
             line: targetAttrs.lineStart
           });
@@ -1519,9 +1724,7 @@ class CodeIndex {
 
       // Filter to references that appear within this function's line range
       for (const [key, ref] of referencedSymbols) {
-        const callPattern = new RegExp(
-          `(?<![a-zA-Z0-9_])${ref.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*\\(`
-        );
+        const callPattern = callSitePattern(ref.bareName);
 
         let found = false;
         for (let i = thisDef.lineStart - 1; i < Math.min(thisDef.lineEnd, sourceLines.length); i++) {
@@ -1539,7 +1742,7 @@ class CodeIndex {
       return node;
     };
 
-    return buildNode(rootAttrs.name, rootAttrs.file, rootAttrs.lineStart, 0);
+    return buildNode(rootAttrs.qualifiedName || rootAttrs.name, rootAttrs.file, rootAttrs.lineStart, 0);
   }
 
   /**
@@ -1547,6 +1750,8 @@ class CodeIndex {
    *
    * Compares the working tree (or a git ref) against the index to find
    * added, removed, and modified symbols, then looks up their callers.
+   * When indexing a revision (see the `rev` option), that revision takes
+   * the working tree's place.
    *
    * @param {object} [opts]
    * @param {string} [opts.ref] - Git ref to diff against (default: HEAD)
@@ -1557,52 +1762,63 @@ class CodeIndex {
     const graph = this.cache.getGraph();
     if (!graph) return { changed: [], totalCallers: 0 };
 
-    // Get changed files from git
+    // Get changed files from git, in each root's repository
     const { execSync } = await import('child_process');
-    let changedFiles;
-    try {
-      const output = execSync(`git diff --name-only ${ref}`, {
-        cwd: this.projectRoot,
-        encoding: 'utf-8',
-        timeout: 10000,
-      }).trim();
-      if (!output) return { changed: [], totalCallers: 0 };
-      changedFiles = output.split('\n').filter(Boolean);
-    } catch {
-      return { changed: [], totalCallers: 0, error: 'git diff failed — is this a git repo?' };
-    }
+    const changedFiles = []; // { filePath (as in the graph), root, gitPath }
+    let gitFailures = 0;
+    const roots = this.cache.roots();
+    for (const { root, prefix, rev } of roots) {
+      let paths;
+      try {
+        const output = execSync(`git diff --name-only ${ref}${rev ? ` ${rev}` : ''}`, {
+          cwd: root,
+          encoding: 'utf-8',
+          timeout: 10000,
+        }).trim();
+        if (!output) continue;
+        paths = output.split('\n').filter(Boolean);
+      } catch {
+        gitFailures++;
+        continue;
+      }
 
-    // Also include untracked new files
-    try {
-      const untracked = execSync('git ls-files --others --exclude-standard', {
-        cwd: this.projectRoot,
-        encoding: 'utf-8',
-        timeout: 10000,
-      }).trim();
-      if (untracked) {
-        for (const f of untracked.split('\n').filter(Boolean)) {
-          if (!changedFiles.includes(f)) changedFiles.push(f);
+      // Also include untracked new files (a revision has none)
+      try {
+        const untracked = rev ? '' : execSync('git ls-files --others --exclude-standard', {
+          cwd: root,
+          encoding: 'utf-8',
+          timeout: 10000,
+        }).trim();
+        if (untracked) {
+          for (const f of untracked.split('\n').filter(Boolean)) {
+            if (!paths.includes(f)) paths.push(f);
+          }
         }
-      }
-    } catch { /* ignore */ }
+      } catch { /* ignore */ }
+
+      for (const gitPath of paths) changedFiles.push({ filePath: prefix + gitPath, root, gitPath });
+    }
+    if (gitFailures === roots.length) {
+      return { changed: [], totalCallers: 0, error: 'git diff failed — is this a git repo?' };
+    }
 
     const results = [];
     let totalCallers = 0;
 
-    for (const filePath of changedFiles) {
+    for (const { filePath, root, gitPath } of changedFiles) {
       // Get OLD symbols from git ref
       const oldSymbols = new Map();
       try {
-        const oldSource = execSync(`git show ${ref}:${filePath}`, {
-          cwd: this.projectRoot,
+        const oldSource = execSync(`git show ${ref}:${gitPath}`, {
+          cwd: root,
           encoding: 'utf-8',
           stdio: ['pipe', 'pipe', 'pipe'],
           timeout: 10000,
         });
-        const oldParsed = parseFile(filePath, oldSource);
+        const oldParsed = this._parse(filePath, oldSource);
         if (oldParsed) {
           for (const def of oldParsed.definitions) {
-            oldSymbols.set(def.name, { kind: def.kind, signature: def.signature });
+            oldSymbols.set(def.qualifiedName, { kind: def.kind, signature: def.signature });
           }
         }
       } catch {
@@ -1613,18 +1829,17 @@ class CodeIndex {
       const graphKeys = new Map();
       graph.forEachNode((node, attrs) => {
         if (attrs.type !== 'symbol' || attrs.file !== filePath) return;
-        graphKeys.set(attrs.name, node);
+        graphKeys.set(attrs.qualifiedName || attrs.name, node);
       });
 
-      // Parse the CURRENT file from disk
+      // Parse the CURRENT file (from disk, or the indexed revision)
       let currentSymbols = new Map();
       try {
-        const absPath = join(this.projectRoot, filePath);
-        const source = await readFile(absPath, 'utf-8');
-        const parsed = parseFile(filePath, source);
+        const source = await this.cache.readSource(filePath);
+        const parsed = this._parse(filePath, source);
         if (parsed) {
           for (const def of parsed.definitions) {
-            currentSymbols.set(def.name, {
+            currentSymbols.set(def.qualifiedName, {
               kind: def.kind,
               signature: def.signature,
             });
@@ -1757,7 +1972,7 @@ class CodeIndex {
     let targets;
     if (symbol) {
       targets = allSymbols.filter(s => {
-        if (s.name !== symbol) return false;
+        if (!matchesSymbol(s, symbol)) return false;
         if (file && s.file !== file) return false;
         return true;
       });
@@ -1793,12 +2008,12 @@ class CodeIndex {
 
       if (bestScore >= threshold) {
         results.push({
-          symbol: candidate.name,
+          symbol: candidate.qualifiedName || candidate.name,
           file: candidate.file,
           line: candidate.lineStart,
           signature: candidate.signature,
           score: Math.round(bestScore * 100) / 100,
-          matchedWith: bestTarget ? `${bestTarget.file}::${bestTarget.name}` : null,
+          matchedWith: bestTarget ? bestTarget.key : null,
           breakdown: bestBreakdown,
         });
       }
@@ -1953,6 +2168,199 @@ class CodeIndex {
     return this._setOverlap(tokA, tokB);
   }
 
+  /**
+   * Risky hot spots: functions ranked by cyclomatic complexity weighted by
+   * PageRank, so convoluted code that much of the codebase depends on comes
+   * first. `centrality` is the symbol's PageRank relative to the top-ranked
+   * symbol (0-1); `score` is cyclomatic × centrality.
+   *
+   * @param {object} [opts]
+   * @param {string} [opts.file] - Only functions in this file
+   * @param {number} [opts.minCyclomatic=1] - Skip functions simpler than this
+   * @param {number} [opts.offset] - Skip first N results
+   * @param {number} [opts.limit] - Max results to return
+   * @param {boolean} [opts.count=false] - If true, return only { total }
+   * @returns {Array<{name, qualifiedName, file, lineStart, lineEnd, signature, cyclomatic, maxNesting, params, lines, centrality, score}>|{total: number}}
+   */
+  async complexity({ file, minCyclomatic = 1, offset, limit, count = false } = {}) {
+    await this._ensureReady();
+    const graph = this.cache.getGraph();
+    if (!graph || graph.order === 0) return count ? { total: 0 } : [];
+
+    const ranked = this._getRanked();
+    const scoreMap = new Map(ranked);
+    const maxScore = ranked.length > 0 ? Math.max(...ranked.map(([, score]) => score)) : 0;
+
+    const results = [];
+    graph.forEachNode((node, attrs) => {
+      if (attrs.type !== 'symbol' || !attrs.complexity) return;
+      if (file && attrs.file !== file) return;
+      if (attrs.complexity.cyclomatic < minCyclomatic) return;
+      const centrality = maxScore > 0 ? (scoreMap.get(node) || 0) / maxScore : 0;
+      results.push({
+        name: attrs.name,
+        qualifiedName: attrs.qualifiedName || attrs.name,
+        file: attrs.file,
+        lineStart: attrs.lineStart,
+        lineEnd: attrs.lineEnd,
+        signature: attrs.signature,
+        ...attrs.complexity,
+        centrality,
+        score: attrs.complexity.cyclomatic * centrality,
+      });
+    });
+
+    results.sort((a, b) => b.score - a.score || b.cyclomatic - a.cyclomatic);
+    if (count) return { total: results.length };
+    return paginate(results, { offset, limit }).items;
+  }
+
+  /**
+   * Explain why a path is or isn't indexed: the ignore pattern or ignore-file
+   * rule (.gitignore, .ignore, .betterrankignore, .git/info/exclude) that
+   * decides it, whether an ancestor directory excludes it, whether it lies
+   * outside config.json's include globs, is a `.pyi` stub merged into its
+   * module, or has an extension that isn't a supported language.
+   *
+   * @param {object} opts
+   * @param {string} opts.path - Path relative to the project root (prefixed by the root's name when federated)
+   * @returns {{path, ignored: boolean, indexed: boolean, isDir: boolean, reason: string|null, source?, line?, pattern?, via?}}
+   */
+  async checkIgnore({ path }) {
+    await this._ensureReady();
+    const relPath = path.split(sep).join('/').replace(/^\.\//, '').replace(/\/+$/, '');
+    const absPath = this._absPath(relPath);
+    if (!absPath) return { path: relPath, isDir: false, indexed: false, ignored: true, reason: 'not under any root' };
+    const isDir = this.cache.isDirectory(relPath);
+    const graph = this.cache.getGraph();
+    const indexed = !isDir && !!graph && graph.hasNode(relPath);
+    const base = { path: relPath, isDir, indexed };
+
+    const verdict = this.cache.explainIgnore(relPath, isDir);
+    if (verdict) {
+      let reason = 're-included by negated rule';
+      if (verdict.outsideInclude) reason = 'outside the include globs';
+      else if (verdict.ignored) reason = verdict.via ? `inside ignored directory ${verdict.via}/` : 'matches ignore rule';
+      return { ...base, ...verdict, reason };
+    }
+    // glob skips dot-directories and dotfiles unless a pattern names them
+    const hidden = relPath.split('/').find(part => part.startsWith('.'));
+    if (hidden) return { ...base, ignored: true, reason: `hidden path: ${hidden}` };
+    const module = relPath.endsWith('.pyi') ? relPath.slice(0, -1) : null;
+    if (module && graph && graph.hasNode(module) && graph.getNodeAttribute(module, 'stub') === relPath) {
+      return { ...base, ignored: false, reason: `stub merged into ${module}` };
+    }
+    if (!isDir && !indexed && !this.cache.extensions.some(ext => relPath.endsWith(ext))) {
+      return { ...base, ignored: false, reason: 'unsupported file extension' };
+    }
+    return { ...base, ignored: false, reason: null };
+  }
+
+  /**
+   * Problems found while indexing: syntax errors (with line/column), failed
+   * tree-sitter queries, invalid UTF-8, and files skipped as binary or too
+   * large. A file with diagnostics may be missing symbols or edges.
+   *
+   * @param {object} [opts]
+   * @param {string} [opts.file] - Only diagnostics for this file
+   * @param {string} [opts.type] - syntax_error | query_error | encoding | skipped | read_error | parse_error
+   * @param {number} [opts.offset] - Skip first N results
+   * @param {number} [opts.limit] - Max results to return
+   * @param {boolean} [opts.count=false] - If true, return only { total }
+   * @returns {Array<{file, type, message, line?, column?}>|{total: number}}
+   */
+  async diagnostics({ file, type, offset, limit, count = false } = {}) {
+    await this._ensureReady();
+    const results = [];
+    for (const [f, list] of this.cache.getDiagnostics()) {
+      if (file && f !== file) continue;
+      for (const d of list) {
+        if (type && d.type !== type) continue;
+        results.push({ file: f, ...d });
+      }
+    }
+
+    results.sort((a, b) => a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0));
+    if (count) return { total: results.length };
+    return paginate(results, { offset, limit }).items;
+  }
+
+  /**
+   * Workspace packages (package.json `workspaces`, pnpm-workspace.yaml,
+   * nested pyproject.toml) with their size and the package-level
+   * dependency graph: for each package, which other packages its files
+   * import and how many file-level imports cross over. Ordered by
+   * PageRank (sum over the package's files).
+   *
+   * @returns {{packages: Array<{name, dir, language, files, symbols, dependencies: Array<{name, imports}>, dependents: Array<{name, imports}>}>, unpackagedFiles: number}}
+   */
+  async packages() {
+    await this._ensureReady();
+    const graph = this.cache.getGraph();
+    const workspaces = await this.cache.getWorkspaces();
+    const byName = new Map();
+    for (const w of workspaces) {
+      if (byName.has(w.name)) continue;
+      byName.set(w.name, {
+        name: w.name, dir: w.dir, language: w.language, files: 0, symbols: 0,
+        dependencies: new Map(), dependents: new Map(), _score: 0,
+      });
+    }
+    let unpackagedFiles = 0;
+    if (!graph) return { packages: [], unpackagedFiles };
+
+    const fileScores = this._getFileScores();
+    graph.forEachNode((node, attrs) => {
+      if (attrs.type !== 'file') return;
+      const pkg = attrs.package && byName.get(attrs.package);
+      if (!pkg) {
+        unpackagedFiles++;
+        return;
+      }
+      pkg.files++;
+      pkg.symbols += attrs.symbolCount || 0;
+      pkg._score += fileScores.get(node) || 0;
+    });
+
+    graph.forEachEdge((_edge, attrs, source, target, sourceAttrs, targetAttrs) => {
+      if (attrs.type !== 'IMPORTS' || sourceAttrs.type !== 'file' || targetAttrs.type !== 'file') return;
+      const from = byName.get(sourceAttrs.package);
+      const to = byName.get(targetAttrs.package);
+      if (!from || !to || from === to) return;
+      from.dependencies.set(to.name, (from.dependencies.get(to.name) || 0) + 1);
+      to.dependents.set(from.name, (to.dependents.get(from.name) || 0) + 1);
+    });
+
+    const edgeList = (map) => [...map].map(([name, imports]) => ({ name, imports }))
+      .sort((a, b) => b.imports - a.imports || a.name.localeCompare(b.name));
+    const packages = [...byName.values()]
+      .sort((a, b) => b._score - a._score || a.name.localeCompare(b.name))
+      .map(({ _score, ...p }) => ({ ...p, dependencies: edgeList(p.dependencies), dependents: edgeList(p.dependents) }));
+    return { packages, unpackagedFiles };
+  }
+
+  /**
+   * Write a portable index (relative paths, content hashes) that another
+   * checkout can start from. `path` is relative to the project root;
+   * defaults to .code-index/index.json.gz.
+   *
+   * @returns {{ path: string, files: number, nodes: number, edges: number }}
+   */
+  async exportIndex({ path } = {}) {
+    return this.cache.exportPortable(path);
+  }
+
+  /**
+   * Replace the local cache with a portable index and reparse only files
+   * whose content differs from it. A checkout without a local cache loads
+   * .code-index/index.json.gz automatically; this forces it.
+   */
+  async importIndex({ path } = {}) {
+    this._rankedCache = null;
+    this._fileScoresCache = null;
+    return this.cache.importPortable(path);
+  }
+
   /**
    * Force a full rebuild.
    */
@@ -1963,12 +2371,28 @@ class CodeIndex {
   }
 
   /**
-   * Get index stats.
+   * Get index stats. `diagnostics` summarizes indexing problems:
+   * how many files have any, and a count per diagnostic type. `rebuild`
+   * says when and why the cache was last rebuilt — first index, reindex,
+   * import config, or a changed BetterRank/grammar/query fingerprint — as
+   * { reason, at, full }; `full: false` means the graph was kept and the
+   * next scan reconciled it with the tree (ignore patterns, include globs
+   * or extensions changed, or a portable index was imported). A federated index adds
+   * `roots`: each root's name, path and size, and how many edges cross
+   * into other roots.
    */
   async stats() {
     await this._ensureReady();
+    const diagnostics = { files: 0, byType: {} };
+    for (const list of this.cache.getDiagnostics().values()) {
+      diagnostics.files++;
+      for (const d of list) diagnostics.byType[d.type] = (diagnostics.byType[d.type] || 0) + 1;
+    }
+
+    const rebuild = this.cache.getRebuild();
+
     const graph = this.cache.getGraph();
-    if (!graph) return { files: 0, symbols: 0, edges: 0 };
+    if (!graph) return { files: 0, symbols: 0, edges: 0, diagnostics, rebuild };
 
     let files = 0;
     let symbols = 0;
@@ -1977,7 +2401,26 @@ class CodeIndex {
       else if (attrs.type === 'symbol') symbols++;
     });
 
-    return { files, symbols, edges: graph.size };
+    const stats = { files, symbols, edges: graph.size, diagnostics, rebuild };
+    if (this.projectRoot !== null) {
+      const { rev } = this.cache.roots()[0];
+      if (rev) stats.rev = rev;
+      return stats;
+    }
+
+    const roots = this.cache.roots().map(({ name, root, prefix }) => ({ name, root, prefix, files: 0, symbols: 0, crossRootEdges: 0 }));
+    const rootOf = (key) => roots.find(r => key.startsWith(r.prefix));
+    graph.forEachNode((node, attrs) => {
+      const r = rootOf(node);
+      if (attrs.type === 'file') r.files++;
+      else if (attrs.type === 'symbol') r.symbols++;
+    });
+    graph.forEachEdge((_edge, _attrs, source, target) => {
+      const from = rootOf(source);
+      if (from !== rootOf(target)) from.crossRootEdges++;
+    });
+    stats.roots = roots.map(({ prefix, ...r }) => r);
+    return stats;
   }
 }
 
@@ -1997,5 +2440,5 @@ function formatTree(obj, indent) {
   return lines.join('\n');
 }
 
-export { CodeIndex };
+export { CodeIndex, listCaches, pruneCaches, clearCache, loadWorkspaceFile };
 export default CodeIndex;
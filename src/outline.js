@@ -1,5 +1,4 @@
-import { parseFile, SUPPORTED_EXTENSIONS } from './parser.js';
-import { extname } from 'path';
+import { parseFile, detectLanguage, matchesSymbol } from './parser.js';
 
 const MIN_COLLAPSE_LINES = 2;
 
@@ -11,21 +10,23 @@ const MIN_COLLAPSE_LINES = 2;
  *
  * @param {string} source - File contents
  * @param {string} filePath - File path (for language detection)
- * @param {string[]} expandSymbols - Symbol names to expand (empty = outline mode)
+ * @param {string[]} expandSymbols - Symbol names to expand, bare or `Class.method` (empty = outline mode)
  * @param {object} [opts]
- * @param {Map<string,number>} [opts.callerCounts] - Map of symbol name → caller file count (for --annotate)
+ * @param {Map<string,number>} [opts.callerCounts] - Map of qualified symbol name → caller file count (for --annotate)
+ * @param {boolean} [opts.docs] - Show doc summaries that collapsing would hide (Python docstrings)
+ * @param {object} [opts.languages] - Extension and shebang mappings from config.json (see detectLanguage())
  * @returns {string} Formatted output with line numbers
  */
-export function buildOutline(source, filePath, expandSymbols = [], { callerCounts } = {}) {
+export function buildOutline(source, filePath, expandSymbols = [], { callerCounts, docs = false, languages } = {}) {
   const lines = source.split('\n');
   const pad = Math.max(String(lines.length).length, 4);
 
-  const ext = extname(filePath);
-  if (!SUPPORTED_EXTENSIONS.includes(ext)) {
+  const language = detectLanguage(filePath, source, languages);
+  if (!language) {
     return rawView(lines, pad);
   }
 
-  const parsed = parseFile(filePath, source);
+  const parsed = parseFile(filePath, source, language);
   if (!parsed || parsed.definitions.length === 0) {
     return rawView(lines, pad);
   }
@@ -43,7 +44,7 @@ export function buildOutline(source, filePath, expandSymbols = [], { callerCount
   if (expandSymbols.length > 0) {
     return expandMode(lines, defs, filePath, expandSymbols, pad);
   }
-  return outlineMode(lines, defs, pad, callerCounts);
+  return outlineMode(lines, defs, pad, callerCounts, docs);
 }
 
 function rawView(lines, pad) {
@@ -54,25 +55,25 @@ function expandMode(lines, defs, filePath, expandSymbols, pad) {
   const output = [];
 
   for (const symName of expandSymbols) {
-    const matches = defs.filter(d => d.name === symName);
+    const matches = defs.filter(d => matchesSymbol(d, symName));
 
     if (matches.length === 0) {
       output.push(`Symbol "${symName}" not found in ${filePath}`);
       const similar = [...new Set(
-        defs.filter(d => d.name.toLowerCase().includes(symName.toLowerCase()))
-          .map(d => d.name)
+        defs.filter(d => d.qualifiedName.toLowerCase().includes(symName.toLowerCase()))
+          .map(d => d.qualifiedName)
       )].slice(0, 5);
       if (similar.length > 0) {
         output.push(`Did you mean: ${similar.join(', ')}`);
       } else {
-        output.push(`Available: ${defs.map(d => d.name).join(', ')}`);
+        output.push(`Available: ${defs.map(d => d.qualifiedName).join(', ')}`);
       }
       continue;
     }
 
     for (const def of matches) {
       if (matches.length > 1 || expandSymbols.length > 1) {
-        output.push(`── ${def.name} (${filePath}:${def.lineStart}-${def.lineEnd}) ──`);
+        output.push(`── ${def.qualifiedName} (${filePath}:${def.lineStart}-${def.lineEnd}) ──`);
       }
       for (let i = def.lineStart; i <= def.lineEnd; i++) {
         output.push(`${String(i).padStart(pad)}│ ${lines[i - 1]}`);
@@ -84,7 +85,7 @@ function expandMode(lines, defs, filePath, expandSymbols, pad) {
   return output.join('\n').trimEnd();
 }
 
-function outlineMode(lines, defs, pad, callerCounts) {
+function outlineMode(lines, defs, pad, callerCounts, docs) {
   // Detect containers: definitions that have child definitions inside them
   const containers = new Set();
   for (const def of defs) {
@@ -112,7 +113,8 @@ function outlineMode(lines, defs, pad, callerCounts) {
       start: def.bodyStartLine,
       end: def.lineEnd,
       lineCount: bodyLineCount,
-      name: def.name,
+      name: def.qualifiedName,
+      doc: docs && def.docLine >= def.bodyStartLine ? def.doc : null,
     });
   }
 
@@ -128,6 +130,7 @@ function outlineMode(lines, defs, pad, callerCounts) {
       const range = collapseRanges[rangeIdx];
       const bodyLine = lines[lineNum - 1];
       const indent = bodyLine ? bodyLine.match(/^\s*/)[0] : '';
+      if (range.doc) output.push(`${' '.repeat(pad)}│ ${indent}"""${range.doc}"""`);
       let marker = `${' '.repeat(pad)}│ ${indent}... (${range.lineCount} lines)`;
 
       // Append caller annotation if available
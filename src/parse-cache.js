@@ -0,0 +1,143 @@
+import { createHash } from 'crypto';
+import { mkdir, opendir, readFile, writeFile, readdir, stat, unlink, utimes, rm } from 'fs/promises';
+import { join } from 'path';
+
+// Entries kept beyond the current file count before pruning kicks in, so a
+// handful of branches' worth of parses survive.
+const MIN_ENTRIES = 2000;
+const ENTRIES_PER_FILE = 3;
+
+// Entry files read or written at once by getMany() and setMany()
+const IO_CONCURRENCY = 32;
+
+/**
+ * Hash of a file's bytes. Stored per file next to its mtime: an mtime bump
+ * with an unchanged hash (git checkout, stash pop, touch) needs no reparse.
+ */
+function hashContent(buf) {
+  return createHash('sha1').update(buf).digest('hex');
+}
+
+/**
+ * Map items through an async fn, at most `limit` calls in flight.
+ * Results are aligned with `items`.
+ */
+async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const run = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  return results;
+}
+
+/**
+ * On-disk cache of parse results keyed by (path, content hash), one JSON
+ * file per entry. Switching back to a branch finds its files' parses here
+ * instead of running tree-sitter again. Entries are what parseSourceFiles
+ * returned, less the hash they're keyed by: { result, diagnostics }.
+ */
+class ParseResultCache {
+  constructor(dir) {
+    this.dir = dir;
+    this.written = 0;
+  }
+
+  _entryPath(relPath, contentHash) {
+    const key = createHash('sha1').update(`${relPath}\0${contentHash}`).digest('hex');
+    return join(this.dir, `${key}.json`);
+  }
+
+  async get(relPath, contentHash) {
+    const entryPath = this._entryPath(relPath, contentHash);
+    try {
+      const entry = JSON.parse(await readFile(entryPath, 'utf-8'));
+      // Bump mtime so prune() evicts least-recently-used entries first
+      const now = new Date();
+      await utimes(entryPath, now, now).catch(() => {});
+      return entry;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * get() for a batch: `keys` are [relPath, contentHash] pairs; a missing
+   * hash is a miss without a lookup. Returns entries (or null) aligned
+   * with `keys`.
+   */
+  getMany(keys) {
+    return mapConcurrent(keys, IO_CONCURRENCY, ([relPath, contentHash]) => (contentHash ? this.get(relPath, contentHash) : null));
+  }
+
+  async set(relPath, contentHash, entry) {
+    try {
+      await mkdir(this.dir, { recursive: true });
+      await writeFile(this._entryPath(relPath, contentHash), JSON.stringify(entry));
+      this.written++;
+    } catch {
+      // Cache is an optimization; a failed write just means a future reparse
+    }
+  }
+
+  /**
+   * set() for a batch of [relPath, contentHash, entry] triples.
+   */
+  async setMany(entries) {
+    await mapConcurrent(entries, IO_CONCURRENCY, ([relPath, contentHash, entry]) => this.set(relPath, contentHash, entry));
+  }
+
+  /**
+   * Whether nothing has been cached yet, so every get() would miss.
+   */
+  async isEmpty() {
+    try {
+      const dir = await opendir(this.dir);
+      const first = await dir.read();
+      await dir.close();
+      return first === null;
+    } catch {
+      return true;
+    }
+  }
+
+  /**
+   * Drop least-recently-used entries once the cache outgrows the project.
+   */
+  async prune(fileCount) {
+    if (this.written === 0) return;
+    this.written = 0;
+    const keep = Math.max(MIN_ENTRIES, fileCount * ENTRIES_PER_FILE);
+    let names;
+    try {
+      names = await readdir(this.dir);
+    } catch {
+      return;
+    }
+    if (names.length <= keep) return;
+
+    const entries = [];
+    for (const name of names) {
+      try {
+        const { mtimeMs } = await stat(join(this.dir, name));
+        entries.push({ name, mtimeMs });
+      } catch {
+        // removed concurrently
+      }
+    }
+    entries.sort((a, b) => a.mtimeMs - b.mtimeMs || a.name.localeCompare(b.name));
+    for (const { name } of entries.slice(0, entries.length - keep)) {
+      await unlink(join(this.dir, name)).catch(() => {});
+    }
+  }
+
+  async clear() {
+    await rm(this.dir, { recursive: true, force: true });
+  }
+}
+
+export { ParseResultCache, hashContent, mapConcurrent };
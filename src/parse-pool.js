@@ -0,0 +1,185 @@
+import { stat, readFile } from 'fs/promises';
+import os from 'os';
+import { join } from 'path';
+import { Worker } from 'worker_threads';
+import { parseFile, detectLanguage } from './parser.js';
+import { hashContent } from './parse-cache.js';
+
+// Files above this size are almost always generated or vendored; parsing
+// them costs more than they add to the graph.
+const MAX_FILE_SIZE = 1024 * 1024;
+
+// Same heuristic git uses: a NUL byte near the start means binary (or
+// UTF-16, which tree-sitter can't read as UTF-8 either).
+const BINARY_SNIFF_BYTES = 8000;
+
+// Each worker loads tree-sitter and every grammar on startup, so small
+// batches (incremental updates) are faster on the main thread.
+const MIN_FILES_PER_WORKER = 50;
+const MAX_WORKERS = 8;
+
+// Files handed to a worker before it reports back. Bounds concurrent reads
+// (workers × this) while letting a worker read its next file during a parse.
+const TASKS_PER_WORKER = 4;
+
+const WORKER_URL = new URL('./parse-worker.js', import.meta.url);
+
+function tooLarge(size) {
+  const kb = Math.round(size / 1024);
+  return { source: null, diagnostics: [{ type: 'skipped', message: `file too large (${kb} KB > ${MAX_FILE_SIZE / 1024} KB)` }] };
+}
+
+/**
+ * Read a source file, or explain why it can't be indexed.
+ * Returns { source, diagnostics, hash } — source is null for skipped files,
+ * hash is absent when the file wasn't read.
+ */
+async function readSource(absPath) {
+  const { size } = await stat(absPath);
+  if (size > MAX_FILE_SIZE) return tooLarge(size);
+  return decodeSource(await readFile(absPath));
+}
+
+/**
+ * Decode a file's bytes as readSource() does, for contents that didn't
+ * come from disk (e.g. a git blob).
+ */
+function decodeSource(buf) {
+  if (buf.length > MAX_FILE_SIZE) return tooLarge(buf.length);
+  const hash = hashContent(buf);
+  if (buf.subarray(0, BINARY_SNIFF_BYTES).includes(0)) {
+    return { source: null, diagnostics: [{ type: 'skipped', message: 'binary or UTF-16 content' }], hash };
+  }
+  const source = buf.toString('utf-8');
+  const diagnostics = [];
+  // U+FFFD that isn't literally in the file marks bytes that aren't valid UTF-8
+  if (source.includes('\uFFFD') && !buf.includes(Buffer.from('\uFFFD', 'utf-8'))) {
+    const line = source.substring(0, source.indexOf('\uFFFD')).split('\n').length;
+    diagnostics.push({ type: 'encoding', line, message: 'invalid UTF-8; non-UTF-8 bytes were replaced' });
+  }
+  return { source, diagnostics, hash };
+}
+
+/**
+ * Read and parse one file — or parse `content` given for it — in the
+ * language `languages` (see detectLanguage()) gives it. Never throws:
+ * failures become diagnostics.
+ * Returns { result, diagnostics, hash } — result is null when nothing was
+ * parsed, hash (see hashContent()) null when nothing was read. The hash
+ * comes with the parse so the caller needn't read the file a second time.
+ */
+async function parseSourceFile(projectRoot, relPath, content, languages) {
+  let diagnostics;
+  let hash = null;
+  try {
+    const decoded = content !== undefined ? decodeSource(Buffer.from(content)) : await readSource(join(projectRoot, relPath));
+    diagnostics = decoded.diagnostics;
+    hash = decoded.hash ?? null;
+    if (decoded.source === null) return { result: null, diagnostics, hash };
+    const result = parseFile(relPath, decoded.source, detectLanguage(relPath, decoded.source, languages));
+    if (result) diagnostics.push(...result.diagnostics);
+    return { result, diagnostics, hash };
+  } catch (e) {
+    // skip unparseable files, but remember why
+    return { result: null, diagnostics: [{ type: diagnostics ? 'parse_error' : 'read_error', message: e.message }], hash };
+  }
+}
+
+/**
+ * Worker count for a batch: CODE_INDEX_WORKERS if set (0 disables workers),
+ * otherwise one per core up to MAX_WORKERS.
+ */
+function defaultWorkerCount() {
+  const env = process.env.CODE_INDEX_WORKERS;
+  if (env !== undefined && env !== '') return Math.max(0, parseInt(env, 10) || 0);
+  // availableParallelism() is Node 18.14+
+  const cores = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+  return Math.min(cores, MAX_WORKERS);
+}
+
+async function parseSequential(projectRoot, relPaths, contents, languages) {
+  const parsed = [];
+  for (let i = 0; i < relPaths.length; i++) {
+    parsed.push(await parseSourceFile(projectRoot, relPaths[i], contents && contents[i], languages));
+  }
+  return parsed;
+}
+
+/**
+ * Parse files across a pool of worker threads. Results are stored by input
+ * index, so completion order never leaks into the output.
+ */
+function parseWithWorkers(projectRoot, relPaths, contents, languages, workerCount) {
+  return new Promise((resolve, reject) => {
+    const parsed = new Array(relPaths.length);
+    const workers = [];
+    let next = 0;
+    let done = 0;
+    let failed = false;
+
+    const shutdown = () => Promise.all(workers.map(w => w.terminate()));
+
+    const dispatch = (worker) => {
+      if (next >= relPaths.length) return;
+      const index = next++;
+      worker.postMessage({ index, relPath: relPaths[index], content: contents && contents[index] });
+    };
+
+    for (let i = 0; i < workerCount; i++) {
+      const worker = new Worker(WORKER_URL, { workerData: { projectRoot, languages } });
+      workers.push(worker);
+
+      worker.on('message', ({ index, parsed: entry }) => {
+        if (failed) return;
+        parsed[index] = entry;
+        done++;
+        if (done === relPaths.length) {
+          shutdown().then(() => resolve(parsed), reject);
+        } else {
+          dispatch(worker);
+        }
+      });
+      const fail = (err) => {
+        if (failed) return;
+        failed = true;
+        shutdown().finally(() => reject(err));
+      };
+      worker.on('error', fail);
+      worker.on('exit', (code) => {
+        if (done < relPaths.length) fail(new Error(`parse worker exited with code ${code}`));
+      });
+
+      for (let t = 0; t < TASKS_PER_WORKER; t++) dispatch(worker);
+    }
+  });
+}
+
+/**
+ * Read and parse a batch of files (paths relative to projectRoot).
+ * Returns [{ result, diagnostics, hash }] aligned with relPaths — identical
+ * whether parsed on worker threads or sequentially on this thread.
+ *
+ * @param {string} projectRoot
+ * @param {string[]} relPaths
+ * @param {object} [opts]
+ * @param {number} [opts.workers] - Max worker threads (0 = parse on this thread)
+ * @param {Buffer[]} [opts.contents] - Each file's bytes, aligned with relPaths,
+ *   to parse instead of reading the files (undefined entries are read)
+ * @param {object} [opts.languages] - Extension and shebang mappings from
+ *   config.json (see detectLanguage())
+ */
+async function parseSourceFiles(projectRoot, relPaths, { workers, contents, languages } = {}) {
+  const maxWorkers = workers ?? defaultWorkerCount();
+  const workerCount = Math.min(maxWorkers, Math.floor(relPaths.length / MIN_FILES_PER_WORKER));
+  if (workerCount < 2) return parseSequential(projectRoot, relPaths, contents, languages);
+
+  try {
+    return await parseWithWorkers(projectRoot, relPaths, contents, languages, workerCount);
+  } catch (e) {
+    // Worker threads unavailable or crashed; degrade gracefully
+    process.stderr.write(`Parallel parsing failed (${e.message}), parsing sequentially...\n`);
+    return parseSequential(projectRoot, relPaths, contents, languages);
+  }
+}
+
+export { parseSourceFiles, parseSourceFile };
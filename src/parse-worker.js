@@ -0,0 +1,10 @@
+// Worker thread for parse-pool.js: reads (or is sent) and parses files on request.
+// Each worker keeps its own per-language Parsers and compiled queries
+// (cached inside parser.js) for its whole lifetime.
+import { parentPort, workerData } from 'worker_threads';
+import { parseSourceFile } from './parse-pool.js';
+
+parentPort.on('message', async ({ index, relPath, content }) => {
+  const parsed = await parseSourceFile(workerData.projectRoot, relPath, content, workerData.languages);
+  parentPort.postMessage({ index, parsed });
+});
@@ -1,3 +1,4 @@
+import { createHash } from 'crypto';
 import { createRequire } from 'module';
 const require = createRequire(import.meta.url);
 
@@ -40,17 +41,23 @@ const LANG_MAP = {
   '.cjs': 'javascript',
   '.jsx': 'javascript',
   '.ts': 'typescript',
+  '.mts': 'typescript',
+  '.cts': 'typescript',
   '.tsx': 'tsx',
   '.py': 'python',
+  '.pyi': 'python',
   '.rs': 'rust',
   '.go': 'go',
   '.rb': 'ruby',
+  '.rake': 'ruby',
   '.java': 'java',
   '.c': 'c',
   '.h': 'c',
   '.cpp': 'cpp',
   '.hpp': 'cpp',
   '.cc': 'cpp',
+  '.hh': 'cpp',
+  '.hxx': 'cpp',
   '.cs': 'c_sharp',
   '.php': 'php',
 };
@@ -61,31 +68,98 @@ const SUPPORTED_EXTENSIONS = Object.keys(LANG_MAP).filter(ext => {
   return GRAMMARS[lang] != null;
 });
 
-function getLanguage(ext) {
-  const langName = LANG_MAP[ext];
-  if (!langName) return null;
-  return GRAMMARS[langName] || null;
+// Interpreters an extensionless script's `#!` line may name, once
+// config.json turns shebang detection on. Versions are dropped before the
+// lookup, so python3.12 is python.
+const SHEBANG_MAP = {
+  python: 'python',
+  node: 'javascript',
+  nodejs: 'javascript',
+  'ts-node': 'typescript',
+  deno: 'typescript',
+  ruby: 'ruby',
+  php: 'php',
+};
+
+function isSupportedLanguage(langName) {
+  return GRAMMARS[langName] != null;
+}
+
+/**
+ * The interpreter a `#!` line runs (`#!/usr/bin/env -S python3 -u` →
+ * python), or null if the source doesn't start with one.
+ */
+function shebangInterpreter(source) {
+  if (!source.startsWith('#!')) return null;
+  const eol = source.indexOf('\n');
+  const words = source.substring(2, eol === -1 ? undefined : eol).trim().split(/\s+/);
+  let command = words.shift() || '';
+  if (command.split('/').pop() === 'env') {
+    // env's own options and VAR=value assignments come before the command
+    command = words.find(w => !w.startsWith('-') && !w.includes('=')) || '';
+  }
+  return command.split('/').pop().replace(/[\d.]+$/, '') || null;
 }
 
-function getLangName(ext) {
-  return LANG_MAP[ext] || null;
+/**
+ * A file's language, or null if it has none we can parse. The extension
+ * decides — `extensions` maps extra ones (or overrides built-ins) — and a
+ * file without one is looked up by its `#!` interpreter in `shebangs`.
+ *
+ * @param {string} filePath
+ * @param {string} [source] - Needed for shebang detection only
+ * @param {object} [config]
+ * @param {Object<string, string>} [config.extensions] - '.es6' -> 'javascript'
+ * @param {Object<string, string>} [config.shebangs] - 'python' -> 'python'
+ */
+function detectLanguage(filePath, source = '', { extensions = null, shebangs = null } = {}) {
+  const name = filePath.replace(/^.*[\\/]/, '');
+  const dotIdx = name.lastIndexOf('.');
+  let langName = null;
+  if (dotIdx > 0) {
+    const ext = name.substring(dotIdx);
+    langName = (extensions && extensions[ext]) || LANG_MAP[ext] || null;
+  } else if (shebangs) {
+    const interpreter = shebangInterpreter(source);
+    langName = interpreter ? shebangs[interpreter] || null : null;
+  }
+  return langName && GRAMMARS[langName] ? langName : null;
 }
 
 // --- Tree-sitter query strings per language ---
 
+// Patterns capturing @value are module-level bindings (constants, config
+// objects, CommonJS exports, Python assignments); moduleBinding() names and
+// classifies them.
 const DEF_QUERIES = {
   javascript: `
     (function_declaration name: (identifier) @name) @definition
+    (generator_function_declaration name: (identifier) @name) @definition
     (lexical_declaration (variable_declarator name: (identifier) @name value: (arrow_function) @_val)) @definition
     (class_declaration name: (identifier) @name) @definition
     (method_definition name: (property_identifier) @name) @definition
     (export_statement declaration: (function_declaration name: (identifier) @name) @definition)
+    (export_statement declaration: (generator_function_declaration name: (identifier) @name) @definition)
     (export_statement declaration: (class_declaration name: (identifier) @name) @definition)
     (export_statement declaration: (lexical_declaration (variable_declarator name: (identifier) @name value: (arrow_function) @_val)) @definition)
+    (lexical_declaration (variable_declarator name: (identifier) @name value: (function_expression) @_val)) @definition
+    (export_statement declaration: (lexical_declaration (variable_declarator name: (identifier) @name value: (function_expression) @_val)) @definition)
+    (program (lexical_declaration (variable_declarator name: (identifier) @name value: (_) @value)) @definition)
+    (program (variable_declaration (variable_declarator name: (identifier) @name value: (_) @value)) @definition)
+    (program (export_statement declaration: (lexical_declaration (variable_declarator name: (identifier) @name value: (_) @value)) @definition))
+    ((program (expression_statement (assignment_expression
+      left: (member_expression object: (identifier) @_obj property: (property_identifier) @name)
+      right: (_) @value) @definition))
+      (#match? @_obj "^(module|exports)$"))
+    ((program (expression_statement (assignment_expression
+      left: (member_expression object: (member_expression object: (identifier) @_obj property: (property_identifier) @_prop) property: (property_identifier) @name)
+      right: (_) @value) @definition))
+      (#eq? @_obj "module") (#eq? @_prop "exports"))
   `,
 
   typescript: `
     (function_declaration name: (identifier) @name) @definition
+    (generator_function_declaration name: (identifier) @name) @definition
     (lexical_declaration (variable_declarator name: (identifier) @name value: (arrow_function) @_val)) @definition
     (class_declaration name: (type_identifier) @name) @definition
     (method_definition name: (property_identifier) @name) @definition
@@ -93,11 +167,25 @@ const DEF_QUERIES = {
     (type_alias_declaration name: (type_identifier) @name) @definition
     (enum_declaration name: (identifier) @name) @definition
     (export_statement declaration: (function_declaration name: (identifier) @name) @definition)
+    (export_statement declaration: (generator_function_declaration name: (identifier) @name) @definition)
     (export_statement declaration: (class_declaration name: (type_identifier) @name) @definition)
     (export_statement declaration: (lexical_declaration (variable_declarator name: (identifier) @name value: (arrow_function) @_val)) @definition)
     (export_statement declaration: (interface_declaration name: (type_identifier) @name) @definition)
     (export_statement declaration: (type_alias_declaration name: (type_identifier) @name) @definition)
     (export_statement declaration: (enum_declaration name: (identifier) @name) @definition)
+    (lexical_declaration (variable_declarator name: (identifier) @name value: (function_expression) @_val)) @definition
+    (export_statement declaration: (lexical_declaration (variable_declarator name: (identifier) @name value: (function_expression) @_val)) @definition)
+    (program (lexical_declaration (variable_declarator name: (identifier) @name value: (_) @value)) @definition)
+    (program (variable_declaration (variable_declarator name: (identifier) @name value: (_) @value)) @definition)
+    (program (export_statement declaration: (lexical_declaration (variable_declarator name: (identifier) @name value: (_) @value)) @definition))
+    ((program (expression_statement (assignment_expression
+      left: (member_expression object: (identifier) @_obj property: (property_identifier) @name)
+      right: (_) @value) @definition))
+      (#match? @_obj "^(module|exports)$"))
+    ((program (expression_statement (assignment_expression
+      left: (member_expression object: (member_expression object: (identifier) @_obj property: (property_identifier) @_prop) property: (property_identifier) @name)
+      right: (_) @value) @definition))
+      (#eq? @_obj "module") (#eq? @_prop "exports"))
   `,
 
   python: `
@@ -105,6 +193,7 @@ const DEF_QUERIES = {
     (class_definition name: (identifier) @name) @definition
     (decorated_definition definition: (function_definition name: (identifier) @name) @definition)
     (decorated_definition definition: (class_definition name: (identifier) @name) @definition)
+    (module (expression_statement (assignment left: (identifier) @name) @definition))
   `,
 
   rust: `
@@ -137,15 +226,23 @@ const DEF_QUERIES = {
 
   c: `
     (function_definition declarator: (function_declarator declarator: (identifier) @name)) @definition
-    (struct_specifier name: (type_identifier) @name) @definition
-    (enum_specifier name: (type_identifier) @name) @definition
+    (function_definition declarator: (pointer_declarator declarator: (function_declarator declarator: (identifier) @name))) @definition
+    (function_definition declarator: (pointer_declarator declarator: (pointer_declarator declarator: (function_declarator declarator: (identifier) @name)))) @definition
+    (function_definition declarator: (pointer_declarator declarator: (pointer_declarator declarator: (pointer_declarator declarator: (function_declarator declarator: (identifier) @name))))) @definition
+    (struct_specifier name: (type_identifier) @name body: (_)) @definition
+    (enum_specifier name: (type_identifier) @name body: (_)) @definition
   `,
 
   cpp: `
     (function_definition declarator: (function_declarator declarator: (identifier) @name)) @definition
-    (class_specifier name: (type_identifier) @name) @definition
-    (struct_specifier name: (type_identifier) @name) @definition
-    (enum_specifier name: (type_identifier) @name) @definition
+    (function_definition declarator: (function_declarator declarator: (field_identifier) @name)) @definition
+    (function_definition declarator: (function_declarator declarator: (qualified_identifier name: (identifier) @name))) @definition
+    (function_definition declarator: (_ (function_declarator declarator: (identifier) @name))) @definition
+    (function_definition declarator: (_ (function_declarator declarator: (field_identifier) @name))) @definition
+    (function_definition declarator: (_ (function_declarator declarator: (qualified_identifier name: (identifier) @name)))) @definition
+    (class_specifier name: (type_identifier) @name body: (_)) @definition
+    (struct_specifier name: (type_identifier) @name body: (_)) @definition
+    (enum_specifier name: (type_identifier) @name body: (_)) @definition
     (namespace_definition name: (namespace_identifier) @name) @definition
   `,
 
@@ -173,11 +270,20 @@ const REF_QUERIES = {
   // attribute calls, selector_expression) because without type information,
   // common method names (get, close, execute, run) create massive spurious
   // cross-wiring. Bare function calls and imports provide the structural
-  // backbone; IMPORTS edges from import statements connect files.
+  // backbone; IMPORTS edges from import statements connect files. The few
+  // member calls whose receiver is knowable are handled by
+  // MEMBER_CALL_QUERIES below.
+  // JSX: capitalized element names are components (`<UserCard />`); lowercase
+  // ones are intrinsic elements. `<Form.Field>` references Form here and
+  // Field through MEMBER_CALL_QUERIES.
   javascript: `
     (call_expression function: (identifier) @ref)
     (import_specifier name: (identifier) @ref)
     (import_clause (identifier) @ref)
+    ((jsx_opening_element name: (identifier) @ref) (#match? @ref "^[A-Z]"))
+    ((jsx_self_closing_element name: (identifier) @ref) (#match? @ref "^[A-Z]"))
+    (jsx_opening_element name: (member_expression object: (identifier) @ref))
+    (jsx_self_closing_element name: (member_expression object: (identifier) @ref))
   `,
 
   typescript: `
@@ -187,9 +293,30 @@ const REF_QUERIES = {
     (type_identifier) @ref
   `,
 
+  tsx: `
+    (call_expression function: (identifier) @ref)
+    (import_specifier name: (identifier) @ref)
+    (import_clause (identifier) @ref)
+    (type_identifier) @ref
+    ((jsx_opening_element name: (identifier) @ref) (#match? @ref "^[A-Z]"))
+    ((jsx_self_closing_element name: (identifier) @ref) (#match? @ref "^[A-Z]"))
+    (jsx_opening_element name: (member_expression object: (identifier) @ref))
+    (jsx_self_closing_element name: (member_expression object: (identifier) @ref))
+  `,
+
+  // Annotations are captured whole (@annotation) and walked by
+  // collectAnnotationRefs(); refKindOf() tags annotation, superclass and
+  // decorator references.
   python: `
     (call function: (identifier) @ref)
     (decorator (identifier) @ref)
+    (decorator (attribute object: (identifier) @ref))
+    (decorator (call function: (attribute object: (identifier) @ref)))
+    (class_definition superclasses: (argument_list (identifier) @ref))
+    (class_definition superclasses: (argument_list (subscript value: (identifier) @ref)))
+    (import_from_statement name: (dotted_name . (identifier) @ref))
+    (import_from_statement name: (aliased_import name: (dotted_name . (identifier) @ref)))
+    (type) @annotation
   `,
 
   rust: `
@@ -208,24 +335,665 @@ const REF_QUERIES = {
     (type_identifier) @ref
   `,
 
+  // Receiver-less calls only; `obj.method` goes through MEMBER_CALL_QUERIES.
+  // Constants used as receivers or superclasses are class references.
+  ruby: `
+    (call !receiver method: (identifier) @ref)
+    (call receiver: (constant) @ref)
+    (call receiver: (scope_resolution name: (constant) @ref))
+    (superclass (constant) @ref)
+    (superclass (scope_resolution name: (constant) @ref))
+  `,
+
+  php: `
+    (function_call_expression function: (name) @ref)
+    (function_call_expression function: (qualified_name (name) @ref))
+    (object_creation_expression (name) @ref)
+    (object_creation_expression (qualified_name (name) @ref))
+    (scoped_call_expression scope: (name) @ref)
+    (scoped_call_expression scope: (qualified_name (name) @ref))
+    (namespace_use_clause . (name) @ref)
+    (namespace_use_clause (qualified_name (name) @ref))
+    (base_clause (name) @ref)
+    (class_interface_clause (name) @ref)
+  `,
+
+  c: `
+    (call_expression function: (identifier) @ref)
+    (type_identifier) @ref
+  `,
+
+  cpp: `
+    (call_expression function: (identifier) @ref)
+    (call_expression function: (qualified_identifier name: (identifier) @ref))
+    (call_expression function: (template_function name: (identifier) @ref))
+    (type_identifier) @ref
+  `,
+
+  c_sharp: `
+    (invocation_expression function: (identifier) @ref)
+    (invocation_expression function: (generic_name (identifier) @ref))
+    (object_creation_expression type: (identifier) @ref)
+    (object_creation_expression type: (generic_name (identifier) @ref))
+    (object_creation_expression type: (qualified_name name: (identifier) @ref))
+    (base_list (identifier) @ref)
+    (base_list (generic_name (identifier) @ref))
+    (variable_declaration type: (identifier) @ref)
+    (parameter type: (identifier) @ref)
+    (method_declaration returns: (identifier) @ref)
+    (type_argument_list (identifier) @ref)
+  `,
+
   default: `
     (call_expression function: (identifier) @ref)
   `,
 };
 
-REF_QUERIES.tsx = REF_QUERIES.typescript;
+// Import statements. Each match captures the whole statement (@import) and,
+// where the grammar exposes it as a single node, the module specifier
+// (@source). Local bindings are pulled out by collectImports() below.
+const IMPORT_QUERIES = {
+  javascript: `
+    (import_statement source: (string) @source) @import
+    (export_statement source: (string) @source) @import
+    ((call_expression function: (identifier) @_fn arguments: (arguments . (string) @source)) @import
+      (#eq? @_fn "require"))
+    (call_expression function: (import) arguments: (arguments . (string) @source)) @import
+  `,
+
+  python: `
+    (import_statement) @import
+    (import_from_statement module_name: (_) @source) @import
+  `,
+
+  rust: `
+    (use_declaration argument: (_) @source) @import
+    (mod_item !body name: (identifier) @source) @import
+  `,
+
+  go: `
+    (import_spec path: (_) @source) @import
+  `,
+
+  java: `
+    (import_declaration) @import
+  `,
+
+  ruby: `
+    ((call !receiver method: (identifier) @_fn arguments: (argument_list . (string (string_content) @source))) @import
+      (#match? @_fn "^(require|require_relative|load)$"))
+  `,
+
+  php: `
+    (namespace_use_declaration) @import
+    (include_expression) @import
+    (include_once_expression) @import
+    (require_expression) @import
+    (require_once_expression) @import
+  `,
+
+  c: `
+    (preproc_include path: (_) @source) @import
+  `,
+
+  c_sharp: `
+    (using_directive) @import
+  `,
+};
+
+IMPORT_QUERIES.cpp = IMPORT_QUERIES.c;
+IMPORT_QUERIES.typescript = IMPORT_QUERIES.javascript;
+IMPORT_QUERIES.tsx = IMPORT_QUERIES.javascript;
+
+// Languages where a name defined in another file is only visible through an
+// import statement. For these, IMPORTS edges come exclusively from resolved
+// imports; elsewhere (Go packages, Java packages, Rust modules) same-package
+// names are visible without an import, so name-based wiring stays on.
+const IMPORT_SCOPED_LANGUAGES = new Set(['javascript', 'typescript', 'tsx', 'python']);
+
+// Member calls (`recv.method()`). Only receivers whose target can be known
+// without type inference are kept — see classifyReceiver().
+const MEMBER_CALL_QUERIES = {
+  javascript: `
+    (call_expression function: (member_expression object: (_) @receiver property: (property_identifier) @member))
+    (jsx_opening_element name: (member_expression object: (identifier) @receiver property: (property_identifier) @member))
+    (jsx_self_closing_element name: (member_expression object: (identifier) @receiver property: (property_identifier) @member))
+  `,
+
+  typescript: `
+    (call_expression function: (member_expression object: (_) @receiver property: (property_identifier) @member))
+  `,
+
+  python: `
+    (call function: (attribute object: (_) @receiver attribute: (identifier) @member))
+    (decorator (attribute object: (_) @receiver attribute: (identifier) @member))
+    (class_definition superclasses: (argument_list (attribute object: (_) @receiver attribute: (identifier) @member)))
+  `,
+
+  rust: `
+    (call_expression function: (field_expression value: (_) @receiver field: (field_identifier) @member))
+  `,
+
+  go: `
+    (call_expression function: (selector_expression operand: (_) @receiver field: (field_identifier) @member))
+  `,
+
+  java: `
+    (method_invocation object: (_) @receiver name: (identifier) @member)
+    (method_invocation !object name: (identifier) @member)
+  `,
+
+  ruby: `
+    (call receiver: (_) @receiver method: (identifier) @member)
+  `,
+
+  php: `
+    (member_call_expression object: (_) @receiver name: (name) @member)
+    (scoped_call_expression scope: (_) @receiver name: (name) @member)
+  `,
+
+  cpp: `
+    (call_expression function: (field_expression argument: (_) @receiver field: (field_identifier) @member))
+  `,
+
+  // `_` rather than `(_)`: in `this.Save()` the receiver is an anonymous node
+  c_sharp: `
+    (invocation_expression function: (member_access_expression expression: _ @receiver name: (identifier) @member))
+  `,
+};
+
+MEMBER_CALL_QUERIES.tsx = MEMBER_CALL_QUERIES.javascript;
+
+// Local variables whose class is evident from the statement itself:
+// `const x = new Foo()`, `x = Foo()`, `x := &Foo{}`, `Foo x = ...`,
+// `let x = Foo::new()`. Each match captures the variable (@var) and
+// the class name (@class).
+const CONSTRUCTION_QUERIES = {
+  javascript: `
+    (variable_declarator name: (identifier) @var value: (new_expression constructor: (identifier) @class))
+    (assignment_expression left: (identifier) @var right: (new_expression constructor: (identifier) @class))
+  `,
+
+  typescript: `
+    (variable_declarator name: (identifier) @var value: (new_expression constructor: (identifier) @class))
+    (assignment_expression left: (identifier) @var right: (new_expression constructor: (identifier) @class))
+    (variable_declarator name: (identifier) @var type: (type_annotation (type_identifier) @class))
+  `,
+
+  python: `
+    (assignment left: (identifier) @var right: (call function: (identifier) @class))
+    (assignment left: (identifier) @var type: (type (identifier) @class))
+  `,
+
+  rust: `
+    (let_declaration pattern: (identifier) @var type: (type_identifier) @class)
+    (let_declaration pattern: (identifier) @var value: (struct_expression name: (type_identifier) @class))
+    ((let_declaration pattern: (identifier) @var
+      value: (call_expression function: (scoped_identifier path: (identifier) @class name: (identifier) @_ctor)))
+      (#eq? @_ctor "new"))
+  `,
+
+  go: `
+    (short_var_declaration left: (expression_list . (identifier) @var) right: (expression_list . (composite_literal type: (type_identifier) @class)))
+    (short_var_declaration left: (expression_list . (identifier) @var) right: (expression_list . (unary_expression operand: (composite_literal type: (type_identifier) @class))))
+    (var_spec name: (identifier) @var type: (type_identifier) @class)
+  `,
+
+  java: `
+    (local_variable_declaration type: (type_identifier) @class declarator: (variable_declarator name: (identifier) @var))
+  `,
+
+  ruby: `
+    ((assignment left: (identifier) @var right: (call receiver: (constant) @class method: (identifier) @_new))
+      (#eq? @_new "new"))
+  `,
+
+  php: `
+    (assignment_expression left: (variable_name) @var right: (object_creation_expression (name) @class))
+    (assignment_expression left: (variable_name) @var right: (object_creation_expression (qualified_name (name) @class)))
+  `,
+
+  cpp: `
+    (declaration type: (type_identifier) @class declarator: (identifier) @var)
+    (declaration type: (qualified_identifier name: (type_identifier) @class) declarator: (identifier) @var)
+    (declaration type: (type_identifier) @class declarator: (init_declarator declarator: (identifier) @var))
+    (declaration type: (type_identifier) @class declarator: (init_declarator declarator: (pointer_declarator declarator: (identifier) @var)))
+    (init_declarator declarator: (identifier) @var value: (new_expression type: (type_identifier) @class))
+  `,
+
+  c_sharp: `
+    (variable_declaration type: (identifier) @class (variable_declarator name: (identifier) @var))
+    (variable_declarator name: (identifier) @var (object_creation_expression type: (identifier) @class))
+  `,
+};
+
+CONSTRUCTION_QUERIES.tsx = CONSTRUCTION_QUERIES.typescript;
+
+// Nodes that open a new local-variable scope for CONSTRUCTION_QUERIES.
+const FUNCTION_SCOPE_TYPES = new Set([
+  'function_declaration', 'function_expression', 'function', 'arrow_function',
+  'method_definition', 'function_definition', 'method_declaration',
+  'constructor_declaration', 'function_item', 'func_literal',
+  'method', 'singleton_method', 'local_function_statement',
+  'generator_function_declaration', 'generator_function', 'lambda',
+]);
+
+function enclosingFunction(node) {
+  for (let n = node.parent; n; n = n.parent) {
+    if (FUNCTION_SCOPE_TYPES.has(n.type)) return n;
+  }
+  return null;
+}
+
+/** Name of a Go method's receiver variable (`s` in `func (s *Server) ...`). */
+function goReceiverName(fnNode) {
+  const receiver = fnNode && fnNode.childForFieldName('receiver');
+  const param = receiver && receiver.namedChildren.find(c => c.type === 'parameter_declaration');
+  const name = param && param.childForFieldName('name');
+  return name ? name.text : null;
+}
+
+/**
+ * Decide what a member call's receiver refers to, or null when it can't be
+ * known without type inference (parameters, chained calls, fields):
+ *   - { kind: 'self', name: 'UserService' }     this./self. inside a class
+ *   - { kind: 'instance', name: 'UserService' } variable constructed/typed in scope
+ *   - { kind: 'namespace', name: 'utils' }      module alias or class name,
+ *                                               resolved against imports in graph.js
+ */
+function classifyReceiver(receiver, callNode, langName, constructed) {
+  const fn = enclosingFunction(callNode);
+  const selfClass = () => {
+    const owner = fn && containerPath(fn);
+    return owner ? { kind: 'self', name: owner } : null;
+  };
+
+  if (!receiver) return langName === 'java' ? selfClass() : null;
+
+  switch (receiver.type) {
+    case 'this':
+    case 'self':
+    case 'relative_scope':
+      // `parent::` names the superclass, not the enclosing class
+      return receiver.text === 'parent' ? null : selfClass();
+    case 'variable_name': {
+      // PHP: `$this->save()`, `$repo->save()`
+      if (receiver.text === '$this') return selfClass();
+      const cls = (fn && constructed.get(fn.id)?.get(receiver.text)) || constructed.get(null)?.get(receiver.text);
+      return cls ? { kind: 'instance', name: cls } : null;
+    }
+    case 'constant':
+    case 'name':
+      // Ruby `Foo.create`, PHP `User::find()` — class names, never variables
+      return { kind: 'namespace', name: receiver.text };
+    case 'scope_resolution':
+    case 'qualified_name': {
+      const last = receiver.childForFieldName('name') || receiver.namedChild(receiver.namedChildCount - 1);
+      return last ? { kind: 'namespace', name: last.text } : null;
+    }
+    case 'new_expression':
+    case 'object_creation_expression': {
+      const ctor = receiver.childForFieldName('constructor') || receiver.childForFieldName('type');
+      return ctor && (ctor.type === 'identifier' || ctor.type === 'type_identifier')
+        ? { kind: 'instance', name: ctor.text }
+        : null;
+    }
+    case 'identifier': {
+      const name = receiver.text;
+      if (langName === 'python' && (name === 'self' || name === 'cls')) return selfClass();
+      if (langName === 'go' && fn && fn.type === 'method_declaration' && goReceiverName(fn) === name) {
+        return selfClass();
+      }
+      const cls = (fn && constructed.get(fn.id)?.get(name)) || constructed.get(null)?.get(name);
+      if (cls) return { kind: 'instance', name: cls };
+      return { kind: 'namespace', name };
+    }
+    case 'attribute':
+      // Dotted module path: `os.path.join()`, `pkg.sub.fn()`
+      return langName === 'python' && /^[\w.]+$/.test(receiver.text)
+        ? { kind: 'namespace', name: receiver.text }
+        : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Reference kind for Python references that aren't plain calls, used to tag
+ * REFERENCES edges: 'decorator', 'annotation' or 'superclass'. Returns
+ * undefined for everything else.
+ */
+function refKindOf(node, langName) {
+  if (langName !== 'python') return undefined;
+  for (let n = node; n; n = n.parent) {
+    switch (n.type) {
+      case 'decorator':
+        return 'decorator';
+      case 'type':
+        return 'annotation';
+      case 'argument_list':
+        if (n.parent && n.parent.type === 'class_definition') return 'superclass';
+        break;
+      case 'block':
+      case 'module':
+        return undefined;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Names used inside a Python type annotation: `list[Item]`, `A | B`,
+ * `models.User` (a member of the `models` namespace) and string forward
+ * references such as `"UserModel"`.
+ */
+function collectAnnotationRefs(typeNode, seen) {
+  const refs = [];
+  const addName = (text, node) => {
+    const parts = text.split('.');
+    const name = parts.pop();
+    const ref = { name, line: node.startPosition.row + 1 };
+    if (parts.length > 0) ref.receiver = { kind: 'namespace', name: parts.join('.') };
+    refs.push(ref);
+  };
+  const visit = (node) => {
+    if (seen.has(node.id)) return;
+    seen.add(node.id);
+    switch (node.type) {
+      case 'identifier':
+        addName(node.text, node);
+        return;
+      case 'attribute':
+        if (/^[\w.]+$/.test(node.text)) addName(node.text, node);
+        return;
+      case 'string': {
+        const text = stripQuotes(node.text);
+        if (/^[A-Za-z_][\w.]*$/.test(text)) addName(text, node);
+        return;
+      }
+    }
+    for (let i = 0; i < node.namedChildCount; i++) visit(node.namedChild(i));
+  };
+  visit(typeNode);
+  return refs;
+}
+
+function stripQuotes(text) {
+  return text.replace(/^['"`]|['"`]$/g, '');
+}
+
+/**
+ * Flatten a Rust use tree (`crate::a::{b, c::D as E}`) into full paths.
+ * Returns [{ path: 'crate::a::b', local: 'b' }, ...]. Wildcards keep a
+ * trailing `*` and bind nothing.
+ */
+function flattenRustUse(node, prefix = '') {
+  const join = (a, b) => (a ? `${a}::${b}` : b);
+  switch (node.type) {
+    case 'scoped_use_list': {
+      const pathNode = node.childForFieldName('path');
+      const base = pathNode ? join(prefix, pathNode.text) : prefix;
+      const list = node.childForFieldName('list');
+      return list ? flattenRustUse(list, base) : [];
+    }
+    case 'use_list': {
+      const out = [];
+      for (let i = 0; i < node.namedChildCount; i++) {
+        out.push(...flattenRustUse(node.namedChild(i), prefix));
+      }
+      return out;
+    }
+    case 'use_as_clause': {
+      const pathNode = node.childForFieldName('path');
+      const alias = node.childForFieldName('alias');
+      return [{ path: join(prefix, pathNode.text), local: alias ? alias.text : null }];
+    }
+    case 'use_wildcard': {
+      const inner = node.namedChild(0);
+      return [{ path: join(prefix, inner ? `${inner.text}::*` : '*'), local: null }];
+    }
+    case 'self':
+      return [{ path: prefix, local: prefix.split('::').pop() }];
+    default: {
+      const path = join(prefix, node.text);
+      return [{ path, local: path.split('::').pop() }];
+    }
+  }
+}
+
+/**
+ * Turn one IMPORT_QUERIES match into import records:
+ *   { source, line, bindings: [{ local, imported }] }
+ *
+ * `source` is the module specifier as written (`./api`, `..models`,
+ * `crate::db`, `github.com/x/y`). `bindings` lists the names the statement
+ * introduces into the file: `imported` is the name in the target module,
+ * `'*'` for a namespace/module binding, `'default'` for a JS default import.
+ * A JS re-export (`export { a as b } from './x'`, `export * from './x'`)
+ * binds nothing locally; it carries `reexports: [{ exported, imported }]`
+ * instead, `exported` being `'*'` for `export *`. A Python star import
+ * re-exports everything too.
+ */
+function collectImports(match, langName) {
+  const importCap = match.captures.find(c => c.name === 'import');
+  const sourceCap = match.captures.find(c => c.name === 'source');
+  if (!importCap) return [];
+  const node = importCap.node;
+  const line = node.startPosition.row + 1;
+
+  switch (langName) {
+    case 'javascript':
+    case 'typescript':
+    case 'tsx': {
+      if (!sourceCap) return [];
+      const source = stripQuotes(sourceCap.node.text);
+      const bindings = [];
+      let reexports = null;
+      if (node.type === 'export_statement') {
+        reexports = [];
+        for (let i = 0; i < node.namedChildCount; i++) {
+          const part = node.namedChild(i);
+          if (part.type === 'namespace_export') {
+            const id = part.namedChild(0);
+            if (id) reexports.push({ exported: id.text, imported: '*' });
+          } else if (part.type === 'export_clause') {
+            for (let k = 0; k < part.namedChildCount; k++) {
+              const spec = part.namedChild(k);
+              if (spec.type !== 'export_specifier') continue;
+              const name = spec.childForFieldName('name');
+              const alias = spec.childForFieldName('alias');
+              if (name) reexports.push({ exported: (alias || name).text, imported: name.text });
+            }
+          }
+        }
+        if (reexports.length === 0 && node.children.some(c => c.type === '*')) {
+          reexports.push({ exported: '*', imported: '*' });
+        }
+      } else if (node.type === 'import_statement') {
+        for (let i = 0; i < node.namedChildCount; i++) {
+          const clause = node.namedChild(i);
+          if (clause.type !== 'import_clause') continue;
+          for (let j = 0; j < clause.namedChildCount; j++) {
+            const part = clause.namedChild(j);
+            if (part.type === 'identifier') {
+              bindings.push({ local: part.text, imported: 'default' });
+            } else if (part.type === 'namespace_import') {
+              const id = part.namedChild(0);
+              if (id) bindings.push({ local: id.text, imported: '*' });
+            } else if (part.type === 'named_imports') {
+              for (let k = 0; k < part.namedChildCount; k++) {
+                const spec = part.namedChild(k);
+                if (spec.type !== 'import_specifier') continue;
+                const name = spec.childForFieldName('name');
+                const alias = spec.childForFieldName('alias');
+                if (name) bindings.push({ local: (alias || name).text, imported: name.text });
+              }
+            }
+          }
+        }
+      } else if (node.type === 'call_expression') {
+        // const x = require('./x')  /  const { a, b } = require('./x')
+        const declarator = node.parent && node.parent.type === 'variable_declarator' ? node.parent : null;
+        const target = declarator && declarator.childForFieldName('name');
+        if (target && target.type === 'identifier') {
+          bindings.push({ local: target.text, imported: '*' });
+        } else if (target && target.type === 'object_pattern') {
+          for (let i = 0; i < target.namedChildCount; i++) {
+            const prop = target.namedChild(i);
+            if (prop.type === 'shorthand_property_identifier_pattern') {
+              bindings.push({ local: prop.text, imported: prop.text });
+            } else if (prop.type === 'pair_pattern') {
+              const key = prop.childForFieldName('key');
+              const value = prop.childForFieldName('value');
+              if (key && value && value.type === 'identifier') {
+                bindings.push({ local: value.text, imported: key.text });
+              }
+            }
+          }
+        }
+      }
+      return [{ source, line, bindings, ...(reexports ? { reexports } : {}) }];
+    }
+
+    case 'python': {
+      if (node.type === 'import_statement') {
+        // import a.b, c as d — one record per module
+        const out = [];
+        for (let i = 0; i < node.namedChildCount; i++) {
+          const child = node.namedChild(i);
+          if (child.type === 'dotted_name') {
+            out.push({ source: child.text, line, bindings: [{ local: child.text.split('.')[0], imported: '*' }] });
+          } else if (child.type === 'aliased_import') {
+            const name = child.childForFieldName('name');
+            const alias = child.childForFieldName('alias');
+            if (name) out.push({ source: name.text, line, bindings: [{ local: (alias || name).text, imported: '*' }] });
+          }
+        }
+        return out;
+      }
+      if (!sourceCap) return [];
+      const bindings = [];
+      let wildcard = false;
+      for (let i = 0; i < node.namedChildCount; i++) {
+        const child = node.namedChild(i);
+        if (child.id === sourceCap.node.id) continue;
+        if (child.type === 'dotted_name') {
+          bindings.push({ local: child.text, imported: child.text });
+        } else if (child.type === 'aliased_import') {
+          const name = child.childForFieldName('name');
+          const alias = child.childForFieldName('alias');
+          if (name) bindings.push({ local: (alias || name).text, imported: name.text });
+        } else if (child.type === 'wildcard_import') {
+          wildcard = true;
+        }
+      }
+      const record = { source: sourceCap.node.text, line, bindings };
+      if (wildcard) record.reexports = [{ exported: '*', imported: '*' }];
+      return [record];
+    }
+
+    case 'rust': {
+      if (!sourceCap) return [];
+      if (node.type === 'mod_item') {
+        const name = sourceCap.node.text;
+        return [{ source: `self::${name}`, line, bindings: [{ local: name, imported: '*' }] }];
+      }
+      return flattenRustUse(sourceCap.node).map(({ path, local }) => ({
+        source: path,
+        line,
+        bindings: local ? [{ local, imported: path.split('::').pop() }] : [],
+      }));
+    }
+
+    case 'go': {
+      if (!sourceCap) return [];
+      const source = stripQuotes(sourceCap.node.text);
+      const nameNode = node.childForFieldName('name');
+      const local = nameNode ? nameNode.text : source.split('/').pop();
+      return [{ source, line, bindings: local === '_' || local === '.' ? [] : [{ local, imported: '*' }] }];
+    }
+
+    case 'java': {
+      const text = node.text.replace(/^import\s+/, '').replace(/^static\s+/, '').replace(/;\s*$/, '').replace(/\s+/g, '');
+      const last = text.split('.').pop();
+      return [{ source: text, line, bindings: last === '*' ? [] : [{ local: last, imported: last }] }];
+    }
+
+    case 'ruby': {
+      if (!sourceCap) return [];
+      const fn = match.captures.find(c => c.name === '_fn');
+      let source = sourceCap.node.text;
+      if (fn && fn.node.text === 'require_relative' && !source.startsWith('.')) source = `./${source}`;
+      return [{ source, line, bindings: [] }];
+    }
+
+    case 'php': {
+      if (node.type !== 'namespace_use_declaration') {
+        // include/require: the path string, relative to the file when
+        // prefixed with __DIR__
+        const str = node.descendantsOfType(['string', 'encapsed_string'])[0];
+        if (!str) return [];
+        const path = stripQuotes(str.text).replace(/^'|'$/g, '');
+        const dirRelative = /__DIR__|dirname\s*\(\s*__FILE__/.test(node.text);
+        return [{ source: dirRelative ? `.${path.startsWith('/') ? '' : '/'}${path}` : path, line, bindings: [] }];
+      }
+      // `use A\B\C as D;` or grouped `use A\B\{C, D as E};`
+      const group = node.childForFieldName('body');
+      const prefixNode = group ? node.namedChildren.find(c => c.type === 'namespace_name') : null;
+      const prefix = prefixNode ? `${prefixNode.text}\\` : '';
+      const clauses = (group || node).namedChildren.filter(c => c.type === 'namespace_use_clause');
+      // `use function`/`use const` import non-class members that don't map
+      // to files; record them unbound so name matching still applies
+      const bindsClass = !/^use\s+(function|const)\b/.test(node.text);
+      return clauses.map(clause => {
+        const target = clause.namedChildren.find(c => c.type === 'qualified_name' || c.type === 'name');
+        if (!target) return null;
+        const source = (prefix + target.text).replace(/^\\/, '');
+        const imported = source.split('\\').pop();
+        const alias = clause.childForFieldName('alias');
+        return { source, line, bindings: bindsClass ? [{ local: alias ? alias.text : imported, imported }] : [] };
+      }).filter(Boolean);
+    }
+
+    case 'c':
+    case 'cpp': {
+      if (!sourceCap) return [];
+      // `#include <x.h>` searches include paths only; `"x.h"` starts next to the file
+      const system = sourceCap.node.type === 'system_lib_string';
+      const source = sourceCap.node.text.replace(/^[<"]|[>"]$/g, '');
+      return [{ source, line, bindings: [], system }];
+    }
+
+    case 'c_sharp': {
+      const target = node.namedChildren.find(c =>
+        (c.type === 'qualified_name' || c.type === 'identifier') && c !== node.childForFieldName('name')
+      );
+      if (!target) return [];
+      const source = target.text.replace(/\s+/g, '');
+      const alias = node.childForFieldName('name');
+      const imported = source.split('.').pop();
+      return [{ source, line, bindings: alias ? [{ local: alias.text, imported }] : [] }];
+    }
+
+    default:
+      return [];
+  }
+}
 
 const KIND_MAP = {
   function_declaration: 'function',
+  generator_function_declaration: 'function',
   function_definition: 'function',
   arrow_function: 'function',
   method_definition: 'function',
   method_declaration: 'function',
   function_item: 'function',
   singleton_method: 'function',
+  method: 'function',
   class_declaration: 'class',
   class_definition: 'class',
   class_specifier: 'class',
+  class: 'class',
   struct_item: 'class',
   struct_specifier: 'class',
   struct_declaration: 'class',
@@ -246,6 +1014,103 @@ const KIND_MAP = {
   decorated_definition: 'function',
 };
 
+// Node types that scope the definitions nested inside them, mapped to the
+// field holding the scope's name. impl blocks are named after the type they
+// implement (`impl Display for Foo` scopes to Foo), not the trait.
+const CONTAINER_NAME_FIELDS = {
+  class_declaration: 'name',
+  abstract_class_declaration: 'name',
+  class_definition: 'name',
+  class_specifier: 'name',
+  struct_specifier: 'name',
+  struct_declaration: 'name',
+  record_declaration: 'name',
+  interface_declaration: 'name',
+  enum_declaration: 'name',
+  trait_item: 'name',
+  trait_declaration: 'name',
+  impl_item: 'type',
+  mod_item: 'name',
+  namespace_definition: 'name',
+  namespace_declaration: 'name',
+  class: 'name',
+  module: 'name',
+};
+
+/** Normalize a scope name node to dotted form: `a::Foo<T>` → `a.Foo`. */
+function scopeName(node, lastSegmentOnly = false) {
+  const text = node.text
+    .replace(/<[^]*>$/, '')
+    .replace(/\[[^]*\]$/, '')
+    .replace(/^\*/, '')
+    .replace(/::|\\/g, '.')
+    .replace(/^\./, '');
+  return lastSegmentOnly ? text.split('.').pop() : text;
+}
+
+/** C/C++ function_declarator of a definition, under any pointer/reference declarators. */
+function functionDeclarator(defNode) {
+  let declarator = defNode.type === 'function_definition' ? defNode.childForFieldName('declarator') : null;
+  while (declarator && declarator.type !== 'function_declarator') {
+    declarator = declarator.childForFieldName('declarator')
+      || declarator.namedChildren.find(c => c.type.endsWith('declarator'));
+  }
+  return declarator || null;
+}
+
+/**
+ * Dotted path of the classes/impls/namespaces enclosing a definition,
+ * e.g. "Outer.Inner" for a method of a nested class, or null at top level.
+ * Go methods scope to their receiver type, out-of-line C++ definitions
+ * (`void Foo::bar()`) to their qualifier.
+ */
+function containerPath(defNode) {
+  const parts = [];
+  for (let n = defNode.parent; n; n = n.parent) {
+    const field = CONTAINER_NAME_FIELDS[n.type];
+    if (!field) continue;
+    const nameNode = n.childForFieldName(field);
+    if (nameNode) parts.unshift(scopeName(nameNode, n.type === 'impl_item'));
+  }
+
+  const receiver = defNode.type === 'method_declaration' ? defNode.childForFieldName('receiver') : null;
+  if (receiver) {
+    const param = receiver.namedChildren.find(c => c.type === 'parameter_declaration');
+    const typeNode = param && param.childForFieldName('type');
+    if (typeNode) parts.push(scopeName(typeNode));
+  }
+
+  const declarator = functionDeclarator(defNode);
+  const inner = declarator && declarator.childForFieldName('declarator');
+  if (inner && inner.type === 'qualified_identifier') {
+    const scope = inner.childForFieldName('scope');
+    if (scope) parts.push(scopeName(scope));
+  }
+
+  return parts.length > 0 ? parts.join('.') : null;
+}
+
+/**
+ * Match a user-supplied symbol against a definition or graph node.
+ * Bare names (`validate`) match the symbol name; qualified names
+ * (`UserService.validate`, `Foo::new`) match the trailing segments
+ * of the qualified name.
+ *
+ * @param {{name: string, qualifiedName?: string}} attrs
+ * @param {string} symbol
+ */
+function matchesSymbol(attrs, symbol) {
+  if (!symbol.includes('.') && !symbol.includes('::')) return attrs.name === symbol;
+  const wanted = symbol.replace(/::/g, '.');
+  const qualified = attrs.qualifiedName || attrs.name;
+  return qualified === wanted || qualified.endsWith('.' + wanted);
+}
+
+/** Last segment of a possibly qualified symbol: `UserService.validate` → `validate`. */
+function bareName(symbol) {
+  return symbol.split(/\.|::/).pop();
+}
+
 /**
  * Walk an AST subtree and count node types that reveal structural shape.
  * Returns a flat object like { if_statement: 3, for_statement: 1, call_expression: 7, ... }
@@ -300,6 +1165,81 @@ function buildAstProfile(node) {
   return profile;
 }
 
+// --- Complexity ---
+
+// Nodes that add a path through a function (cyclomatic complexity)
+const DECISION_NODE_TYPES = new Set([
+  'if_statement', 'if_expression', 'elif_clause', 'else_if_clause', 'if', 'elsif', 'unless',
+  'if_modifier', 'unless_modifier', 'if_clause',
+  'for_statement', 'for_in_statement', 'enhanced_for_statement', 'foreach_statement', 'for_range_loop',
+  'for_expression', 'for', 'for_in_clause',
+  'while_statement', 'while_expression', 'while', 'until', 'while_modifier', 'until_modifier',
+  'do_statement', 'loop_expression',
+  'switch_case', 'case_clause', 'case_statement', 'switch_section', 'switch_block_statement_group',
+  'switch_rule', 'expression_case', 'type_case', 'communication_case', 'match_arm', 'when',
+  'catch_clause', 'except_clause', 'rescue',
+  'ternary_expression', 'conditional_expression', 'conditional',
+]);
+
+// Short-circuit operators, each another path
+const DECISION_OPERATORS = new Set(['&&', '||', '??', 'and', 'or']);
+
+// Blocks that nest the code inside them. `else if` chains don't nest.
+const NESTING_NODE_TYPES = new Set([
+  'if_statement', 'if_expression', 'if', 'unless',
+  'for_statement', 'for_in_statement', 'enhanced_for_statement', 'foreach_statement', 'for_range_loop',
+  'for_expression', 'for', 'while_statement', 'while_expression', 'while', 'until',
+  'do_statement', 'loop_expression',
+  'switch_statement', 'switch_expression', 'expression_switch_statement', 'type_switch_statement',
+  'select_statement', 'match_statement', 'match_expression', 'case',
+  'try_statement', 'begin', 'with_statement',
+]);
+
+// Named definitions nested in a function are measured on their own
+const NESTED_DEFINITION_TYPES = new Set([
+  'function_declaration', 'generator_function_declaration', 'method_definition',
+  'function_definition', 'decorated_definition', 'method_declaration', 'constructor_declaration',
+  'function_item', 'method', 'singleton_method', 'local_function_statement',
+  'class_declaration', 'class_definition', 'class', 'class_specifier', 'struct_item', 'impl_item',
+]);
+
+/**
+ * Complexity metrics of a function definition:
+ *   cyclomatic — 1 + decision points (branches, loops, cases, catches,
+ *                ternaries, short-circuit operators)
+ *   maxNesting — deepest nesting of control-flow blocks
+ *   params     — parameter count
+ *   lines      — length of the definition in lines
+ * Named functions and classes nested inside are skipped; anonymous
+ * callbacks count toward the enclosing function.
+ */
+function computeComplexity(defNode, params) {
+  let cyclomatic = 1;
+  let maxNesting = 0;
+
+  function walk(n, depth) {
+    if (DECISION_NODE_TYPES.has(n.type)) cyclomatic++;
+    const operator = (n.type === 'binary_expression' || n.type === 'boolean_operator' || n.type === 'binary')
+      && n.childForFieldName('operator');
+    if (operator && DECISION_OPERATORS.has(operator.text)) cyclomatic++;
+
+    const nests = NESTING_NODE_TYPES.has(n.type) && !(n.parent && n.parent.type === 'else_clause');
+    if (nests) maxNesting = Math.max(maxNesting, depth + 1);
+    for (const child of n.namedChildren) {
+      if (NESTED_DEFINITION_TYPES.has(child.type)) continue;
+      walk(child, nests ? depth + 1 : depth);
+    }
+  }
+
+  walk(defNode, 0);
+  return {
+    cyclomatic,
+    maxNesting,
+    params: params.length,
+    lines: defNode.endPosition.row - defNode.startPosition.row + 1,
+  };
+}
+
 /**
  * Extract parameter names from a function's tree-sitter node.
  * Works across languages by looking for common parameter node patterns.
@@ -339,6 +1279,400 @@ function extractParamNames(node) {
   return params;
 }
 
+// --- Visibility ---
+
+// Scopes that group definitions without restricting access to them
+const NAMESPACE_SCOPE_TYPES = new Set(['namespace_definition', 'namespace_declaration', 'mod_item', 'module']);
+
+const MODIFIER_VISIBILITY = { public: 'public', private: 'private', protected: 'internal', internal: 'internal' };
+
+/** Nearest enclosing class/struct/trait/impl of a definition, skipping namespaces. */
+function enclosingTypeScope(node) {
+  for (let n = node.parent; n; n = n.parent) {
+    if (CONTAINER_NAME_FIELDS[n.type] && !NAMESPACE_SCOPE_TYPES.has(n.type)) return n;
+  }
+  return null;
+}
+
+/**
+ * Module-level facts visibility depends on: the names a JS/TS module
+ * exports through `export { a }` / `export default a`, and the names in
+ * a Python module's `__all__` (`declared` when it has one).
+ */
+function moduleExportNames(root, langName) {
+  const names = new Set();
+  let declared = false;
+  for (const stmt of root.namedChildren) {
+    if (stmt.type === 'export_statement') {
+      const value = stmt.childForFieldName('value');
+      if (value && value.type === 'identifier') names.add(value.text);
+      for (const clause of stmt.namedChildren.filter(c => c.type === 'export_clause')) {
+        for (const spec of clause.namedChildren) {
+          const name = spec.childForFieldName('name');
+          if (name) names.add(name.text);
+        }
+      }
+    } else if (langName === 'python' && stmt.type === 'expression_statement') {
+      const assign = stmt.namedChild(0);
+      if (assign.type !== 'assignment' || assign.childForFieldName('left')?.text !== '__all__') continue;
+      declared = true;
+      for (const str of assign.childForFieldName('right')?.descendantsOfType('string_content') || []) {
+        names.add(str.text);
+      }
+    }
+  }
+  return { names, declared };
+}
+
+/** Visibility named by a modifier keyword among `words`, or null. */
+function modifierVisibility(words) {
+  for (const word of ['private', 'protected', 'internal', 'public']) {
+    if (words.includes(word)) return MODIFIER_VISIBILITY[word];
+  }
+  return null;
+}
+
+/**
+ * Visibility of a definition: 'public' (exported / part of the module's
+ * API), 'internal' (visible within its package, module or file, e.g. an
+ * unexported JS function, a lowercase Go name, Java package-private,
+ * C `static`) or 'private' (class-private members, Python `_names`,
+ * definitions local to a function). Members without their own modifier
+ * take their class's visibility where the language works that way.
+ */
+function visibilityOf(defNode, name, langName, moduleInfo) {
+  const fn = enclosingFunction(defNode);
+  const owner = enclosingTypeScope(defNode);
+  if (fn && (!owner || fn.startIndex > owner.startIndex)) return 'private';
+  const ownerVisibility = () => {
+    const ownerName = owner.childForFieldName(CONTAINER_NAME_FIELDS[owner.type]);
+    return visibilityOf(owner, ownerName ? ownerName.text : '', langName, moduleInfo);
+  };
+  const words = defNode.namedChildren
+    .filter(c => ['modifier', 'modifiers', 'accessibility_modifier', 'visibility_modifier'].includes(c.type))
+    .flatMap(c => c.text.split(/\s+/));
+
+  switch (langName) {
+    case 'javascript':
+    case 'typescript':
+    case 'tsx': {
+      if (owner) {
+        if (name.startsWith('#')) return 'private';
+        return modifierVisibility(words.filter(w => w !== 'public')) || ownerVisibility();
+      }
+      const parent = defNode.parent;
+      if (parent.type === 'export_statement' || parent.type === 'assignment_expression') return 'public';
+      if (defNode.type === 'assignment_expression') return 'public';
+      return moduleInfo.names.has(name) ? 'public' : 'internal';
+    }
+
+    case 'python':
+      if (/^__\w+__$/.test(name)) return owner ? ownerVisibility() : 'public';
+      if (name.startsWith('_')) return 'private';
+      if (owner) return ownerVisibility();
+      if (!moduleInfo.declared) return 'public';
+      return moduleInfo.names.has(name) ? 'public' : 'internal';
+
+    case 'rust': {
+      const vis = defNode.namedChildren.find(c => c.type === 'visibility_modifier');
+      if (vis) return vis.text === 'pub' ? 'public' : 'internal';
+      // Trait items and trait impls are as visible as the trait
+      if (defNode.type === 'impl_item' || (owner && (owner.type === 'trait_item' || owner.childForFieldName('trait')))) {
+        return 'public';
+      }
+      return 'private';
+    }
+
+    case 'go':
+      return /^[A-Z]/.test(name) ? 'public' : 'internal';
+
+    case 'java':
+      return modifierVisibility(words) || (owner && owner.type === 'interface_declaration' ? 'public' : 'internal');
+
+    case 'c_sharp':
+      if (modifierVisibility(words)) return modifierVisibility(words);
+      if (!owner) return 'internal';
+      return owner.type === 'interface_declaration' ? 'public' : 'private';
+
+    case 'php':
+      return modifierVisibility(words) || 'public';
+
+    case 'ruby': {
+      if (defNode.type === 'singleton_method') return 'public';
+      // `private def foo` / `private` on its own line before the def
+      let stmt = defNode;
+      if (stmt.parent.type === 'argument_list') {
+        stmt = stmt.parent.parent;
+        const word = stmt.childForFieldName('method')?.text;
+        if (MODIFIER_VISIBILITY[word]) return MODIFIER_VISIBILITY[word];
+      }
+      for (let prev = stmt.previousNamedSibling; prev; prev = prev.previousNamedSibling) {
+        if (prev.type === 'identifier' && MODIFIER_VISIBILITY[prev.text]) return MODIFIER_VISIBILITY[prev.text];
+      }
+      return 'public';
+    }
+
+    case 'c':
+    case 'cpp': {
+      if (owner) {
+        for (let prev = defNode.previousNamedSibling; prev; prev = prev.previousNamedSibling) {
+          if (prev.type === 'access_specifier') return MODIFIER_VISIBILITY[prev.text.trim()] || 'public';
+        }
+        return owner.type === 'class_specifier' ? 'private' : 'public';
+      }
+      const isStatic = defNode.namedChildren.some(c => c.type === 'storage_class_specifier' && c.text === 'static');
+      let anonymousNamespace = false;
+      for (let n = defNode.parent; n; n = n.parent) {
+        if (n.type === 'namespace_definition' && !n.childForFieldName('name')) anonymousNamespace = true;
+      }
+      return isStatic || anonymousNamespace ? 'internal' : 'public';
+    }
+
+    default:
+      return 'public';
+  }
+}
+
+// --- Documentation ---
+
+// Wrappers whose leading comments document the definition inside them
+const DOC_ANCHOR_PARENTS = new Set(['export_statement', 'expression_statement', 'template_declaration']);
+// Siblings allowed between a doc comment and its definition
+const DOC_TRANSPARENT_TYPES = new Set(['attribute_item', 'decorator']);
+// Languages where any adjacent comment documents the next definition;
+// elsewhere only doc-comment syntax (`/** */`, `///`) counts
+const PLAIN_COMMENT_DOC_LANGUAGES = new Set(['go', 'c', 'cpp', 'ruby']);
+
+function isDocComment(text, langName) {
+  if (PLAIN_COMMENT_DOC_LANGUAGES.has(langName)) return true;
+  if (text.startsWith('/**') && !text.startsWith('/**/')) return true;
+  return (langName === 'rust' || langName === 'c_sharp') && /^\/\/\/(?!\/)/.test(text);
+}
+
+/**
+ * First paragraph of a doc comment or docstring, as one line: comment
+ * markers, XML tags (C#) and everything from the first blank line or
+ * tag line (`@param`, `:param`) on are dropped. Null when empty.
+ */
+function docSummary(text) {
+  const summary = [];
+  for (const raw of text.split('\n')) {
+    const line = raw
+      .replace(/^\s*(\/\*\*+|\/\*|\*\/|\*|\/\/\/|\/\/!?|#)\s?/, '')
+      .replace(/\s*\*+\/\s*$/, '')
+      .replace(/<\/?[a-zA-Z][^>]*>/g, '')
+      .trim();
+    if (!line) {
+      if (summary.length > 0) break;
+      continue;
+    }
+    if (/^(@|:param|:return|:raises)/.test(line)) break;
+    summary.push(line);
+  }
+  const doc = summary.join(' ');
+  if (!doc) return null;
+  return doc.length > 300 ? doc.substring(0, 300) + '...' : doc;
+}
+
+/**
+ * Documentation of a definition: the docstring for Python, otherwise the
+ * doc comments directly above it (skipping Rust attributes and decorators).
+ * Returns { doc, line } with the first-paragraph summary and the line the
+ * documentation starts on, or null.
+ */
+function extractDoc(defNode, langName) {
+  if (langName === 'python') {
+    const fn = defNode.type === 'decorated_definition' ? defNode.childForFieldName('definition') : defNode;
+    const body = fn.childForFieldName('body');
+    const first = body && body.namedChild(0);
+    const str = first && first.type === 'expression_statement' && first.namedChild(0);
+    if (!str || str.type !== 'string') return null;
+    const content = str.namedChildren.filter(c => c.type === 'string_content').map(c => c.text).join('');
+    const doc = docSummary(content);
+    return doc ? { doc, line: str.startPosition.row + 1 } : null;
+  }
+
+  let anchor = defNode;
+  while (anchor.parent && DOC_ANCHOR_PARENTS.has(anchor.parent.type)) anchor = anchor.parent;
+
+  const comments = [];
+  let below = anchor;
+  for (let prev = anchor.previousNamedSibling; prev; prev = prev.previousNamedSibling) {
+    if (prev.endPosition.row < below.startPosition.row - 1) break;
+    if (DOC_TRANSPARENT_TYPES.has(prev.type)) { below = prev; continue; }
+    if (!prev.type.includes('comment') || !isDocComment(prev.text, langName)) break;
+    comments.unshift(prev);
+    below = prev;
+  }
+  if (comments.length === 0) return null;
+
+  const doc = docSummary(comments.map(c => c.text.trimEnd()).join('\n'));
+  return doc ? { doc, line: comments[0].startPosition.row + 1 } : null;
+}
+
+// --- Structured signatures ---
+
+const VARIADIC_PARAM_TYPES = new Set([
+  'rest_pattern', 'list_splat_pattern', 'dictionary_splat_pattern',
+  'variadic_parameter_declaration', 'variadic_parameter', 'spread_parameter',
+  'splat_parameter', 'hash_splat_parameter',
+]);
+
+// Parameter-list entries that are syntax, not parameters
+const NON_PARAM_TYPES = new Set([
+  'comment', 'keyword_separator', 'positional_separator', 'receiver_parameter', 'attribute_list',
+]);
+
+/**
+ * Type annotation text without the TS `: ` prefix, with any C/C++
+ * qualifiers (`const`) that precede it in `owner`.
+ */
+function typeText(node, owner) {
+  if (!node) return null;
+  const qualifiers = owner
+    ? owner.namedChildren.filter(c => c.type === 'type_qualifier' && c.startIndex < node.startIndex).map(q => q.text)
+    : [];
+  return [...qualifiers, node.text.replace(/^:\s*/, '')].join(' ');
+}
+
+/**
+ * The function node behind a definition: the definition itself, the value
+ * of `const f = () => {}` / `exports.f = function () {}`, the function
+ * under a Python decorator, or — for C/C++ — the function_declarator.
+ * Null when the definition is not a function.
+ */
+function functionNodeOf(defNode, name) {
+  let node = defNode;
+  if (node.type === 'decorated_definition') node = node.childForFieldName('definition');
+  if (node.type === 'lexical_declaration' || node.type === 'variable_declaration') {
+    const declarator = node.namedChildren.find(c =>
+      c.type === 'variable_declarator' && c.childForFieldName('name')?.text === name
+    );
+    node = declarator && declarator.childForFieldName('value');
+  } else if (node.type === 'assignment_expression') {
+    node = node.childForFieldName('right');
+  }
+  if (!node) return null;
+  if (node.type === 'function_definition' && node.childForFieldName('declarator')) return functionDeclarator(node);
+  if (node.childForFieldName('parameters') || node.childForFieldName('parameter')) return node;
+  return null;
+}
+
+// C/C++ declarators that modify the declared type
+const DECLARATOR_TYPE_SUFFIXES = { pointer_declarator: '*', reference_declarator: '&' };
+
+/**
+ * Innermost identifier of a parameter pattern (`**argv`, `&x`, `$a`),
+ * plus the pointer/reference suffix its declarators add to the type.
+ */
+function paramNameNode(node) {
+  let typeSuffix = '';
+  while (node && !['variable_name', 'object_pattern', 'array_pattern'].includes(node.type)) {
+    const inner = node.childForFieldName('declarator') || node.childForFieldName('name')
+      || (DECLARATOR_TYPE_SUFFIXES[node.type] ? node.namedChildren[node.namedChildCount - 1] : null);
+    if (!inner) break;
+    typeSuffix += DECLARATOR_TYPE_SUFFIXES[node.type] || '';
+    node = inner;
+  }
+  return { nameNode: node, typeSuffix };
+}
+
+/**
+ * Describe one parameter-list entry as [{ name, type, default, variadic }].
+ * An array because Go declares several names per entry (`a, b int`).
+ */
+function describeParam(p, langName) {
+  if (NON_PARAM_TYPES.has(p.type)) return [];
+  const typeNode = p.childForFieldName('type') || (p.type === 'spread_parameter' ? p.namedChild(0) : null);
+  const defaultNode = p.childForFieldName('value') || p.childForFieldName('default_value') || p.childForFieldName('right');
+
+  let variadic = VARIADIC_PARAM_TYPES.has(p.type) || p.children.some(c => c.type === '...' || c.text === 'params');
+  let nameNodes = p.childrenForFieldName('name');
+  if (nameNodes.length === 0) {
+    const pattern = p.childForFieldName('pattern') || p.childForFieldName('declarator') || p.childForFieldName('left')
+      || p.namedChildren.find(c => c !== typeNode && c !== defaultNode && c.type !== 'modifier');
+    nameNodes = pattern ? [pattern] : [p];
+  }
+
+  return nameNodes.map(n => {
+    if (VARIADIC_PARAM_TYPES.has(n.type)) {
+      variadic = true;
+      n = n.namedChild(0) || n;
+    }
+    const { nameNode, typeSuffix } = paramNameNode(n);
+    let defaultValue = defaultNode ? defaultNode.text : null;
+    if (!defaultValue && langName === 'c_sharp') {
+      // C# defaults are the expression following the name
+      const after = p.namedChildren.filter(c => c.startIndex > nameNode.endIndex);
+      if (after.length > 0) defaultValue = after[after.length - 1].text;
+    }
+    return {
+      name: nameNode.text,
+      type: typeNode ? typeText(typeNode, p) + typeSuffix : null,
+      default: defaultValue,
+      variadic,
+    };
+  });
+}
+
+const RETURN_TYPE_FIELDS = ['return_type', 'result', 'returns'];
+// Languages whose functions put the return type in the `type` field
+const TYPE_FIELD_RETURN_LANGUAGES = new Set(['java', 'c_sharp', 'c', 'cpp']);
+
+/**
+ * Structured signature of a function definition:
+ *   { params: [{ name, type, default, variadic }], returnType, async, generator }
+ * Types and defaults are source text, null when absent. Returns null for
+ * definitions that are not functions.
+ */
+function extractStructuredSignature(defNode, name, langName) {
+  const fn = functionNodeOf(defNode, name);
+  if (!fn) return null;
+
+  const params = [];
+  const list = fn.childForFieldName('parameters');
+  if (list) {
+    // C#'s `params string[] rest` sits in the list itself, with no
+    // parameter node around its type and name
+    const restType = langName === 'c_sharp' ? list.childForFieldName('type') : null;
+    const restName = restType && list.childForFieldName('name');
+    for (const p of list.namedChildren) {
+      if (restName && p.id === restName.id) {
+        params.push({ name: restName.text, type: restType.text, default: null, variadic: true });
+      } else if (!restType || p.id !== restType.id) {
+        params.push(...describeParam(p, langName));
+      }
+    }
+  } else {
+    // Single unparenthesized arrow parameter: `x => x`
+    params.push({ name: fn.childForFieldName('parameter').text, type: null, default: null, variadic: false });
+  }
+
+  // C/C++: the declarator carries the params, the definition the return type
+  const owner = fn.type === 'function_declarator' ? defNode : fn;
+  let returnNode = null;
+  for (const field of RETURN_TYPE_FIELDS) {
+    returnNode = returnNode || owner.childForFieldName(field);
+  }
+  if (!returnNode && TYPE_FIELD_RETURN_LANGUAGES.has(langName)) returnNode = owner.childForFieldName('type');
+  let returnType = typeText(returnNode, owner);
+  if (returnType && fn.type === 'function_declarator') {
+    // `char **name(...)`: pointer declarators wrap the function declarator
+    for (let n = fn.parent; n && n.id !== owner.id; n = n.parent) returnType += DECLARATOR_TYPE_SUFFIXES[n.type] || '';
+  }
+
+  const isAsync = owner.children.some(c =>
+    c.type === 'async' ||
+    (['function_modifiers', 'modifier', 'modifiers'].includes(c.type) && /\basync\b/.test(c.text))
+  );
+  let isGenerator = fn.type.includes('generator') || fn.children.some(c => c.type === '*');
+  if (langName === 'python') {
+    isGenerator = fn.descendantsOfType('yield').some(y => enclosingFunction(y)?.id === fn.id);
+  }
+
+  return { params, returnType, async: isAsync, generator: isGenerator };
+}
+
 /**
  * Find the body/block node of a definition, drilling into wrappers like
  * lexical_declaration → variable_declarator → arrow_function → body.
@@ -393,35 +1727,156 @@ function extractSignature(node, langName) {
   return sig.length > 200 ? sig.substring(0, 200) + '...' : sig;
 }
 
+// `require('./x')` / `import('./x')`, optionally followed by `.member`:
+// binds a module rather than defining anything.
+function isModuleLoad(node) {
+  if (node.type === 'await_expression') node = node.namedChild(0);
+  while (node && node.type === 'member_expression') node = node.childForFieldName('object');
+  if (!node || node.type !== 'call_expression') return false;
+  const fn = node.childForFieldName('function');
+  return fn.type === 'import' || (fn.type === 'identifier' && fn.text === 'require');
+}
+
+const UPPER_CASE_RE = /^[A-Z][A-Z0-9_]*$/;
+
+/**
+ * Name and kind of a module-level binding — `const routes = {...}`,
+ * `exports.handler = ...`, `module.exports = function () {}`,
+ * `SETTINGS = Settings()` — or null when it is not worth indexing:
+ * module loads, dunders, and function values the arrow/function patterns
+ * already capture. `module.exports = ...` is named after the function or
+ * class it assigns, else "exports", and flagged as the module's export.
+ */
+function moduleBinding(defNode, nameNode, valueNode, langName) {
+  const name = nameNode.text;
+  if (langName === 'python') {
+    if (/^__\w+__$/.test(name)) return null;
+    return { name, kind: UPPER_CASE_RE.test(name) ? 'constant' : 'variable' };
+  }
+
+  if (isModuleLoad(valueNode)) return null;
+  const isFunction = valueNode.type === 'arrow_function' || valueNode.type === 'function_expression';
+
+  if (defNode.type === 'assignment_expression') {
+    const target = defNode.childForFieldName('left').text;
+    if (target.startsWith('module.') && !target.startsWith('module.exports')) return null;
+    const kind = isFunction ? 'function' : valueNode.type === 'class' ? 'class' : 'variable';
+    if (target !== 'module.exports') return { name, kind };
+    const valueName = (isFunction || kind === 'class') && valueNode.childForFieldName('name');
+    return { name: valueName ? valueName.text : name, kind, moduleExport: true };
+  }
+
+  if (isFunction) return null;
+  return { name, kind: defNode.text.startsWith('const') ? 'constant' : 'variable' };
+}
+
+/** First line of a binding, e.g. `const routes = {` or `SETTINGS = Settings()`. */
+function bindingSignature(node) {
+  const sig = node.text.split('\n')[0].trim();
+  return sig.length > 200 ? sig.substring(0, 200) + '...' : sig;
+}
+
+// --- Parser & query cache ---
+
+// Creating a Parser and compiling a Query are far more expensive than
+// running them, so each language gets one of each per thread. parseFile is
+// synchronous, so a shared Parser is never used re-entrantly.
+const parsers = new Map();
+const compiledQueries = new Map();
+
+function getParser(langName) {
+  let parser = parsers.get(langName);
+  if (!parser) {
+    parser = new Parser();
+    parser.setLanguage(GRAMMARS[langName]);
+    parsers.set(langName, parser);
+  }
+  return parser;
+}
+
+/**
+ * Compile a query once per language. A query that fails to compile fails
+ * the same way for every file, so the error is cached and rethrown too.
+ */
+function getQuery(langName, queryStr) {
+  const key = `${langName}\0${queryStr}`;
+  let entry = compiledQueries.get(key);
+  if (!entry) {
+    try {
+      entry = { query: new Parser.Query(GRAMMARS[langName], queryStr) };
+    } catch (e) {
+      entry = { error: e };
+    }
+    compiledQueries.set(key, entry);
+  }
+  if (entry.error) throw entry.error;
+  return entry.query;
+}
+
+const MAX_SYNTAX_DIAGNOSTICS = 20;
+
+/**
+ * Syntax errors in a parse tree: ERROR nodes (source tree-sitter could not
+ * fit to the grammar) and MISSING nodes (tokens it inserted to recover).
+ * Capped per file; a broken file tends to cascade.
+ */
+function collectSyntaxErrors(root) {
+  const errors = [];
+  function walk(n) {
+    if (errors.length >= MAX_SYNTAX_DIAGNOSTICS) return;
+    if (n.type === 'ERROR' || n.isMissing) {
+      const snippet = n.text.split('\n')[0].substring(0, 40);
+      errors.push({
+        type: 'syntax_error',
+        line: n.startPosition.row + 1,
+        column: n.startPosition.column + 1,
+        message: n.isMissing ? `missing "${n.type}"` : `unexpected ${JSON.stringify(snippet)}`,
+      });
+      return;
+    }
+    for (const child of n.children) {
+      if (child.hasError || child.isMissing) walk(child);
+    }
+  }
+  if (root.hasError) walk(root);
+  return errors;
+}
+
 /**
  * Parse a single source file and extract definitions + references.
- * Returns null if the language is unsupported.
+ * `langName` defaults to what the file's extension says (see
+ * detectLanguage()). Returns null if the language is unsupported.
+ * `diagnostics` lists syntax errors and failed queries — each means
+ * symbols may be missing.
  */
-function parseFile(filePath, source) {
-  const dotIdx = filePath.lastIndexOf('.');
-  if (dotIdx === -1) return null;
-  const ext = filePath.substring(dotIdx);
-  const lang = getLanguage(ext);
-  if (!lang) return null;
-  const langName = getLangName(ext);
-
-  const parser = new Parser();
-  parser.setLanguage(lang);
-  const tree = parser.parse(source);
+function parseFile(filePath, source, langName = detectLanguage(filePath)) {
+  if (!langName || !GRAMMARS[langName]) return null;
+
+  const tree = getParser(langName).parse(source);
 
   const definitions = [];
   const references = [];
+  const diagnostics = collectSyntaxErrors(tree.rootNode);
+  const queryFailed = (stage, e) => diagnostics.push({ type: 'query_error', message: `${stage} query failed: ${e.message}` });
 
   const defQueryStr = DEF_QUERIES[langName] || null;
   if (defQueryStr) {
     try {
-      const defQuery = new Parser.Query(lang, defQueryStr);
+      const moduleInfo = moduleExportNames(tree.rootNode, langName);
+      const defQuery = getQuery(langName, defQueryStr);
       for (const match of defQuery.matches(tree.rootNode)) {
         const nameCapture = match.captures.find(c => c.name === 'name');
         const defCapture = match.captures.find(c => c.name === 'definition');
         if (!nameCapture) continue;
         const defNode = defCapture || nameCapture;
 
+        const valueCapture = match.captures.find(c => c.name === 'value');
+        const isBinding = valueCapture || defNode.node.type === 'assignment';
+        const binding = isBinding
+          ? moduleBinding(defNode.node, nameCapture.node, valueCapture && valueCapture.node, langName)
+          : null;
+        if (isBinding && !binding) continue;
+
         // Compute where body content starts (for outline collapsing)
         const bodyNode = findBodyNode(defNode.node);
         let bodyStartLine = null;
@@ -438,38 +1893,125 @@ function parseFile(filePath, source) {
         const astProfile = buildAstProfile(profileNode);
         const paramNames = extractParamNames(defNode.node);
 
-        definitions.push({
-          name: nameCapture.node.text,
-          kind: nodeKind(defNode.node.type),
+        const name = binding ? binding.name : nameCapture.node.text;
+        const container = containerPath(defNode.node);
+
+        const def = {
+          name,
+          qualifiedName: container ? `${container}.${name}` : name,
+          container,
+          kind: binding ? binding.kind : nodeKind(defNode.node.type),
           file: filePath,
           lineStart: defNode.node.startPosition.row + 1,
           lineEnd: defNode.node.endPosition.row + 1,
-          signature: extractSignature(defNode.node, langName),
+          signature: binding ? bindingSignature(defNode.node) : extractSignature(defNode.node, langName),
           bodyStartLine,
           astProfile,
           paramNames,
-        });
+        };
+        if (binding && binding.moduleExport) def.moduleExport = true;
+        const structured = extractStructuredSignature(defNode.node, name, langName);
+        if (structured) {
+          Object.assign(def, structured);
+          def.complexity = computeComplexity(defNode.node, structured.params);
+        }
+        def.visibility = visibilityOf(defNode.node, nameCapture.node.text, langName, moduleInfo);
+        const doc = extractDoc(defNode.node, langName);
+        if (doc) {
+          def.doc = doc.doc;
+          def.docLine = doc.line;
+        }
+        definitions.push(def);
       }
     } catch (e) {
       // Query may fail on some grammar versions; degrade gracefully
+      queryFailed('definition', e);
     }
   }
 
   const refQueryStr = REF_QUERIES[langName] || REF_QUERIES.default;
   if (refQueryStr) {
     try {
-      const refQuery = new Parser.Query(lang, refQueryStr);
+      const refQuery = getQuery(langName, refQueryStr);
+      const seenAnnotationNodes = new Set();
       for (const match of refQuery.matches(tree.rootNode)) {
+        const annotationCapture = match.captures.find(c => c.name === 'annotation');
+        if (annotationCapture) {
+          for (const ref of collectAnnotationRefs(annotationCapture.node, seenAnnotationNodes)) {
+            references.push({ ...ref, file: filePath, refKind: 'annotation' });
+          }
+          continue;
+        }
         const refCapture = match.captures.find(c => c.name === 'ref');
         if (!refCapture) continue;
-        references.push({
+        const ref = {
           name: refCapture.node.text,
           file: filePath,
           line: refCapture.node.startPosition.row + 1,
-        });
+        };
+        const refKind = refKindOf(refCapture.node, langName);
+        if (refKind) ref.refKind = refKind;
+        references.push(ref);
+      }
+    } catch (e) {
+      // Degrade gracefully
+      queryFailed('reference', e);
+    }
+  }
+
+  const memberQueryStr = MEMBER_CALL_QUERIES[langName] || null;
+  if (memberQueryStr) {
+    try {
+      // Function node id (null = module level) -> variable name -> class name
+      const constructed = new Map();
+      const constructionQueryStr = CONSTRUCTION_QUERIES[langName] || null;
+      if (constructionQueryStr) {
+        const constructionQuery = getQuery(langName, constructionQueryStr);
+        for (const match of constructionQuery.matches(tree.rootNode)) {
+          const varCap = match.captures.find(c => c.name === 'var');
+          const classCap = match.captures.find(c => c.name === 'class');
+          if (!varCap || !classCap) continue;
+          const fn = enclosingFunction(varCap.node);
+          const scopeId = fn ? fn.id : null;
+          if (!constructed.has(scopeId)) constructed.set(scopeId, new Map());
+          constructed.get(scopeId).set(varCap.node.text, classCap.node.text);
+        }
+      }
+
+      const memberQuery = getQuery(langName, memberQueryStr);
+      for (const match of memberQuery.matches(tree.rootNode)) {
+        const memberCap = match.captures.find(c => c.name === 'member');
+        if (!memberCap) continue;
+        const receiverCap = match.captures.find(c => c.name === 'receiver');
+        const receiver = classifyReceiver(receiverCap ? receiverCap.node : null, memberCap.node.parent, langName, constructed);
+        if (!receiver) continue;
+        const ref = {
+          name: memberCap.node.text,
+          file: filePath,
+          line: memberCap.node.startPosition.row + 1,
+          receiver,
+        };
+        const refKind = refKindOf(memberCap.node, langName);
+        if (refKind) ref.refKind = refKind;
+        references.push(ref);
       }
     } catch (e) {
       // Degrade gracefully
+      queryFailed('member call', e);
+    }
+  }
+
+  const imports = [];
+  const importQueryStr = IMPORT_QUERIES[langName] || null;
+  if (importQueryStr) {
+    try {
+      const importQuery = getQuery(langName, importQueryStr);
+      for (const match of importQuery.matches(tree.rootNode)) {
+        imports.push(...collectImports(match, langName));
+      }
+    } catch (e) {
+      // Degrade gracefully
+      queryFailed('import', e);
     }
   }
 
@@ -494,7 +2036,93 @@ function parseFile(filePath, source) {
 
   // No tree.delete()/parser.delete() needed — native GC handles cleanup
 
-  return { file: filePath, definitions, references };
+  return { file: filePath, language: langName, definitions, references, imports, diagnostics };
+}
+
+// --- Python stubs ---
+
+/**
+ * Fold a `.pyi` stub's types into its module's definitions: a parameter or
+ * return type the implementation leaves out is taken from the stub's
+ * definition of the same name. Definitions only the stub has (overloads,
+ * names produced at runtime) are left out; the module records `stub`.
+ */
+function mergeStub(impl, stub) {
+  const typed = new Map();
+  for (const def of stub.definitions) {
+    const key = def.qualifiedName || def.name;
+    if (def.params && !typed.has(key)) typed.set(key, def);
+  }
+  const definitions = impl.definitions.map(def => {
+    const stubDef = typed.get(def.qualifiedName || def.name);
+    if (!stubDef || !def.params) return def;
+    const params = def.params.map(p => {
+      if (p.type) return p;
+      const match = stubDef.params.find(sp => sp.name === p.name);
+      return match && match.type ? { ...p, type: match.type } : p;
+    });
+    return { ...def, params, returnType: def.returnType || stubDef.returnType || null };
+  });
+  return { ...impl, definitions, stub: stub.file };
 }
 
-export { parseFile, buildAstProfile, extractParamNames, SUPPORTED_EXTENSIONS, LANG_MAP };
+/**
+ * Merge every `.pyi` stub in a batch of parse results into the `.py`
+ * module beside it. A stub whose module isn't in the batch stays a file of
+ * its own.
+ */
+function mergeStubs(results) {
+  const byFile = new Map(results.map(r => [r.file, r]));
+  const isPairedStub = (r) => r.file.endsWith('.pyi') && byFile.has(r.file.slice(0, -1));
+  return results
+    .filter(r => !isPairedStub(r))
+    .map(r => {
+      const stub = r.file.endsWith('.py') ? byFile.get(r.file + 'i') : null;
+      return stub ? mergeStub(r, stub) : r;
+    });
+}
+
+// --- Fingerprint ---
+
+const GRAMMAR_PACKAGES = [
+  'tree-sitter', 'tree-sitter-javascript', 'tree-sitter-typescript', 'tree-sitter-python',
+  ...optGrammars.map(([, mod]) => mod), 'tree-sitter-php',
+];
+
+/**
+ * What parse output depends on besides the source and BetterRank's own
+ * code: installed grammar versions and a hash of every query string.
+ * Returns { grammars: { package: version }, queries: hash }; grammars that
+ * aren't installed are left out.
+ */
+function parserFingerprint() {
+  const grammars = {};
+  for (const mod of GRAMMAR_PACKAGES) {
+    try {
+      grammars[mod] = require(`${mod}/package.json`).version;
+    } catch {
+      // not installed
+    }
+  }
+  const queries = createHash('sha1')
+    .update(JSON.stringify([DEF_QUERIES, REF_QUERIES, IMPORT_QUERIES, MEMBER_CALL_QUERIES, CONSTRUCTION_QUERIES]))
+    .digest('hex')
+    .slice(0, 16);
+  return { grammars, queries };
+}
+
+export {
+  parseFile,
+  detectLanguage,
+  isSupportedLanguage,
+  mergeStubs,
+  matchesSymbol,
+  bareName,
+  buildAstProfile,
+  extractParamNames,
+  parserFingerprint,
+  SUPPORTED_EXTENSIONS,
+  LANG_MAP,
+  SHEBANG_MAP,
+  IMPORT_SCOPED_LANGUAGES,
+};
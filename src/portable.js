@@ -0,0 +1,80 @@
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import { promisify } from 'util';
+import { gzip, gunzip } from 'zlib';
+import graphology from 'graphology';
+const { MultiDirectedGraph } = graphology;
+
+const gzipAsync = promisify(gzip);
+const gunzipAsync = promisify(gunzip);
+
+// A portable index holds nothing tied to one machine: paths are relative to
+// the project root (as node keys already are) and files are identified by
+// content hash instead of mtime. It is meant to be committed and loaded on
+// another checkout, where only files whose hashes differ get reparsed.
+const PORTABLE_FORMAT = 'betterrank-portable-index';
+const PORTABLE_VERSION = 1;
+
+/**
+ * Write a gzipped portable index.
+ *
+ * @param {string} path - Output file
+ * @param {object} index
+ * @param {Graph} index.graph
+ * @param {Map<string, string>} index.hashes - Relative path -> content hash
+ * @param {Map<string, Array>} index.diagnostics
+ * @param {object} index.fingerprint - See CodeIndexCache._fingerprint()
+ */
+async function savePortableIndex(path, { graph, hashes, diagnostics, fingerprint }) {
+  const nodes = [];
+  graph.forEachNode((key, attrs) => nodes.push([key, { ...attrs }]));
+  // Edge keys are random per process; the importing graph makes its own
+  const edges = [];
+  graph.forEachEdge((_edge, attrs, source, target) => edges.push([source, target, attrs]));
+
+  // Sorted so re-exporting an unchanged tree produces the same bytes
+  const files = Object.fromEntries([...hashes].sort(([a], [b]) => a.localeCompare(b)));
+  const data = {
+    format: PORTABLE_FORMAT,
+    version: PORTABLE_VERSION,
+    fingerprint,
+    files,
+    diagnostics: Object.fromEntries(diagnostics),
+    nodes,
+    edges,
+  };
+
+  await mkdir(dirname(path), { recursive: true });
+  const tmp = `${path}.${process.pid}.tmp`;
+  await writeFile(tmp, await gzipAsync(JSON.stringify(data)));
+  await rename(tmp, path);
+  return { files: nodes.filter(([, attrs]) => attrs.type === 'file').length, nodes: nodes.length, edges: edges.length };
+}
+
+/**
+ * Read a portable index. Returns null if the file doesn't exist or isn't
+ * one; { graph, hashes, diagnostics, fingerprint } otherwise.
+ */
+async function loadPortableIndex(path) {
+  let data;
+  try {
+    data = JSON.parse(await gunzipAsync(await readFile(path)));
+  } catch {
+    return null;
+  }
+  if (data.format !== PORTABLE_FORMAT || data.version !== PORTABLE_VERSION) return null;
+
+  const graph = new MultiDirectedGraph({ allowSelfLoops: false });
+  for (const [key, attrs] of data.nodes) graph.addNode(key, attrs);
+  for (const [source, target, attrs] of data.edges) {
+    if (graph.hasNode(source) && graph.hasNode(target)) graph.addEdge(source, target, attrs);
+  }
+  return {
+    graph,
+    hashes: new Map(Object.entries(data.files)),
+    diagnostics: new Map(Object.entries(data.diagnostics || {})),
+    fingerprint: data.fingerprint || null,
+  };
+}
+
+export { savePortableIndex, loadPortableIndex };
@@ -0,0 +1,861 @@
+import { readFile } from 'fs/promises';
+import { posix, dirname as nativeDirname, join as nativeJoin, resolve as nativeResolve, relative as nativeRelative, sep } from 'path';
+
+const { dirname, join, normalize, basename } = posix;
+
+// Extensions tried (in order) when a JS/TS specifier omits one. TypeScript
+// sources win over emitted JS so `./foo` lands on foo.ts when both exist.
+const JS_RESOLVE_EXTENSIONS = ['.ts', '.tsx', '.d.ts', '.js', '.jsx', '.mjs', '.cjs'];
+
+// TS projects written for ESM import `./foo.js` while the file on disk is
+// foo.ts — map the written extension to the source extensions it can stand for.
+const JS_EXTENSION_ALIASES = {
+  '.js': ['.ts', '.tsx', '.js', '.jsx'],
+  '.jsx': ['.tsx', '.jsx'],
+  '.mjs': ['.mts', '.mjs'],
+  '.cjs': ['.cts', '.cjs'],
+};
+
+function stemOf(filePath) {
+  const base = basename(filePath);
+  const dot = base.indexOf('.');
+  return dot === -1 ? base : base.substring(0, dot);
+}
+
+/**
+ * Build the lookup tables the resolver needs from the set of indexed files.
+ * Rebuilt whenever the file set changes (cheap: one pass over paths).
+ *
+ * @param {Iterable<string>} files - Relative file paths (forward slashes)
+ * @param {object} [config] - Alias config from loadResolverConfig()
+ * @returns {{files: Set<string>, byStem: Map<string, string[]>, dirFiles: Map<string, string[]>, byDirName: Map<string, string[]>, config: object}}
+ */
+function createResolverContext(files, config = EMPTY_RESOLVER_CONFIG) {
+  const fileSet = new Set(files);
+  const byStem = new Map();     // module tail name -> files (foo.py, foo/__init__.py, Foo.java)
+  const dirFiles = new Map();   // dir -> files directly inside it
+  const byDirName = new Map();  // last dir segment -> dirs
+
+  for (const f of fileSet) {
+    const dir = dirname(f);
+    const stem = stemOf(f);
+    const tail = stem === '__init__' ? basename(dir) : stem;
+    if (!byStem.has(tail)) byStem.set(tail, []);
+    byStem.get(tail).push(f);
+
+    if (!dirFiles.has(dir)) {
+      dirFiles.set(dir, []);
+      const dirName = basename(dir);
+      if (!byDirName.has(dirName)) byDirName.set(dirName, []);
+      byDirName.get(dirName).push(dir);
+    }
+    dirFiles.get(dir).push(f);
+  }
+
+  return { files: fileSet, byStem, dirFiles, byDirName, config };
+}
+
+// ── Alias configuration (tsconfig paths, package.json exports/imports) ────
+
+// Config files that affect import resolution or workspace packages. The
+// cache globs for these alongside source files and rebuilds when one of
+// them changes.
+const RESOLVER_CONFIG_PATTERNS = [
+  '**/tsconfig*.json', '**/jsconfig*.json', '**/package.json',
+  '**/pnpm-workspace.yaml', '**/pyproject.toml',
+];
+
+// Condition keys tried in package.json "exports"/"imports" maps. Source-ish
+// conditions first: we want the file in the repo, not the build output.
+const EXPORT_CONDITIONS = ['source', 'types', 'typescript', 'import', 'module', 'browser', 'node', 'require', 'default'];
+
+const EMPTY_RESOLVER_CONFIG = { tsconfigs: [], packages: [], workspaces: [] };
+
+function isResolverConfigFile(relPath) {
+  const base = basename(relPath);
+  return base === 'package.json' || base === 'pnpm-workspace.yaml' || base === 'pyproject.toml' ||
+    (base.endsWith('.json') && (base.startsWith('tsconfig') || base.startsWith('jsconfig')));
+}
+
+/** Parse JSON with comments and trailing commas (tsconfig dialect). */
+function parseJsonc(text) {
+  let out = '';
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      out += ch;
+      if (ch === '\\') { out += text[++i] || ''; continue; }
+      if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') { inString = true; out += ch; continue; }
+    if (ch === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      out += '\n';
+      continue;
+    }
+    if (ch === '/' && text[i + 1] === '*') {
+      i += 2;
+      while (i < text.length && !(text[i] === '*' && text[i + 1] === '/')) i++;
+      i++;
+      continue;
+    }
+    out += ch;
+  }
+  return JSON.parse(out.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+function toRootRelative(projectRoot, absPath) {
+  const rel = nativeRelative(projectRoot, absPath).split(sep).join('/');
+  return rel === '' ? '.' : rel;
+}
+
+/**
+ * Locate the file an `extends` entry points at: a relative path (with or
+ * without .json), or a package specifier looked up in node_modules.
+ */
+function locateExtends(spec, configDir, projectRoot) {
+  const candidates = [];
+  if (spec.startsWith('.') || spec.startsWith('/')) {
+    const abs = nativeResolve(configDir, spec);
+    candidates.push(abs, abs + '.json', nativeJoin(abs, 'tsconfig.json'));
+  } else {
+    let dir = configDir;
+    for (;;) {
+      const abs = nativeJoin(dir, 'node_modules', spec);
+      candidates.push(abs, abs + '.json', nativeJoin(abs, 'tsconfig.json'));
+      if (dir === projectRoot || nativeDirname(dir) === dir) break;
+      dir = nativeDirname(dir);
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Load a tsconfig/jsconfig, following `extends` chains. Returns the
+ * effective { baseUrl, paths, pathsOwnerDir } with absolute directories, or null.
+ */
+async function loadTsconfigChain(absPath, projectRoot, read, seen = new Set()) {
+  if (seen.has(absPath)) return null;
+  seen.add(absPath);
+
+  let raw;
+  try {
+    raw = parseJsonc(await read(absPath));
+  } catch {
+    return null;
+  }
+  const dir = nativeDirname(absPath);
+
+  let result = { baseUrl: null, paths: null, pathsOwnerDir: null };
+  const parents = raw.extends ? (Array.isArray(raw.extends) ? raw.extends : [raw.extends]) : [];
+  for (const spec of parents) {
+    for (const candidate of locateExtends(spec, dir, projectRoot)) {
+      const base = await loadTsconfigChain(candidate, projectRoot, read, seen);
+      if (base) {
+        result = {
+          baseUrl: base.baseUrl || result.baseUrl,
+          paths: base.paths || result.paths,
+          pathsOwnerDir: base.paths ? base.pathsOwnerDir : result.pathsOwnerDir,
+        };
+        break;
+      }
+    }
+  }
+
+  const opts = raw.compilerOptions || {};
+  if (typeof opts.baseUrl === 'string') result.baseUrl = nativeResolve(dir, opts.baseUrl);
+  if (opts.paths && typeof opts.paths === 'object') {
+    result.paths = opts.paths;
+    result.pathsOwnerDir = dir;
+  }
+  return result;
+}
+
+// ── Workspace packages ────────────────────────────────────────────────────
+
+/** `name` from a pyproject.toml's [project] or [tool.poetry] table. */
+function pyprojectName(text) {
+  let table = null;
+  for (const line of text.split(/\r?\n/)) {
+    const header = line.match(/^\s*\[([^\]]+)\]\s*(#.*)?$/);
+    if (header) {
+      table = header[1].trim();
+      continue;
+    }
+    if (table !== 'project' && table !== 'tool.poetry') continue;
+    const name = line.match(/^\s*name\s*=\s*["']([^"']+)["']/);
+    if (name) return name[1];
+  }
+  return null;
+}
+
+/** The `packages:` list of a pnpm-workspace.yaml (block or flow style). */
+function pnpmWorkspaceGlobs(text) {
+  const globs = [];
+  const unquote = (v) => v.trim().replace(/^["']|["']$/g, '');
+  let inPackages = false;
+  for (const line of text.split(/\r?\n/)) {
+    const key = line.match(/^packages\s*:\s*(.*)$/);
+    if (key) {
+      const flow = key[1].match(/^\[(.*)\]/);
+      if (flow) globs.push(...flow[1].split(',').map(unquote).filter(Boolean));
+      inPackages = !flow;
+      continue;
+    }
+    if (!inPackages) continue;
+    const item = line.match(/^\s*-\s*([^#]+)/);
+    if (item) globs.push(unquote(item[1]));
+    else if (/^\S/.test(line)) inPackages = false;
+  }
+  return globs;
+}
+
+function workspaceGlobRegex(glob) {
+  const body = glob.replace(/^\.\//, '').replace(/\/+$/, '').split('/')
+    .map(seg => (seg === '**' ? '.*' : seg.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]')))
+    .join('/');
+  return new RegExp(`^${body}$`);
+}
+
+/** Whether `dir` (relative to the declaring directory) is a workspace member. */
+function matchesWorkspaceGlobs(dir, globs) {
+  let member = false;
+  for (const glob of globs) {
+    const negated = glob.startsWith('!');
+    if (workspaceGlobRegex(negated ? glob.substring(1) : glob).test(dir)) member = !negated;
+  }
+  return member;
+}
+
+/**
+ * Workspace packages: named package.json directories matched by a
+ * `workspaces` field or pnpm-workspace.yaml, and Python projects with
+ * their own pyproject.toml below the root. Deepest first.
+ */
+function findWorkspaces(packages, declarations, pyprojects) {
+  const workspaces = [];
+  for (const pkg of packages) {
+    if (!pkg.name) continue;
+    const member = declarations.some(d => pkg.dir !== d.dir && inScope(pkg.dir, d.dir)
+      && matchesWorkspaceGlobs(d.dir === '.' ? pkg.dir : pkg.dir.substring(d.dir.length + 1), d.globs));
+    if (member) workspaces.push({ name: pkg.name, dir: pkg.dir, language: 'javascript' });
+  }
+  for (const py of pyprojects) {
+    if (py.dir === '.') continue;
+    // PEP 503-ish normalization: "my-lib" is imported as my_lib
+    workspaces.push({ name: py.name, dir: py.dir, language: 'python', importName: py.name.toLowerCase().replace(/[-.]/g, '_') });
+  }
+  const depth = (d) => d.split('/').length;
+  return workspaces.sort((a, b) => depth(b.dir) - depth(a.dir) || a.dir.localeCompare(b.dir));
+}
+
+/**
+ * Name of the workspace package a file belongs to, or null.
+ *
+ * @param {string} file - Root-relative path
+ * @param {Array} workspaces - `workspaces` from loadResolverConfig()
+ */
+function packageOf(file, workspaces = []) {
+  const ws = workspaces.find(w => inScope(file, w.dir));
+  return ws ? ws.name : null;
+}
+
+/**
+ * Read every tsconfig/jsconfig and package.json that affects resolution,
+ * plus the workspace declarations and pyproject.toml files that define
+ * workspace packages.
+ *
+ * @param {string} projectRoot - Absolute project root
+ * @param {string[]} configFiles - Root-relative paths of config files
+ * @param {Function} [read] - (absPath) -> text; reads from disk by default
+ * @returns {Promise<{tsconfigs: Array, packages: Array, workspaces: Array}>}
+ */
+async function loadResolverConfig(projectRoot, configFiles, read = (abs) => readFile(abs, 'utf-8')) {
+  const tsconfigs = [];
+  const packages = [];
+  const declarations = []; // { dir, globs } from "workspaces" / pnpm-workspace.yaml
+  const pyprojects = [];
+
+  for (const rel of [...configFiles].sort()) {
+    const abs = nativeJoin(projectRoot, rel);
+    const dir = dirname(rel);
+
+    if (basename(rel) === 'package.json') {
+      try {
+        const pkg = JSON.parse(await read(abs));
+        packages.push({
+          dir,
+          name: typeof pkg.name === 'string' ? pkg.name : null,
+          exports: pkg.exports ?? null,
+          imports: pkg.imports ?? null,
+          entry: pkg.source || pkg.types || pkg.typings || pkg.module || pkg.main || null,
+        });
+        const globs = Array.isArray(pkg.workspaces) ? pkg.workspaces : pkg.workspaces?.packages;
+        if (Array.isArray(globs)) declarations.push({ dir, globs: globs.filter(g => typeof g === 'string') });
+      } catch {
+        // unreadable package.json — ignore
+      }
+      continue;
+    }
+
+    if (basename(rel) === 'pnpm-workspace.yaml' || basename(rel) === 'pyproject.toml') {
+      let text;
+      try {
+        text = await read(abs);
+      } catch {
+        continue;
+      }
+      if (basename(rel) === 'pnpm-workspace.yaml') {
+        declarations.push({ dir, globs: pnpmWorkspaceGlobs(text) });
+      } else {
+        const name = pyprojectName(text);
+        if (name) pyprojects.push({ dir, name });
+      }
+      continue;
+    }
+
+    const chain = await loadTsconfigChain(abs, projectRoot, read);
+    if (!chain || (!chain.baseUrl && !chain.paths)) continue;
+    const pathsDir = chain.baseUrl || chain.pathsOwnerDir;
+    tsconfigs.push({
+      dir,
+      // tsconfig.json is the canonical config for its directory; variants
+      // (tsconfig.app.json, ...) only add paths it doesn't define
+      primary: /^[tj]sconfig\.json$/.test(basename(rel)),
+      baseUrl: chain.baseUrl ? toRootRelative(projectRoot, chain.baseUrl) : null,
+      pathsDir: chain.paths ? toRootRelative(projectRoot, pathsDir) : null,
+      paths: chain.paths || null,
+    });
+  }
+
+  // Deepest scope first so lookups can stop at the first match
+  const depth = (d) => (d === '.' ? 0 : d.split('/').length);
+  tsconfigs.sort((a, b) => depth(b.dir) - depth(a.dir) || Number(b.primary) - Number(a.primary));
+  packages.sort((a, b) => depth(b.dir) - depth(a.dir));
+  return { tsconfigs, packages, workspaces: findWorkspaces(packages, declarations, pyprojects) };
+}
+
+function inScope(file, dir) {
+  return dir === '.' || file.startsWith(dir + '/');
+}
+
+/**
+ * Match a specifier against a tsconfig-style pattern map
+ * ({ "@/*": ["src/*"] }). Exact keys win, then the longest `*` prefix.
+ * Returns the substituted targets, or null.
+ */
+function matchPatternMap(map, spec) {
+  if (Object.prototype.hasOwnProperty.call(map, spec) && !spec.includes('*')) {
+    return { targets: [].concat(map[spec]), star: '' };
+  }
+  let best = null;
+  for (const key of Object.keys(map)) {
+    const star = key.indexOf('*');
+    if (star === -1) continue;
+    const prefix = key.substring(0, star);
+    const suffix = key.substring(star + 1);
+    if (!spec.startsWith(prefix) || !spec.endsWith(suffix) || spec.length < prefix.length + suffix.length) continue;
+    if (best && prefix.length <= best.prefix.length) continue;
+    best = { prefix, targets: [].concat(map[key]), star: spec.substring(prefix.length, spec.length - suffix.length) };
+  }
+  return best;
+}
+
+/** Pick a target from an exports/imports value, walking condition objects. */
+function pickExportTarget(value) {
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) {
+    for (const v of value) {
+      const t = pickExportTarget(v);
+      if (t) return t;
+    }
+    return null;
+  }
+  if (value && typeof value === 'object') {
+    for (const cond of EXPORT_CONDITIONS) {
+      if (cond in value) {
+        const t = pickExportTarget(value[cond]);
+        if (t) return t;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve a subpath (".", "./utils") through a package.json "exports" or
+ * "imports" field. Returns a package-relative target like "./src/utils.ts".
+ */
+function resolveExportsField(field, subpath) {
+  if (field == null) return null;
+  const isSubpathMap = typeof field === 'object' && !Array.isArray(field) &&
+    Object.keys(field).some(k => k.startsWith('.') || k.startsWith('#'));
+  if (!isSubpathMap) return subpath === '.' ? pickExportTarget(field) : null;
+
+  const hit = matchPatternMap(field, subpath);
+  if (!hit) return null;
+  const target = pickExportTarget(hit.targets.length === 1 ? hit.targets[0] : hit.targets);
+  return target ? target.replace(/\*/g, hit.star) : null;
+}
+
+/**
+ * Resolve a package-relative target to an indexed file. Build output
+ * (dist/, build/, lib/, out/) usually isn't indexed, so also try the same
+ * path under src/ with the build extension swapped for a source one.
+ */
+function resolvePackageTarget(pkgDir, target, ctx) {
+  const base = normalize(join(pkgDir === '.' ? '' : pkgDir, target));
+  const direct = resolveJsPath(base, ctx);
+  if (direct) return direct;
+  const inner = normalize(target).replace(/^\.\//, '');
+  const swapped = inner.replace(/^(dist|build|lib|out|esm|cjs)\//, 'src/').replace(/\.d\.ts$/, '').replace(/\.(c|m)?js$/, '');
+  if (swapped !== inner) {
+    return resolveJsPath(normalize(join(pkgDir === '.' ? '' : pkgDir, swapped)), ctx);
+  }
+  return null;
+}
+
+/**
+ * Resolve a bare or `#` specifier through the alias config: package.json
+ * "imports", tsconfig "paths" and "baseUrl", then workspace packages by
+ * name via "exports" / entry fields.
+ */
+function resolveJsAlias(source, fromFile, ctx) {
+  const { tsconfigs, packages } = ctx.config;
+
+  if (source.startsWith('#')) {
+    const pkg = packages.find(p => p.imports && inScope(fromFile, p.dir));
+    if (!pkg) return null;
+    const target = resolveExportsField(pkg.imports, source);
+    if (!target) return null;
+    if (!target.startsWith('.')) return resolveJsAlias(target, fromFile, ctx);
+    return resolvePackageTarget(pkg.dir, target, ctx);
+  }
+
+  // Every config in the nearest scope directory (tsconfig.json first)
+  const scopeDir = (tsconfigs.find(t => inScope(fromFile, t.dir)) || {}).dir;
+  const scoped = scopeDir === undefined ? [] : tsconfigs.filter(t => t.dir === scopeDir);
+  for (const tc of scoped) {
+    if (!tc.paths) continue;
+    const hit = matchPatternMap(tc.paths, source);
+    if (!hit) continue;
+    for (const t of hit.targets) {
+      const sub = t.replace('*', hit.star);
+      const resolved = resolveJsPath(normalize(join(tc.pathsDir === '.' ? '' : tc.pathsDir, sub)), ctx);
+      if (resolved) return resolved;
+    }
+  }
+  for (const tc of scoped) {
+    if (!tc.baseUrl) continue;
+    const resolved = resolveJsPath(normalize(join(tc.baseUrl === '.' ? '' : tc.baseUrl, source)), ctx);
+    if (resolved) return resolved;
+  }
+
+  // Packages inside the project, by name (workspaces, self-references)
+  const parts = source.split('/');
+  const nameLen = source.startsWith('@') ? 2 : 1;
+  const pkgName = parts.slice(0, nameLen).join('/');
+  const subpath = parts.length > nameLen ? './' + parts.slice(nameLen).join('/') : '.';
+  const pkg = packages.find(p => p.name === pkgName);
+  if (!pkg) return null;
+  if (pkg.exports != null) {
+    const target = resolveExportsField(pkg.exports, subpath);
+    return target ? resolvePackageTarget(pkg.dir, target, ctx) : null;
+  }
+  if (subpath === '.') {
+    if (pkg.entry) {
+      const hit = resolvePackageTarget(pkg.dir, pkg.entry, ctx);
+      if (hit) return hit;
+    }
+    return resolveJsPath(join(pkg.dir === '.' ? '' : pkg.dir, 'src', 'index'), ctx) ||
+      resolveJsPath(join(pkg.dir === '.' ? '' : pkg.dir, 'index'), ctx);
+  }
+  return resolvePackageTarget(pkg.dir, subpath, ctx);
+}
+
+/**
+ * Whether a specifier can only point inside the project (relative paths,
+ * Python relative imports, Rust crate/self/super paths). Unresolved
+ * non-local specifiers are treated as external packages.
+ */
+function isLocalSpecifier(source, langName) {
+  switch (langName) {
+    case 'javascript':
+    case 'typescript':
+    case 'tsx':
+      return source.startsWith('.') || source.startsWith('/');
+    case 'python':
+      return source.startsWith('.');
+    case 'rust':
+      return /^(crate|self|super)(::|$)/.test(source);
+    case 'ruby':
+      return source.startsWith('.');
+    default:
+      return false;
+  }
+}
+
+/** Among several candidate files, prefer the one closest to the importer. */
+function pickClosest(candidates, fromFile) {
+  if (candidates.length <= 1) return candidates;
+  const fromParts = fromFile.split('/');
+  const shared = (f) => {
+    const parts = f.split('/');
+    let n = 0;
+    while (n < parts.length && n < fromParts.length && parts[n] === fromParts[n]) n++;
+    return n;
+  };
+  const sorted = [...candidates].sort((a, b) => shared(b) - shared(a) || a.length - b.length || a.localeCompare(b));
+  return [sorted[0]];
+}
+
+/** Files whose path ends with one of `suffixes`, found via the stem index. */
+function findBySuffix(ctx, tail, suffixes) {
+  const out = [];
+  for (const f of ctx.byStem.get(tail) || []) {
+    for (const s of suffixes) {
+      if (f === s || f.endsWith('/' + s)) { out.push(f); break; }
+    }
+  }
+  return out;
+}
+
+// ── JavaScript / TypeScript ───────────────────────────────────────────────
+
+/**
+ * Resolve a path-like JS specifier (already joined with its base dir) to an
+ * indexed file: exact match, extension substitution, appended extensions,
+ * then directory index files.
+ */
+function resolveJsPath(base, ctx) {
+  if (ctx.files.has(base)) return base;
+
+  const ext = posix.extname(base);
+  if (JS_EXTENSION_ALIASES[ext]) {
+    const stem = base.substring(0, base.length - ext.length);
+    for (const alt of JS_EXTENSION_ALIASES[ext]) {
+      if (ctx.files.has(stem + alt)) return stem + alt;
+    }
+  }
+
+  for (const e of JS_RESOLVE_EXTENSIONS) {
+    if (ctx.files.has(base + e)) return base + e;
+  }
+  for (const e of JS_RESOLVE_EXTENSIONS) {
+    const idx = join(base, 'index' + e);
+    if (ctx.files.has(idx)) return idx;
+  }
+  return null;
+}
+
+function resolveJs(imp, fromFile, ctx) {
+  const { source } = imp;
+  if (source.startsWith('.')) {
+    const hit = resolveJsPath(normalize(join(dirname(fromFile), source)), ctx);
+    return hit ? [hit] : [];
+  }
+  if (source.startsWith('/')) {
+    const hit = resolveJsPath(normalize(source.substring(1)), ctx);
+    return hit ? [hit] : [];
+  }
+  const hit = resolveJsAlias(source, fromFile, ctx);
+  return hit ? [hit] : [];
+}
+
+// ── Python ────────────────────────────────────────────────────────────────
+
+// A stub merged into its module has no file node of its own; one without a
+// module (types for a compiled extension) stands in for it.
+const PY_MODULE_EXTENSIONS = ['.py', '.pyi'];
+
+function pyModuleAt(modPath, ctx) {
+  const prefix = modPath === '.' || modPath === '' ? '' : modPath + '/';
+  for (const ext of PY_MODULE_EXTENSIONS) {
+    if (prefix && ctx.files.has(modPath + ext)) return modPath + ext;
+  }
+  for (const ext of PY_MODULE_EXTENSIONS) {
+    if (ctx.files.has(prefix + '__init__' + ext)) return prefix + '__init__' + ext;
+  }
+  return null;
+}
+
+function pyModuleBySuffix(dotted, fromFile, ctx) {
+  const rel = dotted.replace(/\./g, '/');
+  const exact = pyModuleAt(rel, ctx);
+  if (exact) return exact;
+  const tail = rel.split('/').pop();
+  const hits = findBySuffix(ctx, tail, PY_MODULE_EXTENSIONS.flatMap(ext => [rel + ext, `${rel}/__init__${ext}`]));
+  return pickClosest(hits, fromFile)[0] || null;
+}
+
+/**
+ * A module of a Python workspace package, by the package's import name
+ * (`my_lib.utils` → libs/my-lib/src/my_lib/utils.py).
+ */
+function pyWorkspaceModule(dotted, ctx) {
+  const top = dotted.split('.')[0];
+  for (const ws of ctx.config.workspaces || []) {
+    if (ws.language !== 'python' || ws.importName !== top) continue;
+    for (const base of [join(ws.dir, 'src'), ws.dir]) {
+      const mod = pyModuleAt(join(base, dotted.replace(/\./g, '/')), ctx);
+      if (mod) return mod;
+    }
+  }
+  return null;
+}
+
+function resolvePython(imp, fromFile, ctx) {
+  const { source, bindings } = imp;
+  const out = [];
+
+  if (source.startsWith('.')) {
+    const dots = source.match(/^\.+/)[0].length;
+    let base = dirname(fromFile);
+    for (let i = 1; i < dots; i++) base = dirname(base);
+    const rest = source.substring(dots);
+    const modPath = rest ? join(base, rest.replace(/\./g, '/')) : base;
+    const mod = pyModuleAt(modPath, ctx);
+    // `from . import api` — each name may itself be a submodule
+    for (const b of bindings) {
+      const sub = pyModuleAt(join(modPath, b.imported), ctx);
+      if (sub) out.push(sub);
+    }
+    if (mod && (out.length < bindings.length || bindings.length === 0)) out.unshift(mod);
+    return out;
+  }
+
+  const mod = pyWorkspaceModule(source, ctx) || pyModuleBySuffix(source, fromFile, ctx);
+  if (mod) {
+    const modDir = basename(mod).startsWith('__init__.') ? dirname(mod) : mod.replace(/\.pyi?$/, '');
+    for (const b of bindings) {
+      if (b.imported === '*') continue;
+      const sub = pyModuleAt(join(modDir, b.imported), ctx);
+      if (sub) out.push(sub);
+    }
+    if (out.length < bindings.length || bindings.length === 0) out.unshift(mod);
+  }
+  return out;
+}
+
+// ── Rust ──────────────────────────────────────────────────────────────────
+
+/** Directory holding a Rust file's child modules (foo.rs → foo/, mod.rs → ./). */
+function rustModuleDir(file) {
+  const base = basename(file);
+  if (base === 'mod.rs' || base === 'lib.rs' || base === 'main.rs') return dirname(file);
+  return file.slice(0, -3);
+}
+
+function rustCrateRoot(file, ctx) {
+  let dir = dirname(file);
+  for (;;) {
+    if (ctx.files.has(join(dir, 'lib.rs')) || ctx.files.has(join(dir, 'main.rs'))) return dir;
+    const parent = dirname(dir);
+    if (parent === dir) return dirname(file);
+    dir = parent;
+  }
+}
+
+function rustModuleFile(dir, ctx) {
+  for (const f of [dir + '.rs', join(dir, 'mod.rs'), join(dir, 'lib.rs'), join(dir, 'main.rs')]) {
+    if (ctx.files.has(f)) return f;
+  }
+  return null;
+}
+
+function resolveRust(imp, fromFile, ctx) {
+  const segments = imp.source.split('::').filter(s => s && s !== '*');
+  let dir;
+  if (segments[0] === 'crate') {
+    dir = rustCrateRoot(fromFile, ctx);
+    segments.shift();
+  } else {
+    dir = rustModuleDir(fromFile);
+    while (segments[0] === 'self' || segments[0] === 'super') {
+      if (segments.shift() === 'super') dir = dirname(dir);
+    }
+  }
+
+  let found = null;
+  for (const seg of segments) {
+    const next = join(dir, seg);
+    const file = rustModuleFile(next, ctx);
+    if (!file) break;
+    found = file;
+    dir = next;
+  }
+  if (!found && isLocalSpecifier(imp.source, 'rust')) found = rustModuleFile(dir, ctx);
+  return found && found !== fromFile ? [found] : [];
+}
+
+// ── Go ────────────────────────────────────────────────────────────────────
+
+function resolveGo(imp, fromFile, ctx) {
+  const { source } = imp;
+  const last = source.split('/').pop();
+  let best = null;
+  for (const dir of ctx.byDirName.get(last) || []) {
+    if (source === dir || source.endsWith('/' + dir)) {
+      if (!best || dir.length > best.length) best = dir;
+    }
+  }
+  if (!best) return [];
+  return ctx.dirFiles.get(best)
+    .filter(f => f.endsWith('.go') && !f.endsWith('_test.go') && f !== fromFile)
+    .sort();
+}
+
+// ── Java ──────────────────────────────────────────────────────────────────
+
+function resolveJava(imp, fromFile, ctx) {
+  const parts = imp.source.split('.');
+  if (parts[parts.length - 1] === '*') {
+    const dir = parts.slice(0, -1).join('/');
+    const out = [];
+    for (const d of ctx.byDirName.get(parts[parts.length - 2]) || []) {
+      if (d === dir || d.endsWith('/' + dir)) {
+        out.push(...ctx.dirFiles.get(d).filter(f => f.endsWith('.java') && f !== fromFile));
+      }
+    }
+    return out.sort();
+  }
+  // Static imports name a member: try the full path, then drop segments
+  for (let n = parts.length; n >= 2; n--) {
+    const rel = parts.slice(0, n).join('/') + '.java';
+    const hits = findBySuffix(ctx, parts[n - 1], [rel]);
+    if (hits.length > 0) return pickClosest(hits, fromFile);
+  }
+  return [];
+}
+
+// ── Ruby ──────────────────────────────────────────────────────────────────
+
+function resolveRuby(imp, fromFile, ctx) {
+  const { source } = imp;
+  const withExt = source.endsWith('.rb') ? source : `${source}.rb`;
+  if (source.startsWith('.')) {
+    const hit = normalize(join(dirname(fromFile), withExt));
+    return ctx.files.has(hit) ? [hit] : [];
+  }
+  // `require 'foo/bar'` searches the load path (lib/, app/, ...)
+  return pickClosest(findBySuffix(ctx, stemOf(withExt), [withExt]), fromFile).slice(0, 1);
+}
+
+// ── PHP ───────────────────────────────────────────────────────────────────
+
+function resolvePhp(imp, fromFile, ctx) {
+  const { source } = imp;
+
+  // include/require of a path
+  if (source.endsWith('.php') || source.includes('/')) {
+    const rel = normalize(join(dirname(fromFile), source));
+    if (ctx.files.has(rel)) return [rel];
+    const fromRoot = normalize(source.replace(/^\/+/, ''));
+    if (ctx.files.has(fromRoot)) return [fromRoot];
+    const tail = fromRoot.replace(/^(\.\.\/)+/, '');
+    return pickClosest(findBySuffix(ctx, stemOf(tail), [tail]), fromFile).slice(0, 1);
+  }
+
+  // `use App\Models\User` — PSR-4 maps a namespace prefix to a directory
+  // (often lower-cased: App\ -> app/), so match trailing segments,
+  // longest first, ignoring case.
+  const parts = source.split('\\').filter(Boolean);
+  const candidates = ctx.byStem.get(parts[parts.length - 1]) || [];
+  for (let n = parts.length; n >= 1; n--) {
+    const rel = (parts.slice(parts.length - n).join('/') + '.php').toLowerCase();
+    const hits = candidates.filter(f => {
+      const lower = f.toLowerCase();
+      return lower === rel || lower.endsWith('/' + rel);
+    });
+    // A bare class-name match is only trusted when it is unique
+    if (hits.length > 0 && (n > 1 || hits.length === 1)) return pickClosest(hits, fromFile).slice(0, 1);
+  }
+  return [];
+}
+
+// ── C / C++ ───────────────────────────────────────────────────────────────
+
+function resolveInclude(imp, fromFile, ctx) {
+  const { source } = imp;
+  if (!imp.system) {
+    const rel = normalize(join(dirname(fromFile), source));
+    if (ctx.files.has(rel)) return [rel];
+  }
+  const tail = normalize(source).replace(/^(\.\.\/)+/, '');
+  if (ctx.files.has(tail)) return [tail];
+  // Project include directories (include/, src/, ...) aren't configured
+  // anywhere we can read, so fall back to the closest suffix match.
+  return pickClosest(findBySuffix(ctx, stemOf(tail), [tail]), fromFile).slice(0, 1);
+}
+
+// ── C# ────────────────────────────────────────────────────────────────────
+
+const CSHARP_FRAMEWORK_NAMESPACES = new Set(['System', 'Microsoft', 'Windows']);
+
+function resolveCSharp(imp, fromFile, ctx) {
+  const parts = imp.source.split('.');
+  if (CSHARP_FRAMEWORK_NAMESPACES.has(parts[0])) return [];
+  const last = parts[parts.length - 1];
+
+  // Namespaces conventionally mirror folders: App.Models -> .../Models/
+  for (let n = parts.length; n >= 1; n--) {
+    const suffix = parts.slice(parts.length - n).join('/');
+    const dirs = (ctx.byDirName.get(last) || []).filter(d => d === suffix || d.endsWith('/' + suffix));
+    if (dirs.length === 0) continue;
+    return dirs.flatMap(d => ctx.dirFiles.get(d).filter(f => f.endsWith('.cs') && f !== fromFile)).sort();
+  }
+
+  // `using static App.Util;` / `using U = App.Models.User;` name a type
+  const typeFile = parts.length > 1 ? `${parts[parts.length - 2]}/${last}.cs` : `${last}.cs`;
+  const hits = findBySuffix(ctx, last, [typeFile, `${last}.cs`]);
+  return pickClosest(hits, fromFile).slice(0, 1);
+}
+
+const RESOLVERS = {
+  javascript: resolveJs,
+  typescript: resolveJs,
+  tsx: resolveJs,
+  python: resolvePython,
+  rust: resolveRust,
+  go: resolveGo,
+  java: resolveJava,
+  ruby: resolveRuby,
+  php: resolvePhp,
+  c: resolveInclude,
+  cpp: resolveInclude,
+  c_sharp: resolveCSharp,
+};
+
+/**
+ * Resolve one import record (see parser.js collectImports) to the indexed
+ * files it refers to. Returns an array — Python `from pkg import a, b` and
+ * Go package imports can land on several files. Empty when the specifier
+ * points outside the project or at a file that isn't indexed.
+ *
+ * @param {{source: string, bindings: Array}} imp
+ * @param {string} fromFile - Importing file (relative path)
+ * @param {string} langName
+ * @param {ReturnType<typeof createResolverContext>} ctx
+ * @returns {string[]}
+ */
+function resolveImport(imp, fromFile, langName, ctx) {
+  const resolver = RESOLVERS[langName];
+  if (!resolver) return [];
+  const hits = resolver(imp, fromFile, ctx);
+  return [...new Set(hits)].filter(f => f !== fromFile);
+}
+
+export {
+  createResolverContext,
+  resolveImport,
+  isLocalSpecifier,
+  loadResolverConfig,
+  isResolverConfigFile,
+  packageOf,
+  parseJsonc,
+  RESOLVER_CONFIG_PATTERNS,
+  EMPTY_RESOLVER_CONFIG,
+  JS_RESOLVE_EXTENSIONS,
+};
@@ -142,6 +142,8 @@ const routes = {
     const format = p.get('format', 'text');
     const result = await currentIndex.map({
       focusFiles,
+      exported: p.get('exported', '') === 'true',
+      package: p.get('package', undefined),
       offset: p.getInt('offset', undefined),
       limit: p.getInt('limit', 50),
       structured: format === 'structured',
@@ -152,11 +154,19 @@ const routes = {
   'GET /api/search': async (req, res) => {
     if (!requireIndex(res)) return;
     const p = params(req.url);
+    const exported = p.get('exported', '') === 'true';
     const query = p.get('q', '');
-    if (!query) return error(res, 'q is required');
+    const param = p.get('param', undefined);
+    const returns = p.get('returns', undefined);
+    if (!query && !param && !returns) return error(res, 'q, param or returns is required');
     const results = await currentIndex.search({
       query,
       kind: p.get('kind', undefined),
+      exported,
+      docs: p.get('docs', '') === 'true',
+      param,
+      returns,
+      package: p.get('package', undefined),
       offset: p.getInt('offset', undefined),
       limit: p.getInt('limit', 20),
     });
@@ -164,6 +174,11 @@ const routes = {
     const total = await currentIndex.search({
       query,
       kind: p.get('kind', undefined),
+      exported,
+      docs: p.get('docs', '') === 'true',
+      param,
+      returns,
+      package: p.get('package', undefined),
       count: true,
     });
     json(res, { results, total: total.total });
@@ -172,15 +187,18 @@ const routes = {
   'GET /api/symbols': async (req, res) => {
     if (!requireIndex(res)) return;
     const p = params(req.url);
+    const exported = p.get('exported', '') === 'true';
     const results = await currentIndex.symbols({
       file: p.get('file', undefined),
       kind: p.get('kind', undefined),
+      exported,
       offset: p.getInt('offset', undefined),
       limit: p.getInt('limit', 20),
     });
     const total = await currentIndex.symbols({
       file: p.get('file', undefined),
       kind: p.get('kind', undefined),
+      exported,
       count: true,
     });
     json(res, { results, total: total.total });
@@ -224,12 +242,14 @@ const routes = {
     const p = params(req.url);
     const file = p.get('file', '');
     if (!file) return error(res, 'file is required');
+    const pkg = p.get('package', undefined);
     const results = await currentIndex.dependencies({
       file,
+      package: pkg,
       offset: p.getInt('offset', undefined),
       limit: p.getInt('limit', 20),
     });
-    const total = await currentIndex.dependencies({ file, count: true });
+    const total = await currentIndex.dependencies({ file, package: pkg, count: true });
     json(res, { results, total: total.total });
   },
 
@@ -260,21 +280,73 @@ const routes = {
   'GET /api/orphans': async (req, res) => {
     if (!requireIndex(res)) return;
     const p = params(req.url);
+    const exported = p.get('exported', '') === 'true';
     const level = p.get('level', 'file');
     const results = await currentIndex.orphans({
       level,
       kind: p.get('kind', undefined),
+      exported,
+      package: p.get('package', undefined),
       offset: p.getInt('offset', undefined),
       limit: p.getInt('limit', 50),
     });
     const total = await currentIndex.orphans({
       level,
       kind: p.get('kind', undefined),
+      exported,
+      package: p.get('package', undefined),
       count: true,
     });
     json(res, { results, total: total.total });
   },
 
+  'GET /api/complexity': async (req, res) => {
+    if (!requireIndex(res)) return;
+    const p = params(req.url);
+    const results = await currentIndex.complexity({
+      file: p.get('file', undefined),
+      minCyclomatic: p.getInt('min', 1),
+      offset: p.getInt('offset', undefined),
+      limit: p.getInt('limit', 50),
+    });
+    const total = await currentIndex.complexity({
+      file: p.get('file', undefined),
+      minCyclomatic: p.getInt('min', 1),
+      count: true,
+    });
+    json(res, { results, total: total.total });
+  },
+
+  'GET /api/diagnostics': async (req, res) => {
+    if (!requireIndex(res)) return;
+    const p = params(req.url);
+    const results = await currentIndex.diagnostics({
+      file: p.get('file', undefined),
+      type: p.get('type', undefined),
+      offset: p.getInt('offset', undefined),
+      limit: p.getInt('limit', 50),
+    });
+    const total = await currentIndex.diagnostics({
+      file: p.get('file', undefined),
+      type: p.get('type', undefined),
+      count: true,
+    });
+    json(res, { results, total: total.total });
+  },
+
+  'GET /api/packages': async (_req, res) => {
+    if (!requireIndex(res)) return;
+    json(res, await currentIndex.packages());
+  },
+
+  'GET /api/check-ignore': async (req, res) => {
+    if (!requireIndex(res)) return;
+    const p = params(req.url);
+    const path = p.get('path', '');
+    if (!path) return error(res, 'path is required');
+    json(res, await currentIndex.checkIgnore({ path }));
+  },
+
   'GET /api/structure': async (req, res) => {
     if (!requireIndex(res)) return;
     const p = params(req.url);
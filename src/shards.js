@@ -0,0 +1,242 @@
+import { createHash } from 'crypto';
+import { readFileSync } from 'fs';
+import { writeFile, readFile, readdir, mkdir, rename, rm, unlink } from 'fs/promises';
+import { join } from 'path';
+
+// Cache layout (version 3):
+//
+//   <hash>.json            index: file order, mtimes, hashes, diagnostics,
+//                          and which shards exist
+//   <hash>.shards/<id>.json          nodes (core attributes) and outgoing
+//                                    edges of the files hashed to this shard
+//   <hash>.shards/<id>.details.json  bulky per-symbol attributes, read only
+//                                    when something asks for them
+//
+// Files are spread over up to 256 shards by path hash, so an incremental
+// update rewrites the few shards whose files (or edges) changed.
+
+const SHARD_PREFIX_LENGTH = 2;
+
+// Symbol attributes most queries never read. They stay on disk until first
+// accessed, then the whole shard's details are loaded at once.
+const DETAIL_ATTRS = [
+  'astProfile', 'paramNames', 'localRefs', 'doc',
+  'params', 'returnType', 'async', 'generator', 'complexity',
+];
+
+// Added before all other edges on load, matching buildGraph's two phases
+// so adjacency order (and everything sorted stably from it) is unchanged.
+const STRUCTURAL_EDGES = new Set(['DEFINES', 'CONTAINS']);
+
+/**
+ * The file a node belongs to: file nodes are keyed by path, symbols by
+ * `${file}::${qualifiedName}`.
+ */
+function ownerOf(nodeKey) {
+  const sep = nodeKey.indexOf('::');
+  return sep === -1 ? nodeKey : nodeKey.substring(0, sep);
+}
+
+function shardOf(file) {
+  return createHash('sha1').update(file).digest('hex').slice(0, SHARD_PREFIX_LENGTH);
+}
+
+function shardDirFor(cachePath) {
+  return cachePath.replace(/\.json$/, '') + '.shards';
+}
+
+/**
+ * Record in `dirty` the id of every shard a graph mutation touches.
+ * An edge lives in its source's shard.
+ */
+function trackDirtyShards(graph, dirty) {
+  const markNode = ({ key }) => dirty.add(shardOf(ownerOf(key)));
+  const markEdge = ({ source }) => dirty.add(shardOf(ownerOf(source)));
+  graph.on('nodeAdded', markNode);
+  graph.on('nodeDropped', markNode);
+  graph.on('nodeAttributesUpdated', markNode);
+  graph.on('edgeAdded', markEdge);
+  graph.on('edgeDropped', markEdge);
+}
+
+async function writeAtomic(path, data) {
+  const tmp = `${path}.${process.pid}.tmp`;
+  await writeFile(tmp, data);
+  await rename(tmp, path);
+}
+
+/**
+ * Write the graph's shards — all of them, or only `dirtyShards` — then the
+ * index. Shards left empty are deleted.
+ *
+ * @param {Graph} graph
+ * @param {string} cachePath - Index file path
+ * @param {object} meta - Extra index fields (mtimes, hashes, diagnostics, ...)
+ * @param {Set<string>|null} dirtyShards - null rewrites everything
+ */
+async function saveShardedGraph(graph, cachePath, meta, dirtyShards) {
+  const dir = shardDirFor(cachePath);
+  await mkdir(dir, { recursive: true });
+
+  const files = [];             // owners in graph order, so load preserves it
+  const seenFiles = new Set();
+  const present = new Set();
+  const shards = new Map();
+  const shardFor = (id) => {
+    let shard = shards.get(id);
+    if (!shard) {
+      shard = { nodes: {}, edges: {}, details: {} };
+      shards.set(id, shard);
+    }
+    return shard;
+  };
+  const wanted = (id) => dirtyShards === null || dirtyShards.has(id);
+
+  graph.forEachNode((key, attrs) => {
+    const owner = ownerOf(key);
+    if (!seenFiles.has(owner)) {
+      seenFiles.add(owner);
+      files.push(owner);
+    }
+    const id = shardOf(owner);
+    present.add(id);
+    if (!wanted(id)) return;
+
+    const shard = shardFor(id);
+    const core = {};
+    const details = {};
+    let mask = 0;
+    for (const name of Object.keys(attrs)) {
+      const bit = DETAIL_ATTRS.indexOf(name);
+      if (bit === -1) {
+        core[name] = attrs[name];
+      } else if (attrs[name] !== undefined) {
+        details[name] = attrs[name];
+        mask |= 1 << bit;
+      }
+    }
+    (shard.nodes[owner] ||= []).push(mask ? [key, core, mask] : [key, core]);
+    if (mask) shard.details[key] = details;
+  });
+
+  graph.forEachEdge((_edge, attrs, source, target) => {
+    const owner = ownerOf(source);
+    const id = shardOf(owner);
+    if (!wanted(id)) return;
+    const { type, ...extra } = attrs;
+    const record = [source, target, type];
+    if (Object.keys(extra).length > 0) record.push(extra);
+    (shardFor(id).edges[owner] ||= []).push(record);
+  });
+
+  for (const [id, shard] of shards) {
+    if (!present.has(id)) continue;
+    await writeAtomic(join(dir, `${id}.json`), JSON.stringify({ nodes: shard.nodes, edges: shard.edges }));
+    await writeAtomic(join(dir, `${id}.details.json`), JSON.stringify(shard.details));
+  }
+
+  // Shards whose last file went away
+  const stale = dirtyShards === null
+    ? (await readdir(dir)).map(name => name.split('.')[0]).filter(id => !present.has(id))
+    : [...dirtyShards].filter(id => !present.has(id));
+  for (const id of new Set(stale)) {
+    await unlink(join(dir, `${id}.json`)).catch(() => {});
+    await unlink(join(dir, `${id}.details.json`)).catch(() => {});
+  }
+
+  await writeAtomic(cachePath, JSON.stringify({ version: 3, ...meta, files, shards: [...present].sort() }));
+}
+
+/**
+ * Replace each detail attribute a node has with a getter that loads its
+ * shard's details file on first use.
+ */
+function installLazyDetails(entries, loadDetails) {
+  let loaded = false;
+  const materialize = () => {
+    if (loaded) return;
+    loaded = true;
+    let details = {};
+    try {
+      details = loadDetails();
+    } catch {
+      // Missing or corrupt details file: symbols keep their core attributes
+    }
+    for (const [key, attrs, mask] of entries) {
+      for (let bit = 0; bit < DETAIL_ATTRS.length; bit++) {
+        if (!(mask & (1 << bit))) continue;
+        const name = DETAIL_ATTRS[bit];
+        const value = details[key] ? details[key][name] : undefined;
+        Object.defineProperty(attrs, name, { value, writable: true, enumerable: true, configurable: true });
+      }
+    }
+  };
+
+  for (const [, attrs, mask] of entries) {
+    for (let bit = 0; bit < DETAIL_ATTRS.length; bit++) {
+      if (!(mask & (1 << bit))) continue;
+      const name = DETAIL_ATTRS[bit];
+      Object.defineProperty(attrs, name, {
+        get() { materialize(); return attrs[name]; },
+        set(value) { materialize(); attrs[name] = value; },
+        enumerable: true,
+        configurable: true,
+      });
+    }
+  }
+}
+
+/**
+ * Rebuild a graph from a version 3 index. Core attributes and edges are
+ * read eagerly; detail attributes lazily, per shard.
+ *
+ * @param {object} raw - Parsed index file
+ * @param {string} cachePath - Index file path
+ * @param {Function} createGraph - Returns an empty graph
+ */
+async function loadShardedGraph(raw, cachePath, createGraph) {
+  const dir = shardDirFor(cachePath);
+  const shards = new Map();
+  for (const id of raw.shards) {
+    shards.set(id, JSON.parse(await readFile(join(dir, `${id}.json`), 'utf-8')));
+  }
+
+  const graph = createGraph();
+  const lazy = new Map(); // shard id -> [[key, attrs, mask]]
+  for (const file of raw.files) {
+    const id = shardOf(file);
+    const nodes = shards.get(id)?.nodes[file];
+    if (!nodes) continue;
+    for (const [key, core, mask] of nodes) {
+      const attrs = { ...core };
+      if (mask) {
+        if (!lazy.has(id)) lazy.set(id, []);
+        lazy.get(id).push([key, attrs, mask]);
+      }
+      graph.addNode(key, attrs);
+    }
+  }
+  for (const [id, entries] of lazy) {
+    installLazyDetails(entries, () => JSON.parse(readFileSync(join(dir, `${id}.details.json`), 'utf-8')));
+  }
+
+  for (const structural of [true, false]) {
+    for (const file of raw.files) {
+      const edges = shards.get(shardOf(file))?.edges[file];
+      if (!edges) continue;
+      for (const [source, target, type, extra] of edges) {
+        if (STRUCTURAL_EDGES.has(type) !== structural) continue;
+        // Targets in other shards may be gone if their file changed since
+        if (!graph.hasNode(source) || !graph.hasNode(target)) continue;
+        graph.addEdge(source, target, extra ? { type, ...extra } : { type });
+      }
+    }
+  }
+  return graph;
+}
+
+async function removeShards(cachePath) {
+  await rm(shardDirFor(cachePath), { recursive: true, force: true });
+}
+
+export { saveShardedGraph, loadShardedGraph, trackDirtyShards, removeShards };
@@ -0,0 +1,130 @@
+import { watch as fsWatch } from 'fs';
+import { stat } from 'fs/promises';
+import { platform } from 'os';
+import { join, relative } from 'path';
+import { glob, escape } from 'glob';
+
+// macOS (FSEvents) and Windows watch a whole tree with one handle. Elsewhere
+// recursive fs.watch means one inotify watch per directory — including
+// node_modules — so we watch only the directories the index scans.
+const NATIVE_RECURSIVE = platform() === 'darwin' || platform() === 'win32';
+
+/**
+ * Reports paths (relative to the root) that may have changed. Events are
+ * hints, not facts — the consumer re-stats each path — so duplicate or
+ * spurious events are harmless; lost events are not, hence onOverflow.
+ * While a directory couldn't be watched (see `degraded`) nothing reports
+ * its changes, and the consumer has to scan for them itself.
+ */
+class TreeWatcher {
+  /**
+   * @param {string} root - Absolute directory to watch
+   * @param {object} opts
+   * @param {Function} opts.onPath - Called with each changed relative path
+   * @param {Function} opts.onOverflow - Called when events may have been lost
+   * @param {Function} opts.ignoreMatcher - Returns a fresh IgnoreMatcher
+   */
+  constructor(root, { onPath, onOverflow, ignoreMatcher }) {
+    this.root = root;
+    this.onPath = onPath;
+    this.onOverflow = onOverflow;
+    this.ignoreMatcher = ignoreMatcher;
+    this.watchers = new Map(); // absolute dir -> FSWatcher
+    this.unwatched = new Set(); // absolute dirs fs.watch refused
+    this.closed = false;
+  }
+
+  /** Whether some directory is going unwatched, so events can't be trusted. */
+  get degraded() {
+    return this.unwatched.size > 0;
+  }
+
+  /**
+   * Try again to watch the directories that couldn't be, e.g. once other
+   * watchers released their handles. Call before a full scan, so changes
+   * made before a watch succeeds are found by the scan.
+   */
+  retryUnwatched() {
+    for (const dir of [...this.unwatched]) this._watchDir(dir, NATIVE_RECURSIVE);
+  }
+
+  async start() {
+    if (NATIVE_RECURSIVE) {
+      this._watchDir(this.root, true);
+      return;
+    }
+    const dirs = await this._listDirs(this.root);
+    for (const dir of dirs) this._watchDir(dir, false);
+  }
+
+  close() {
+    this.closed = true;
+    for (const w of this.watchers.values()) w.close();
+    this.watchers.clear();
+    this.unwatched.clear();
+  }
+
+  /**
+   * The directory and every non-ignored, non-hidden directory below it.
+   */
+  async _listDirs(dir) {
+    const rel = relative(this.root, dir);
+    const found = await glob(rel ? `${escape(rel)}/**/` : '**/', {
+      cwd: this.root,
+      ignore: this.ignoreMatcher().globIgnore(),
+      absolute: true,
+    });
+    return [dir, ...found.filter(d => d !== dir)];
+  }
+
+  _watchDir(dir, recursive) {
+    if (this.closed || this.watchers.has(dir)) return;
+    let watcher;
+    try {
+      watcher = fsWatch(dir, { recursive, persistent: true }, (_event, filename) => {
+        if (!filename) {
+          this.onOverflow();
+          return;
+        }
+        const absPath = join(dir, filename.toString());
+        this.onPath(relative(this.root, absPath));
+        if (!recursive) this._maybeWatchNewDir(absPath);
+      });
+    } catch (e) {
+      // Removed since it was listed: nothing left to watch
+      if (e.code === 'ENOENT') {
+        this.unwatched.delete(dir);
+        return;
+      }
+      // Out of watch handles (ENOSPC/EMFILE): keep what we have, and stay
+      // degraded — ensure() scans the whole tree — until a retry succeeds
+      if (this.unwatched.has(dir)) return;
+      process.stderr.write(`Cannot watch ${dir}: ${e.message}\n`);
+      this.unwatched.add(dir);
+      this.onOverflow();
+      return;
+    }
+    watcher.on('error', () => {
+      // The directory was removed or became unreadable
+      watcher.close();
+      this.watchers.delete(dir);
+    });
+    this.watchers.set(dir, watcher);
+    this.unwatched.delete(dir);
+  }
+
+  async _maybeWatchNewDir(absPath) {
+    if (this.watchers.has(absPath)) return;
+    try {
+      if (!(await stat(absPath)).isDirectory()) return;
+    } catch {
+      return;
+    }
+    const rel = relative(this.root, absPath);
+    if (rel.split('/').some(part => part.startsWith('.'))) return;
+    if (this.ignoreMatcher().ignores(rel, true)) return;
+    for (const dir of await this._listDirs(absPath)) this._watchDir(dir, false);
+  }
+}
+
+export { TreeWatcher };
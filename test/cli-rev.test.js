@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync, spawnSync } from 'child_process';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+const CLI = fileURLToPath(new URL('../src/cli.js', import.meta.url));
+
+function fixture() {
+  const dir = mkdtempSync(join(tmpdir(), 'betterrank-rev-'));
+  const root = join(dir, 'repo');
+  const env = {
+    ...process.env,
+    GIT_AUTHOR_NAME: 'test', GIT_AUTHOR_EMAIL: 'test@example.com',
+    GIT_COMMITTER_NAME: 'test', GIT_COMMITTER_EMAIL: 'test@example.com',
+  };
+  const git = (...args) => execFileSync('git', args, { cwd: root, env, stdio: 'ignore' });
+  execFileSync('git', ['init', '-q', root]);
+  writeFileSync(join(root, 'lib.js'), 'export function oldName(a) {\n  return a;\n}\n');
+  writeFileSync(join(root, 'main.js'), "import { oldName } from './lib.js';\noldName(1);\n");
+  git('add', '-A');
+  git('commit', '-qm', 'first');
+  writeFileSync(join(root, 'lib.js'), 'export function newName(a, b) {\n  return a + b;\n}\n');
+  writeFileSync(join(root, 'main.js'), "import { newName } from './lib.js';\nnewName(1, 2);\n");
+  git('commit', '-qam', 'second');
+  return { dir, root, cacheDir: join(dir, 'cache') };
+}
+
+function cli(args, cacheDir) {
+  return spawnSync(process.execPath, [CLI, ...args], {
+    encoding: 'utf-8',
+    env: { ...process.env, CODE_INDEX_CACHE_DIR: cacheDir, CODE_INDEX_WORKERS: '0' },
+  });
+}
+
+test('outline --rev shows the file and its callers as of the revision', (t) => {
+  const { dir, root, cacheDir } = fixture();
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const current = cli(['outline', 'lib.js', '--root', root], cacheDir);
+  assert.equal(current.status, 0, current.stderr);
+  assert.match(current.stdout, /newName/);
+
+  const old = cli(['outline', 'lib.js', '--rev', 'HEAD~1', '--root', root, '--annotate'], cacheDir);
+  assert.equal(old.status, 0, old.stderr);
+  assert.match(old.stdout, /oldName\(a\)/);
+  assert.doesNotMatch(old.stdout, /newName/);
+  assert.match(old.stdout, /1 caller/);
+
+  const missing = cli(['outline', 'gone.js', '--rev', 'HEAD~1', '--root', root], cacheDir);
+  assert.notEqual(missing.status, 0);
+  assert.match(missing.stderr, /at HEAD~1/);
+});
+
+test('compare rejects --rev instead of reading the working copy', (t) => {
+  const { dir, root, cacheDir } = fixture();
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const result = cli(['compare', root, root, '--rev', 'HEAD~1'], cacheDir);
+  assert.notEqual(result.status, 0);
+  assert.match(result.stderr, /compare works on the working copy; drop --rev/);
+});
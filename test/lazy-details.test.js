@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs, { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { syncBuiltinESMExports } from 'module';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { CodeIndex } from '../src/index.js';
+
+const FILES = 40;
+
+function fixture() {
+  const root = mkdtempSync(join(tmpdir(), 'betterrank-lazy-'));
+  for (let i = 0; i < FILES; i++) {
+    const next = (i + 1) % FILES;
+    writeFileSync(join(root, `mod${i}.js`), [
+      `import { run${next} } from './mod${next}.js';`,
+      `/** Runs step ${i}. */`,
+      `export function run${i}(input, options) {`,
+      `  return run${next}(input, options);`,
+      '}',
+      '',
+    ].join('\n'));
+  }
+  return root;
+}
+
+/**
+ * Count `.details.json` reads (shards.js reads them with readFileSync)
+ * while `fn` runs.
+ */
+async function countDetailReads(fn) {
+  const original = fs.readFileSync;
+  let reads = 0;
+  fs.readFileSync = function (path, ...rest) {
+    if (String(path).endsWith('.details.json')) reads++;
+    return original.call(this, path, ...rest);
+  };
+  syncBuiltinESMExports();
+  try {
+    const result = await fn();
+    return { result, reads };
+  } finally {
+    fs.readFileSync = original;
+    syncBuiltinESMExports();
+  }
+}
+
+test('map and paginated search load only the detail shards they show', async (t) => {
+  const root = fixture();
+  t.after(() => rmSync(root, { recursive: true, force: true }));
+  const opts = { cachePath: '.cache/index.json', workers: 0 };
+  await new CodeIndex(root, opts).map();
+
+  // A fresh instance loads the sharded cache, details left on disk
+  const { result: map, reads: mapReads } = await countDetailReads(
+    () => new CodeIndex(root, opts).map({ limit: 2, structured: true }));
+  assert.equal(map.shownSymbols, 2);
+  assert.ok(map.files.every(f => f.symbols.every(s => /^Runs step/.test(s.doc))));
+  assert.ok(mapReads <= 2, `map read ${mapReads} detail shards`);
+
+  const { result: found, reads: searchReads } = await countDetailReads(
+    () => new CodeIndex(root, opts).search({ query: 'run', limit: 3 }));
+  assert.equal(found.length, 3);
+  assert.ok(found.every(r => r.params && r.params.length === 2 && /^Runs step/.test(r.doc)));
+  assert.ok(searchReads <= 3, `search read ${searchReads} detail shards`);
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFile } from '../src/parser.js';
+import { buildGraph } from '../src/graph.js';
+
+const FILES = {
+  'src/lib/http.ts': 'export function getUser() { return fetch("/me"); }\n',
+  'web/src/api/users.ts': 'export function getUser(id: string) { return id; }\n',
+  'web/src/api/posts.ts': 'export function listPosts() { return []; }\n',
+  'web/src/api/index.ts': "export { getUser, getUser as fetchUser } from './users';\nexport * from './posts';\nexport * from './cycle';\n",
+  'web/src/api/cycle.ts': "export * from './index';\n",
+  'web/src/components/UserCard.tsx': [
+    "import { getUser, fetchUser, listPosts, missing } from '../api';",
+    'export function UserCard() {',
+    '  getUser("1");',
+    '  fetchUser("1");',
+    '  listPosts();',
+    '  return missing();',
+    '}',
+    '',
+  ].join('\n'),
+  'web/src/other.ts': 'export function missing() { return 0; }\n',
+};
+
+function referencesFrom(graph, file) {
+  return graph.outEdges(file)
+    .filter(e => graph.getEdgeAttribute(e, 'type') === 'REFERENCES')
+    .map(e => graph.target(e))
+    .sort();
+}
+
+test('imports through a barrel file wire to the re-exported definitions only', () => {
+  const graph = buildGraph(Object.entries(FILES).map(([file, source]) => parseFile(file, source)));
+  // Plain, renamed and `export *` re-exports are followed, never to
+  // src/lib/http.ts's getUser; the export * cycle ends, and `missing` —
+  // not exported by the barrel — isn't matched by name elsewhere
+  assert.deepEqual(referencesFrom(graph, 'web/src/components/UserCard.tsx'), [
+    'web/src/api/posts.ts::listPosts',
+    'web/src/api/users.ts::getUser',
+  ]);
+});
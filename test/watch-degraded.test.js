@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs, { mkdtempSync, mkdirSync, writeFileSync, utimesSync, rmSync } from 'fs';
+import { syncBuiltinESMExports } from 'module';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { CodeIndexCache } from '../src/cache.js';
+
+function hasSymbol(cache, key) {
+  return cache.getGraph().hasNode(key);
+}
+
+// Move mtimes forward explicitly: two writes within one millisecond would
+// look unchanged
+let clock = Date.now() / 1000;
+function edit(path, source) {
+  writeFileSync(path, source);
+  clock += 10;
+  utimesSync(path, clock, clock);
+}
+
+test('edits in a directory fs.watch refused are found on every ensure()', async (t) => {
+  const root = mkdtempSync(join(tmpdir(), 'betterrank-watch-'));
+  mkdirSync(join(root, 'ok'));
+  mkdirSync(join(root, 'full'));
+  writeFileSync(join(root, 'ok', 'a.js'), 'export function a() {}\n');
+  writeFileSync(join(root, 'full', 'b.js'), 'export function b() {}\n');
+
+  const original = fs.watch;
+  let refuse = true;
+  fs.watch = function (path, ...rest) {
+    if (refuse && path === join(root, 'full')) {
+      const err = new Error(`ENOSPC: System limit for number of file watchers reached, watch '${path}'`);
+      err.code = 'ENOSPC';
+      throw err;
+    }
+    return original.call(this, path, ...rest);
+  };
+  syncBuiltinESMExports();
+
+  const cache = new CodeIndexCache(root, { cachePath: '.cache/index.json', workers: 0 });
+  t.after(async () => {
+    fs.watch = original;
+    syncBuiltinESMExports();
+    await cache.unwatch();
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  await cache.ensure();
+  await cache.watch();
+  assert.equal(cache.watcher.degraded, true);
+
+  edit(join(root, 'full', 'b.js'), 'export function b2() {}\n');
+  await cache.ensure();
+  assert.ok(hasSymbol(cache, 'full/b.js::b2'));
+
+  edit(join(root, 'full', 'b.js'), 'export function b3() {}\n');
+  await cache.ensure();
+  assert.ok(hasSymbol(cache, 'full/b.js::b3'));
+  assert.ok(!hasSymbol(cache, 'full/b.js::b2'));
+
+  // Once handles free up the directory is watched again on the next scan
+  refuse = false;
+  edit(join(root, 'full', 'b.js'), 'export function b4() {}\n');
+  await cache.ensure();
+  assert.ok(hasSymbol(cache, 'full/b.js::b4'));
+  assert.equal(cache.watcher.degraded, false);
+});